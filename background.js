@@ -11,6 +11,17 @@ import {
   safelyReturnToUrl
 } from './utils/tabNavigation.js';
 import { isSupportedWikiUrl } from './utils/urlUtils.js';
+import { loadExportSettings } from './utils/exportSettings.js';
+import { sendMessageToOffscreen } from './utils/offscreenDocument.js';
+import { resolveDiagramFiles } from './utils/diagramFiles.js';
+import { renderFrontMatter } from './utils/frontMatter.js';
+import { buildNavHierarchy, buildExportLayout, renderNavTableOfContents } from './utils/navTree.js';
+import { rewriteWikiLinks, rewriteWikilinkTargets, toPageKey } from './utils/linkRewriter.js';
+import { rewriteCitationLinks } from './utils/citationLinks.js';
+import { resolveRawSourceUrl, sliceSourceLines } from './utils/sourceExcerpts.js';
+import { collectImageUrls, fetchImageAssets, rewriteImageLinks } from './utils/imageAssets.js';
+import { openCrawlerWindow, closeCrawlerWindow, loadPageInCrawlerTab } from './utils/backgroundCrawler.js';
+import { runWorkerPool, normalizeWorkerCount } from './utils/workerPool.js';
 
 // A queue to hold messages for tabs that are not yet ready
 const messageQueue = {};
@@ -65,9 +76,11 @@ function createBatchJob(tabId) {
     folderName: '',
     allPages: [],
     convertedPages: [],
+    workers: [],
     lastMessage: '',
     lastStatusType: 'info',
-    currentPageUrl: ''
+    currentPageUrl: '',
+    settings: null
   };
 }
 
@@ -85,6 +98,7 @@ function serializeJob(job) {
     processedCount: job.processedCount,
     total: job.total,
     errorCount: job.errorCount,
+    workers: job.workers.map(worker => ({ ...worker })),
     statusType: job.lastStatusType,
     message: job.lastMessage
   };
@@ -97,6 +111,7 @@ function sendBatchUpdate(job, update = {}) {
     processedCount: job.processedCount,
     total: job.total,
     errorCount: job.errorCount,
+    workers: job.workers.map(worker => ({ ...worker })),
     cancelRequested: job.cancelRequested,
     cancelled: job.cancelled,
     completed: update.completed ?? job.completed,
@@ -131,6 +146,7 @@ async function runBatchConversion(job) {
     }
 
     job.currentPageUrl = tab.url || tab.pendingUrl || '';
+    job.settings = await loadExportSettings();
 
     updateJobStatus(job, 'Extracting all page links...', 'info', { running: true });
 
@@ -186,11 +202,154 @@ async function runBatchConversion(job) {
   }
 }
 
+// Converts the page loaded in `tabId`; returns its export record, or null when the page failed
+async function convertJobPage(job, page, tabId, position, context) {
+  const pageTitle = page.title || page.url;
+  const convertResponse = await sendAsyncMessageToTab(tabId, {
+    action: 'convertToMarkdown',
+    settings: job.settings
+  });
+
+  if (!convertResponse || !convertResponse.success) {
+    job.errorCount += 1;
+    updateJobStatus(job, `Failed to process ${pageTitle}. Continuing...`, 'error', { running: true });
+    return null;
+  }
+
+  const displayTitle = page.title || convertResponse.markdownTitle || `Page ${position}`;
+  const preferredFileTitle = page.title && page.title.trim()
+    ? page.title
+    : convertResponse.markdownTitle || convertResponse.currentTitle || displayTitle;
+
+  // Batch exports also record where the page sits in the wiki navigation
+  const navPosition = context.navHierarchy.get(page.url);
+  const parentPage = navPosition?.parentUrl ? job.allPages.find(entry => entry.url === navPosition.parentUrl) : null;
+  const metadata = convertResponse.metadata
+    ? { ...convertResponse.metadata, order: navPosition?.order, parent: parentPage?.title }
+    : null;
+
+  job.processedCount += 1;
+  return {
+    displayTitle,
+    preferredFileTitle,
+    content: convertResponse.markdown,
+    sourceUrl: page.url,
+    metadata,
+    attachments: Array.isArray(convertResponse.attachments) ? convertResponse.attachments : [],
+    diagramFiles: Array.isArray(convertResponse.diagramFiles) ? convertResponse.diagramFiles : [],
+    fidelityReport: convertResponse.fidelityReport || ''
+  };
+}
+
+// File titles are handed out in navigation order, so they do not depend on which page finished first
+function addConvertedPages(job, records, context) {
+  records.forEach(record => {
+    if (!record) {
+      return;
+    }
+
+    const { preferredFileTitle, ...page } = record;
+    const fileTitle = ensureUniqueFileTitle(preferredFileTitle, job.convertedPages.length + 1, context.usedFileTitles);
+    job.convertedPages.push({ ...page, fileTitle });
+  });
+}
+
+function reportPageStart(job, page, position) {
+  const pageTitle = page?.title || page?.url || `Page ${position}`;
+  updateJobStatus(
+    job,
+    `Processing ${position}/${job.total}: ${pageTitle}`,
+    'info',
+    { running: true }
+  );
+
+  if (!page?.url) {
+    job.errorCount += 1;
+    updateJobStatus(job, `Skipping entry with missing URL: ${pageTitle}`, 'error', { running: true });
+    return false;
+  }
+  return true;
+}
+
+function setWorkerStatus(job, workerIndex, state, page = '') {
+  job.workers[workerIndex] = { state, page };
+  sendBatchUpdate(job);
+}
+
 async function processJobPages(job) {
-  const usedFileTitles = new Set();
-  const currentPageUrl = job.allPages.find(page => page?.selected)?.url || job.currentPageUrl || '';
-  job.currentPageUrl = currentPageUrl;
+  const context = {
+    usedFileTitles: new Set(),
+    navHierarchy: buildNavHierarchy(job.allPages)
+  };
+  job.currentPageUrl = job.allPages.find(page => page?.selected)?.url || job.currentPageUrl || '';
+
+  if (job.settings?.crawlMode === 'tab') {
+    await processJobPagesInUserTab(job, context);
+  } else {
+    await processJobPagesInBackground(job, context);
+  }
 
+  if (!job.cancelRequested) {
+    updateJobStatus(
+      job,
+      `Batch conversion complete! Success: ${job.processedCount}, Failed: ${job.errorCount}, Preparing download...`,
+      'success',
+      { running: true }
+    );
+  }
+}
+
+// Loads pages in a window of its own, leaving the user's tab where it is. Each
+// tab of that window is a worker taking the next page from the navigation list.
+async function processJobPagesInBackground(job, context) {
+  const workerCount = Math.min(normalizeWorkerCount(job.settings?.batchWorkers), Math.max(1, job.allPages.length));
+  const crawler = await openCrawlerWindow(workerCount);
+  job.workers = crawler.tabIds.map(() => ({ state: 'idle', page: '' }));
+
+  const convertInWorker = async (page, index, workerIndex) => {
+    if (!reportPageStart(job, page, index + 1)) {
+      return null;
+    }
+
+    const tabId = crawler.tabIds[workerIndex];
+    const pageTitle = page.title || page.url;
+    try {
+      setWorkerStatus(job, workerIndex, 'loading', pageTitle);
+      await loadPageInCrawlerTab(tabId, page.url);
+      if (job.cancelRequested) {
+        return null;
+      }
+
+      setWorkerStatus(job, workerIndex, 'converting', pageTitle);
+      return await convertJobPage(job, page, tabId, index + 1, context);
+    } catch (error) {
+      if (error?.message?.includes('No tab with id')) {
+        throw new Error('The background window used for the export was closed');
+      }
+      job.errorCount += 1;
+      console.error(`Error processing page: ${pageTitle}`, error);
+      updateJobStatus(job, `Failed to process ${pageTitle}. Continuing...`, 'error', { running: true });
+      return null;
+    } finally {
+      setWorkerStatus(job, workerIndex, 'idle');
+    }
+  };
+
+  try {
+    const records = await runWorkerPool(job.allPages, convertInWorker, {
+      workerCount: crawler.tabIds.length,
+      shouldStop: () => job.cancelRequested
+    });
+    addConvertedPages(job, records, context);
+  } finally {
+    job.workers = [];
+    await closeCrawlerWindow(crawler);
+  }
+}
+
+// Legacy engine: walks the user's own tab through every page and returns it to where it started
+async function processJobPagesInUserTab(job, context) {
+  const currentPageUrl = job.currentPageUrl;
   let lastVisitedUrl = currentPageUrl;
   try {
     const activeTab = await chrome.tabs.get(job.tabId);
@@ -199,22 +358,12 @@ async function processJobPages(job) {
     lastVisitedUrl = currentPageUrl;
   }
 
+  const records = [];
   for (const page of job.allPages) {
     if (job.cancelRequested) {
       break;
     }
-
-    const pageTitle = page?.title || page?.url || `Page ${job.processedCount + 1}`;
-    updateJobStatus(
-      job,
-      `Processing ${job.processedCount + 1}/${job.total}: ${pageTitle}`,
-      'info',
-      { running: true }
-    );
-
-    if (!page?.url) {
-      job.errorCount += 1;
-      updateJobStatus(job, `Skipping entry with missing URL: ${pageTitle}`, 'error', { running: true });
+    if (!reportPageStart(job, page, job.processedCount + 1)) {
       continue;
     }
 
@@ -226,31 +375,10 @@ async function processJobPages(job) {
         break;
       }
 
-      const convertResponse = await sendAsyncMessageToTab(job.tabId, { action: 'convertToMarkdown' });
-
-      if (convertResponse && convertResponse.success) {
-        const displayTitle = page.title || convertResponse.markdownTitle || `Page ${job.processedCount + 1}`;
-        const preferredFileTitle = page.title && page.title.trim()
-          ? page.title
-          : convertResponse.markdownTitle || convertResponse.currentTitle || displayTitle;
-
-        const fileTitle = ensureUniqueFileTitle(preferredFileTitle, job.processedCount + 1, usedFileTitles);
-
-        job.convertedPages.push({
-          displayTitle,
-          fileTitle,
-          content: convertResponse.markdown,
-          sourceUrl: page.url,
-          attachments: Array.isArray(convertResponse.attachments) ? convertResponse.attachments : []
-        });
-
-        job.processedCount += 1;
-      } else {
-        job.errorCount += 1;
-        updateJobStatus(job, `Failed to process ${pageTitle}. Continuing...`, 'error', { running: true });
-      }
+      records.push(await convertJobPage(job, page, job.tabId, job.processedCount + 1, context));
     } catch (error) {
       job.errorCount += 1;
+      const pageTitle = page.title || page.url;
       console.error(`Error processing page: ${pageTitle}`, error);
       updateJobStatus(job, `Failed to process ${pageTitle}. Continuing...`, 'error', { running: true });
 
@@ -263,16 +391,8 @@ async function processJobPages(job) {
     }
   }
 
+  addConvertedPages(job, records, context);
   await safelyReturnToUrl(job.tabId, currentPageUrl);
-
-  if (!job.cancelRequested) {
-    updateJobStatus(
-      job,
-      `Batch conversion complete! Success: ${job.processedCount}, Failed: ${job.errorCount}, Preparing download...`,
-      'success',
-      { running: true }
-    );
-  }
 }
 
 async function downloadJobZip(job) {
@@ -283,21 +403,101 @@ async function downloadJobZip(job) {
   updateJobStatus(job, 'Creating ZIP file...', 'info', { running: true });
 
   const zip = new JSZip();
+
+  // Folders mirror the wiki navigation; pages that somehow fall outside it stay at the root
+  const exportLayout = buildExportLayout(job.allPages);
+  const pageFileOf = page => exportLayout.get(page.sourceUrl) || `${page.fileTitle}.md`;
+  const exportedUrls = new Set(job.convertedPages.map(page => page.sourceUrl));
+  const isExported = url => exportedUrls.has(url);
+
   let indexContent = `# ${job.folderName}\n\n## Content Index\n\n`;
+  const tableOfContents = renderNavTableOfContents(job.allPages, exportLayout, { isExported });
+  if (tableOfContents) {
+    indexContent += `${tableOfContents}\n`;
+  }
+  job.convertedPages
+    .filter(page => !exportLayout.has(page.sourceUrl))
+    .forEach(page => {
+      indexContent += `- [${page.displayTitle}](${encodeURI(pageFileOf(page))})\n`;
+    });
+  const pagesWithAttachments = job.convertedPages.filter(page => Array.isArray(page.attachments) && page.attachments.length > 0);
+  if (pagesWithAttachments.length > 0) {
+    indexContent += '\n## Attachments\n\n';
+    pagesWithAttachments.forEach(page => {
+      indexContent += `- ${page.displayTitle}: ${page.attachments.length} file(s) in attachments/${page.fileTitle}/\n`;
+    });
+  }
+  zip.file('README.md', indexContent);
+
+  const fidelityReports = job.convertedPages
+    .filter(page => page.fidelityReport)
+    .map(page => page.fidelityReport);
+  if (fidelityReports.length > 0) {
+    zip.file('fidelity-report.md', `# Diagram fidelity report\n\n${fidelityReports.join('\n')}`);
+  }
+
+  // Links between exported pages point at the sibling .md files instead of the website
+  const filesByPageKey = new Map();
   job.convertedPages.forEach(page => {
-    indexContent += `- [${page.displayTitle}](${page.fileTitle}.md)\n`;
-    if (Array.isArray(page.attachments) && page.attachments.length > 0) {
-      indexContent += `  - Attachments (${page.attachments.length}) stored in attachments/${page.fileTitle}/\n`;
+    const pageKey = toPageKey(page.sourceUrl);
+    if (pageKey && !filesByPageKey.has(pageKey)) {
+      filesByPageKey.set(pageKey, pageFileOf(page));
     }
   });
-  zip.file('README.md', indexContent);
+
+  // Obsidian wikilinks name the page title (see the dialect in content.js) rather than its file
+  const filesByWikilinkTarget = new Map();
+  if (job.settings?.markdownDialect === 'obsidian') {
+    job.convertedPages.forEach(page => {
+      const target = page.displayTitle ? sanitizeFilename(page.displayTitle) : '';
+      if (target && !filesByWikilinkTarget.has(target)) {
+        filesByWikilinkTarget.set(target, pageFileOf(page));
+      }
+    });
+  }
+
+  // Images are downloaded once for the whole export; pages sharing an image share the file
+  const imageAssets = { pathsByUrl: new Map(), storedPaths: new Set() };
+  if (job.settings?.downloadImages) {
+    updateJobStatus(job, 'Downloading images...', 'info', { running: true });
+  }
 
   let attachmentsRoot = null;
-  job.convertedPages.forEach(page => {
-    zip.file(`${page.fileTitle}.md`, page.content);
+  for (const page of job.convertedPages) {
+    if (job.cancelRequested) {
+      return;
+    }
+
+    const pageFile = pageFileOf(page);
+    const { markdown, files } = resolveDiagramFiles(page.content, page.diagramFiles, page.fileTitle, pageFile);
+    let linkedMarkdown = rewriteCitationLinks(
+      rewriteWikilinkTargets(rewriteWikiLinks(markdown, page.sourceUrl, pageFile, filesByPageKey), filesByWikilinkTarget),
+      {
+        style: job.settings?.citationStyle,
+        base: job.settings?.citationBase,
+        template: job.settings?.citationTemplate,
+        commit: page.metadata?.commit,
+        pageFile
+      }
+    );
+    if (job.settings?.downloadImages) {
+      const { files: assetFiles } = await fetchImageAssets(collectImageUrls(linkedMarkdown), imageAssets);
+      assetFiles.forEach(file => zip.file(file.path, file.bytes));
+      linkedMarkdown = rewriteImageLinks(linkedMarkdown, imageAssets.pathsByUrl, pageFile);
+    }
+    // A section's index page also lists the pages below it
+    if (pageFile.endsWith('/index.md')) {
+      const sectionContents = renderNavTableOfContents(job.allPages, exportLayout, { fromFile: pageFile, rootUrl: page.sourceUrl, isExported });
+      if (sectionContents) {
+        linkedMarkdown = `${linkedMarkdown.trimEnd()}\n\n## Pages in this section\n\n${sectionContents}\n`;
+      }
+    }
+    const frontMatter = job.settings?.frontMatter ? renderFrontMatter(page.metadata) : '';
+    zip.file(pageFile, frontMatter + linkedMarkdown);
+    files.forEach(file => zip.file(file.path, file.content));
 
     if (!Array.isArray(page.attachments) || page.attachments.length === 0) {
-      return;
+      continue;
     }
 
     const usedNames = new Set();
@@ -318,7 +518,7 @@ async function downloadJobZip(job) {
 
       pageAttachmentFolder.file(uniqueName, attachment.content);
     });
-  });
+  }
 
   updateJobStatus(job, 'Compressing files...', 'info', { running: true });
   const zipBuffer = await zip.generateAsync({
@@ -357,6 +557,41 @@ async function downloadJobZip(job) {
   });
 }
 
+// Downloads each cited file once and returns the cited lines
+async function fetchCitationExcerpts(citations, template, commit) {
+  const files = new Map();
+  const results = [];
+
+  for (const citation of citations) {
+    const source = resolveRawSourceUrl(citation.href, template, commit);
+    if (!source) {
+      results.push({ index: citation.index, error: 'Not a recognised code citation' });
+      continue;
+    }
+
+    if (!files.has(source.url)) {
+      files.set(source.url, fetch(source.url).then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+      }));
+    }
+
+    try {
+      const excerpt = sliceSourceLines(await files.get(source.url), source.start, source.end);
+      results.push(excerpt
+        ? { index: citation.index, path: source.path, start: source.start, end: source.end, ...excerpt }
+        : { index: citation.index, error: 'Line range is outside the file' });
+    } catch (error) {
+      console.warn('Failed to fetch cited source', source.url, error);
+      results.push({ index: citation.index, error: error.message });
+    }
+  }
+
+  return results;
+}
+
 // Listen for extension installation event
 chrome.runtime.onInstalled.addListener(() => {
   console.log('DeepWiki to Markdown extension installed');
@@ -385,6 +620,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
     console.log(`Content script ready on tab ${tabId}. Queue processed.`);
     sendResponse({ status: 'ready' });
+  } else if (request.action === 'renderMermaidDiagrams') {
+    sendMessageToOffscreen({ action: 'renderMermaid', diagrams: request.diagrams })
+      .then(response => sendResponse(response))
+      .catch(error => {
+        console.error('Failed to render diagrams offscreen', error);
+        sendResponse({ success: false, error: error.message });
+      });
+  } else if (request.action === 'fetchCitationExcerpts') {
+    const citations = Array.isArray(request.citations) ? request.citations : [];
+    fetchCitationExcerpts(citations, request.template || '', request.commit || '')
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => {
+        console.error('Failed to fetch citation excerpts', error);
+        sendResponse({ success: false, error: error.message });
+      });
   } else if (request.action === 'startBatchConversion') {
     const { tabId } = request;
     if (!tabId) {
@@ -467,6 +717,7 @@ chrome.tabs.onRemoved.addListener(tabId => {
 
   if (batchJobs.has(tabId)) {
     const job = batchJobs.get(tabId);
+    job.cancelRequested = true;
     job.cancelled = true;
     job.completed = true;
     updateJobStatus(job, 'Tab closed. Batch conversion stopped.', 'error', { completed: true, running: false });
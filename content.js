@@ -11,6 +11,30 @@
   const DIAGRAM_RENDER_POLL_INTERVAL_MS = 200;
   const DIAGRAM_RENDER_STABLE_WINDOW_MS = 600;
 
+  // Set while a conversion with diagram verification is running; processNode registers
+  // every recovered diagram here and leaves a placeholder to be resolved afterwards
+  let diagramVerification = null;
+
+  // Diagram definitions from the page's hydration payload, collected lazily once per conversion
+  let hydrationMermaidSources = null;
+
+  // Set while a conversion exports diagrams as standalone .mmd/.svg files; links are written
+  // against DIAGRAM_PAGE_PLACEHOLDER and resolved when the page is packaged
+  let diagramFileExport = null;
+  const { DIAGRAM_PAGE_PLACEHOLDER } = globalThis.deepwikiMermaidSyntax;
+
+  // Markdown dialect for the running conversion (see utils/markdownDialects.js)
+  let markdownDialect = null;
+
+  // Set while a conversion inlines the code behind "Sources:" line citations
+  let citationExcerpts = null;
+
+  // Footnote references and definitions met during a conversion, written out at the end of the page
+  let footnoteCollection = null;
+
+  // white-space of the elements whose text nodes were met during a conversion, looked up once per element
+  let preformattedElements = null;
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -151,6 +175,72 @@ async function fetchMarkdownResources() {
   return fetchedResources;
 }
 
+// "owner/repo" from the wiki URL: deepwiki.com/<owner>/<repo>/... or app.devin.ai/wiki/<owner>/<repo>/...
+function getRepositoryFromUrl(url) {
+  const segments = url.pathname.split('/').filter(Boolean);
+  const repoSegments = url.hostname.endsWith('app.devin.ai') && segments[0] === 'wiki'
+    ? segments.slice(1, 3)
+    : segments.slice(0, 2);
+  return repoSegments.length === 2 ? repoSegments.map(decodeURIComponent).join('/') : '';
+}
+
+// Finds the "Last indexed: <date> (<commit>)" line the wiki shows in its page header
+function findLastIndexedText() {
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (!/last\s+(indexed|updated)/i.test(node.textContent)) {
+      continue;
+    }
+
+    // The label and the date are often separate spans; read the surrounding line
+    let scope = node.parentElement;
+    while (scope && scope.parentElement && scope.textContent.trim().length < 25 && scope.parentElement.textContent.length < 200) {
+      scope = scope.parentElement;
+    }
+    const text = (scope ? scope.textContent : node.textContent).replace(/\s+/g, ' ').trim();
+    if (text.length < 200) {
+      return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * Collects page provenance for the YAML front matter.
+ * @param {string} title - Article title as used for the file name
+ * @returns {{title: string, sourceUrl: string, repository: string, repositoryUrl: string, commit: string, lastIndexed: string, exportedAt: string}}
+ */
+function collectPageMetadata(title) {
+  const pageUrl = new URL(window.location.href);
+  const repository = getRepositoryFromUrl(pageUrl);
+
+  // The header links to the indexed repository on its code host
+  let repositoryUrl = '';
+  const repoLinks = Array.from(document.querySelectorAll('a[href*="github.com/"], a[href*="gitlab.com/"], a[href*="bitbucket.org/"]'));
+  const repoLink = repoLinks.find(link => repository && link.href.toLowerCase().includes(repository.toLowerCase())) || null;
+  if (repoLink) {
+    repositoryUrl = repoLink.href.replace(/\/+$/, '');
+  }
+
+  const lastIndexedText = findLastIndexedText();
+  const commitMatch = lastIndexedText.match(/\(([0-9a-f]{7,40})\)/i) ||
+    (repoLink ? repoLink.href.match(/\/(?:commit|tree|blob)\/([0-9a-f]{7,40})\b/i) : null);
+  const lastIndexed = lastIndexedText
+    .replace(/^.*?last\s+(?:indexed|updated)\s*:?\s*/i, '')
+    .replace(/\(([0-9a-f]{7,40})\)/i, '')
+    .trim();
+
+  return {
+    title,
+    sourceUrl: pageUrl.href,
+    repository,
+    repositoryUrl,
+    commit: commitMatch ? commitMatch[1] : '',
+    lastIndexed,
+    exportedAt: new Date().toISOString()
+  };
+}
+
 function countRenderedDiagramSvgs() {
   return document.querySelectorAll(
     'svg[id^="mermaid-"], svg[class*="mermaid"], svg[aria-roledescription], svg[data-mermaid]'
@@ -217,6 +307,7 @@ async function waitForDiagramRendering() {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "convertToMarkdown") {
     (async () => {
+      const settings = request.settings || {};
       try {
         // Get page title from head
         const headTitle = document.title || "";
@@ -253,24 +344,61 @@ async function waitForDiagramRendering() {
 
         let markdown = ``;
         let markdownTitle = sanitizeFilename(title);
+        let fidelityReport = '';
+        let fidelityIssues = 0;
+
+        diagramVerification = settings.verifyDiagrams ? { diagrams: [] } : null;
+        diagramFileExport = settings.diagramFiles ? { files: [] } : null;
+        markdownDialect = MARKDOWN_DIALECTS[settings.markdownDialect] || MARKDOWN_DIALECTS.gfm;
+        citationExcerpts = settings.inlineCitations ? { citations: [] } : null;
+        footnoteCollection = { labels: new Map(), definitions: new Map() };
+        preformattedElements = new WeakMap();
+        hydrationMermaidSources = null;
 
         contentContainer.childNodes.forEach((child) => {
           markdown += processNode(child);
         });
+        markdown += renderFootnoteDefinitions();
+        preformattedElements = null;
+
+        if (diagramVerification) {
+          const verified = await resolveDiagramVerification(markdown, settings, title);
+          markdown = verified.markdown;
+          fidelityReport = verified.report;
+          fidelityIssues = verified.issueCount;
+        }
+
+        const metadata = collectPageMetadata(title);
+        if (citationExcerpts) {
+          markdown = await resolveCitationExcerpts(markdown, settings, metadata.commit);
+        }
 
         // Normalize blank lines
         markdown = markdown.trim().replace(/\n{3,}/g, "\n\n");
 
         const attachments = await fetchMarkdownResources();
+        const diagramFiles = diagramFileExport
+          ? diagramFileExport.files.map(({ name, mermaid, svg }) => ({ name, mermaid, svg }))
+          : [];
+        diagramFileExport = null;
 
         sendResponse({
           success: true,
           markdown,
           markdownTitle,
           headTitle: formattedHeadTitle,
-          attachments
+          attachments,
+          diagramFiles,
+          metadata,
+          fidelityReport,
+          fidelityIssues
         });
       } catch (error) {
+        diagramVerification = null;
+        diagramFileExport = null;
+        citationExcerpts = null;
+        footnoteCollection = null;
+        preformattedElements = null;
         console.error("Error converting to Markdown:", error);
         sendResponse({ success: false, error: error.message });
       }
@@ -451,6 +579,23 @@ async function waitForDiagramRendering() {
           return '';
         };
 
+        // Horizontal indent of a sidebar item; background.js turns distinct indents into nesting levels
+        const getNavIndent = link => {
+          const item = link.closest('li') || link;
+          let listDepth = 0;
+          for (let el = item.parentElement; el && el !== document.body; el = el.parentElement) {
+            if (el.nodeName === 'UL' || el.nodeName === 'OL') {
+              listDepth += 1;
+            }
+          }
+
+          const offset = [...new Set([item, link])].reduce((sum, el) => {
+            const computed = window.getComputedStyle(el);
+            return sum + (parseFloat(computed.paddingLeft) || 0) + (parseFloat(computed.marginLeft) || 0);
+          }, 0);
+          return listDepth * 1000 + Math.round(offset);
+        };
+
         const recordLink = (link, { treatAsNav } = {}) => {
           const href = link.getAttribute('href');
           if (!href || href.startsWith('javascript:')) {
@@ -487,6 +632,9 @@ async function waitForDiagramRendering() {
               fallbackTitle,
               source: treatAsNav ? 'nav' : 'content'
             };
+            if (treatAsNav) {
+              entry.indent = getNavIndent(link);
+            }
 
             seen.set(key, entry);
             results.push(entry);
@@ -589,12 +737,52 @@ async function waitForDiagramRendering() {
   // Always return true for asynchronous sendResponse handling
   return true;
   });
+// Classes Mermaid puts on every node group; anything else came from a classDef
+const FLOWCHART_INTERNAL_NODE_CLASSES = new Set(['node', 'default', 'flowchart-label', 'clickable', 'label-container']);
+
+function detectFlowchartNodeShape(nodeEl) {
+    const circles = nodeEl.querySelectorAll(':scope > circle, :scope > g > circle');
+    if (circles.length >= 2) return { shape: 'doublecircle', element: circles[0] };
+    if (circles.length === 1) return { shape: 'circle', element: circles[0] };
+
+    const polygon = nodeEl.querySelector(':scope > polygon, :scope > g > polygon');
+    if (polygon) return { shape: classifyFlowchartPolygon(parsePolygonPoints(polygon.getAttribute('points'))), element: polygon };
+
+    const rect = nodeEl.querySelector(':scope > rect');
+    if (rect) {
+        const rx = parseFloat(rect.getAttribute('rx')) || 0;
+        const height = parseFloat(rect.getAttribute('height')) || 0;
+        if (rx > 0 && height > 0 && rx >= height / 2 - 1) return { shape: 'stadium', element: rect };
+        return { shape: rx > 0 ? 'round' : 'rect', element: rect };
+    }
+
+    const path = nodeEl.querySelector(':scope > path, :scope > g > path');
+    if (path) {
+        // Cylinders are drawn with three elliptical arcs, rounded outlines with four
+        const arcCount = ((path.getAttribute('d') || '').match(/[aA]/g) || []).length;
+        if (arcCount === 3) return { shape: 'cylinder', element: path };
+        if (arcCount >= 4) return { shape: 'stadium', element: path };
+        return { shape: 'rect', element: path };
+    }
+
+    return { shape: 'rect', element: null };
+}
+
+// Inline style of a rendered shape, as a Mermaid `style`/`classDef` property list
+function extractFlowchartStyle(element, properties) {
+    return element ? parseFlowchartStyle(element.getAttribute('style'), properties) : '';
+}
+
+function getFlowchartEdgeArrow(path) {
+    return flowchartEdgeArrow(Array.from(path.classList), getMarkerName(path, 'marker-start'), getMarkerName(path, 'marker-end'));
+}
+
 // Function for Flowchart (ensure this exists from previous responses)
 function convertFlowchartSvgToMermaidText(svgElement) {
   if (!svgElement) return null;
 
     console.log("Starting flowchart conversion with hierarchical logic...");
-  let mermaidCode = "flowchart TD\n\n";
+  let mermaidCode = "";
   const nodes = {}; 
   const clusters = {}; 
     const parentMap = {}; // Maps a child SVG ID to its parent SVG ID
@@ -624,6 +812,8 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         }
         
         let mermaidId = svgId.replace(/^flowchart-/, '').replace(/-\d+$/, '');
+        const { shape, element: shapeEl } = detectFlowchartNodeShape(nodeEl);
+        const classNames = Array.from(nodeEl.classList).filter(name => !FLOWCHART_INTERNAL_NODE_CLASSES.has(name));
 
         const bbox = nodeEl.getBoundingClientRect();
         if (bbox.width > 0 || bbox.height > 0) {
@@ -633,6 +823,9 @@ function convertFlowchartSvgToMermaidText(svgElement) {
       text: textContent, 
                 svgId: svgId,
                 bbox: bbox,
+                shape: shape,
+                classNames: classNames,
+                style: extractFlowchartStyle(shapeEl),
             };
             allElements[svgId] = nodes[svgId];
         }
@@ -779,7 +972,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         }
         
         const labelPart = label ? `|"${label}"|` : "";
-    const edgeText = `${sourceNode.mermaidId} -->${labelPart} ${targetNode.mermaidId}`;
+    const edgeText = `${sourceNode.mermaidId} ${getFlowchartEdgeArrow(path)}${labelPart} ${targetNode.mermaidId}`;
     
         // Find Lowest Common Ancestor
         const sourceAncestors = [parentMap[sourceNode.svgId]];
@@ -791,15 +984,23 @@ function convertFlowchartSvgToMermaidText(svgElement) {
             lca = parentMap[lca];
         }
         
-        edges.push({ text: edgeText, parentId: lca || 'root' });
+        edges.push({
+            text: edgeText,
+            parentId: lca || 'root',
+            source: sourceNode,
+            target: targetNode,
+            style: extractFlowchartStyle(path, ['stroke', 'stroke-width', 'stroke-dasharray', 'color']),
+        });
     });
     
     // 5. Generate Mermaid output
+    mermaidCode += `flowchart ${inferFlowchartDirection(edges)}\n\n`;
     const definedNodeMermaidIds = new Set();
   for (const svgId in nodes) {
     const node = nodes[svgId];
         if (!definedNodeMermaidIds.has(node.mermaidId)) {
-      mermaidCode += `${node.mermaidId}["${node.text}"]\n`;
+      const [open, close] = FLOWCHART_SHAPE_BRACKETS[node.shape] || FLOWCHART_SHAPE_BRACKETS.rect;
+      mermaidCode += `${node.mermaidId}${open}"${node.text}"${close}\n`;
             definedNodeMermaidIds.add(node.mermaidId);
         }
     }
@@ -818,13 +1019,20 @@ function convertFlowchartSvgToMermaidText(svgElement) {
     edges.forEach(edge => {
         const parentId = edge.parentId || 'root';
         if (!edgeMap[parentId]) edgeMap[parentId] = [];
-        edgeMap[parentId].push(edge.text);
+        edgeMap[parentId].push(edge);
     });
+
+    // linkStyle refers to links by the order they are written, so track it as edges are emitted
+    const linkStyles = [];
+    let linkIndex = 0;
+    const emitEdge = (edge, indent) => {
+        if (edge.style) linkStyles.push(`linkStyle ${linkIndex} ${edge.style}`);
+        linkIndex++;
+        mermaidCode += `${indent}${edge.text}\n`;
+    };
     
     // Add top-level edges
-    (edgeMap['root'] || []).forEach(edgeText => {
-        mermaidCode += `${edgeText}\n`;
-    });
+    (edgeMap['root'] || []).forEach(edge => emitEdge(edge, ''));
 
     function buildSubgraphOutput(clusterId) {
         const cluster = clusters[clusterId];
@@ -840,9 +1048,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         });
         
         // Render edges within this subgraph
-        (edgeMap[clusterId] || []).forEach(edgeText => {
-            mermaidCode += `    ${edgeText}\n`;
-        });
+        (edgeMap[clusterId] || []).forEach(edge => emitEdge(edge, '    '));
         
         // Render nested subgraphs
         childItems.filter(id => clusters[id]).forEach(subClusterId => {
@@ -854,11 +1060,136 @@ function convertFlowchartSvgToMermaidText(svgElement) {
 
     const topLevelClusters = Object.keys(clusters).filter(id => !parentMap[id]);
     topLevelClusters.forEach(buildSubgraphOutput);
+
+    // 6. Styling: classDefs from node classes, inline styles for the rest
+    const styleLines = [];
+    const uniqueNodes = Object.values(nodes).filter((node, index, all) => all.findIndex(other => other.mermaidId === node.mermaidId) === index);
+    const sharedStyle = uniqueNodes.length > 1 && uniqueNodes.every(node => node.style && node.style === uniqueNodes[0].style && node.classNames.length === 0)
+        ? uniqueNodes[0].style
+        : '';
+    if (sharedStyle) {
+        styleLines.push(`classDef default ${sharedStyle}`);
+    } else {
+        const classStyles = new Map();
+        const classMembers = new Map();
+        uniqueNodes.forEach(node => {
+            if (node.classNames.length === 0) {
+                if (node.style) styleLines.push(`style ${node.mermaidId} ${node.style}`);
+                return;
+            }
+            node.classNames.forEach(className => {
+                if (!classStyles.has(className) && node.style) classStyles.set(className, node.style);
+                if (!classMembers.has(className)) classMembers.set(className, []);
+                classMembers.get(className).push(node.mermaidId);
+            });
+        });
+        classStyles.forEach((style, className) => styleLines.push(`classDef ${className} ${style}`));
+        classMembers.forEach((members, className) => styleLines.push(`class ${members.join(',')} ${className}`));
+    }
+    styleLines.push(...linkStyles);
+    if (styleLines.length > 0) {
+        mermaidCode += '\n' + styleLines.join('\n') + '\n';
+    }
   
   if (Object.keys(nodes).length === 0 && Object.keys(clusters).length === 0) return null;
   return '```mermaid\n' + mermaidCode.trim() + '\n```';
 }
 
+// Diagram definitions embedded in Next.js hydration data (__NEXT_DATA__ and RSC flight chunks)
+function collectHydrationMermaidSources() {
+  const sources = [];
+
+  const nextDataScript = document.getElementById('__NEXT_DATA__');
+  if (nextDataScript) {
+    try {
+      const visit = value => {
+        if (typeof value === 'string') {
+          sources.push(...extractMermaidFences(value));
+        } else if (value && typeof value === 'object') {
+          Object.values(value).forEach(visit);
+        }
+      };
+      visit(JSON.parse(nextDataScript.textContent));
+    } catch (error) {
+      console.warn('Failed to read __NEXT_DATA__ payload', error);
+    }
+  }
+
+  // RSC flight chunks; a fence can span chunks
+  const flightChunks = [];
+  document.querySelectorAll('script:not([src])').forEach(script => {
+    flightChunks.push(...extractFlightChunks(script.textContent));
+  });
+  if (flightChunks.length) {
+    sources.push(...extractMermaidFences(flightChunks.join('')));
+  }
+
+  return Array.from(new Set(sources)).map(source => ({ source, used: false }));
+}
+
+// Visible labels of a rendered diagram, for matching it against candidate definitions
+function collectDiagramLabels(svgElement) {
+  const labels = [];
+  svgElement.querySelectorAll('foreignObject, text').forEach(el => {
+    if (el.nodeName.toLowerCase() === 'text' && el.closest('foreignObject')) return;
+    const text = normalizeSignatureText(el.textContent);
+    if (text) labels.push(text);
+  });
+  return labels;
+}
+
+/**
+ * Looks for the diagram definition a rendered Mermaid SVG was produced from:
+ * a mermaid code block next to it, a data-mermaid attribute, or the page's
+ * hydration payload. Returns a fenced Mermaid block, or null when not found.
+ * @param {SVGElement} svgElement - The rendered diagram
+ * @param {Element} [container] - The block (usually a PRE) holding the diagram
+ * @returns {string|null}
+ */
+function findOriginalMermaidSource(svgElement, container) {
+  if (!svgElement) {
+    return null;
+  }
+
+  const wrap = source => '```mermaid\n' + source.trim() + '\n```';
+  const scope = container || svgElement.parentElement;
+
+  const codeElement = scope?.querySelector('code.language-mermaid, code.mermaid');
+  if (codeElement && !codeElement.contains(svgElement) && isMermaidDefinition(codeElement.textContent)) {
+    return wrap(codeElement.textContent);
+  }
+
+  for (let el = svgElement; el && el !== document.body; el = el.parentElement) {
+    const dataSource = el.getAttribute('data-mermaid');
+    if (dataSource && isMermaidDefinition(dataSource)) {
+      return wrap(dataSource);
+    }
+  }
+
+  if (!hydrationMermaidSources) {
+    hydrationMermaidSources = collectHydrationMermaidSources();
+  }
+
+  const labels = collectDiagramLabels(svgElement);
+  let bestMatch = null;
+  let bestScore = 0;
+  hydrationMermaidSources.forEach(candidate => {
+    if (candidate.used) return;
+    const score = scoreMermaidSourceMatch(labels, candidate.source);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatch = candidate;
+    }
+  });
+
+  if (bestMatch && bestScore >= 0.8) {
+    bestMatch.used = true;
+    return wrap(bestMatch.source);
+  }
+
+  return null;
+}
+
 function convertMermaidSvgElement(svgElement) {
   if (!svgElement) {
     return null;
@@ -874,7 +1205,19 @@ function convertMermaidSvgElement(svgElement) {
     classListAttr.includes('flowchart') ||
     classListAttr.includes('class') ||
     classListAttr.includes('sequence') ||
-    classListAttr.includes('state');
+    classListAttr.includes('state') ||
+    classListAttr.includes('erdiagram') ||
+    classListAttr.includes('gantt') ||
+    classListAttr.includes('timeline') ||
+    classListAttr.includes('journey') ||
+    classListAttr.includes('pie') ||
+    classListAttr.includes('quadrant') ||
+    classListAttr.includes('xychart') ||
+    classListAttr.includes('mindmap') ||
+    classListAttr.includes('gitgraph') ||
+    classListAttr.includes('c4') ||
+    classListAttr.includes('architecture') ||
+    classListAttr.includes('block');
 
   if (!hasHints) {
     return null;
@@ -884,6 +1227,18 @@ function convertMermaidSvgElement(svgElement) {
   const tryClassDiagram = () => convertClassDiagramSvgToMermaidText(svgElement);
   const trySequenceDiagram = () => convertSequenceDiagramSvgToMermaidText(svgElement);
   const tryStateDiagram = () => convertStateDiagramSvgToMermaidText(svgElement);
+  const tryErDiagram = () => convertErDiagramSvgToMermaidText(svgElement);
+  const tryGantt = () => convertGanttSvgToMermaidText(svgElement);
+  const tryTimeline = () => convertTimelineSvgToMermaidText(svgElement);
+  const tryJourney = () => convertJourneySvgToMermaidText(svgElement);
+  const tryPieChart = () => convertPieChartSvgToMermaidText(svgElement);
+  const tryQuadrantChart = () => convertQuadrantChartSvgToMermaidText(svgElement);
+  const tryXyChart = () => convertXyChartSvgToMermaidText(svgElement);
+  const tryMindmap = () => convertMindmapSvgToMermaidText(svgElement);
+  const tryGitGraph = () => convertGitGraphSvgToMermaidText(svgElement);
+  const tryC4 = () => convertC4SvgToMermaidText(svgElement);
+  const tryArchitecture = () => convertArchitectureSvgToMermaidText(svgElement);
+  const tryBlock = () => convertBlockSvgToMermaidText(svgElement);
 
   let mermaidOutput = null;
 
@@ -905,6 +1260,30 @@ function convertMermaidSvgElement(svgElement) {
     classListAttr.includes('state diagram')
   ) {
     mermaidOutput = tryStateDiagram();
+  } else if (ariaDescription === 'er' || ariaDescription === 'erdiagram' || classListAttr.includes('erdiagram')) {
+    mermaidOutput = tryErDiagram();
+  } else if (ariaDescription === 'gantt' || classListAttr.includes('gantt')) {
+    mermaidOutput = tryGantt();
+  } else if (ariaDescription === 'timeline' || classListAttr.includes('timeline')) {
+    mermaidOutput = tryTimeline();
+  } else if (ariaDescription === 'journey' || classListAttr.includes('journey')) {
+    mermaidOutput = tryJourney();
+  } else if (ariaDescription === 'pie' || classListAttr.includes('pie')) {
+    mermaidOutput = tryPieChart();
+  } else if (ariaDescription.includes('quadrant') || classListAttr.includes('quadrant')) {
+    mermaidOutput = tryQuadrantChart();
+  } else if (ariaDescription.includes('xychart') || classListAttr.includes('xychart')) {
+    mermaidOutput = tryXyChart();
+  } else if (ariaDescription === 'mindmap' || classListAttr.includes('mindmap')) {
+    mermaidOutput = tryMindmap();
+  } else if (ariaDescription.includes('gitgraph') || classListAttr.includes('gitgraph')) {
+    mermaidOutput = tryGitGraph();
+  } else if (ariaDescription === 'c4' || classListAttr.includes('c4')) {
+    mermaidOutput = tryC4();
+  } else if (ariaDescription.includes('architecture') || classListAttr.includes('architecture')) {
+    mermaidOutput = tryArchitecture();
+  } else if (ariaDescription === 'block' || classListAttr.includes('block')) {
+    mermaidOutput = tryBlock();
   }
 
   if (!mermaidOutput && looksLikeMermaid) {
@@ -914,6 +1293,28 @@ function convertMermaidSvgElement(svgElement) {
       mermaidOutput = tryClassDiagram();
     } else if (svgElement.querySelector('g.node.statediagram-state')) {
       mermaidOutput = tryStateDiagram();
+    } else if (svgElement.querySelector('rect.entityBox, path.relationshipLine')) {
+      mermaidOutput = tryErDiagram();
+    } else if (svgElement.querySelector('text.sectionTitle, text[class*="taskText"]')) {
+      mermaidOutput = tryGantt();
+    } else if (svgElement.querySelector('g.timeline-node')) {
+      mermaidOutput = tryTimeline();
+    } else if (svgElement.querySelector('rect.journey-section, circle.face')) {
+      mermaidOutput = tryJourney();
+    } else if (svgElement.querySelector('path.pieCircle')) {
+      mermaidOutput = tryPieChart();
+    } else if (svgElement.querySelector('g.quadrant')) {
+      mermaidOutput = tryQuadrantChart();
+    } else if (svgElement.querySelector('g.bottom-axis, g.left-axis')) {
+      mermaidOutput = tryXyChart();
+    } else if (svgElement.querySelector('g.mindmap-node')) {
+      mermaidOutput = tryMindmap();
+    } else if (svgElement.querySelector('g.commit-bullets')) {
+      mermaidOutput = tryGitGraph();
+    } else if (svgElement.querySelector('g[class*="c4-shape"]')) {
+      mermaidOutput = tryC4();
+    } else if (svgElement.querySelector('g.architecture-service, g.architecture-groups')) {
+      mermaidOutput = tryArchitecture();
     } else if (svgElement.querySelector('g.node, g.cluster')) {
       mermaidOutput = tryFlowchart();
     }
@@ -922,34 +1323,276 @@ function convertMermaidSvgElement(svgElement) {
   return mermaidOutput;
 }
 
-function convertSvgElementToDataImageMarkdown(svgElement) {
+function serializeSvgElement(svgElement) {
+  try {
+    const svgString = new XMLSerializer().serializeToString(svgElement);
+    return svgString && svgString.trim() ? svgString : null;
+  } catch (error) {
+    console.warn('Failed to serialize SVG element', error);
+    return null;
+  }
+}
+
+// Embeds the original SVG as an image: a data URI, or a link to the exported .svg file
+function convertSvgElementToImageMarkdown(svgElement) {
   if (!svgElement) {
     return null;
   }
 
-  try {
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgElement);
+  const title =
+    svgElement.getAttribute('aria-label') ||
+    svgElement.getAttribute('aria-roledescription') ||
+    svgElement.getAttribute('title') ||
+    svgElement.getAttribute('data-title') ||
+    'Diagram';
+
+  const exported = registerDiagramFile(svgElement, null);
+  if (exported && exported.svg) {
+    return `![${title.trim()}](${diagramFilePath(exported, 'svg')})`;
+  }
+
+  const svgString = serializeSvgElement(svgElement);
+  if (!svgString) {
+    return null;
+  }
+
+  const encodedSvg = window.btoa(unescape(encodeURIComponent(svgString)));
+  return `![${title.trim()}](data:image/svg+xml;base64,${encodedSvg})`;
+}
+
+function diagramFilePath(file, extension) {
+  return `diagrams/${DIAGRAM_PAGE_PLACEHOLDER}/${file.name}.${extension}`;
+}
+
+/**
+ * Records a diagram for export as standalone files. Each diagram is registered
+ * once, named "<n>-<type>" in page order; the Mermaid code is kept when known.
+ * @param {SVGElement} svgElement - The rendered diagram
+ * @param {string|null} mermaidOutput - Fenced Mermaid block, if any
+ * @returns {object|null} The file record, or null when files are not exported
+ */
+function registerDiagramFile(svgElement, mermaidOutput) {
+  if (!diagramFileExport || !svgElement) {
+    return null;
+  }
+
+  let file = diagramFileExport.files.find(entry => entry.svgElement === svgElement);
+  if (!file) {
+    const code = mermaidOutput ? unwrapMermaidFence(mermaidOutput) : null;
+    const keyword = code
+      ? code.split('\n').find(line => line.trim() && !line.trim().startsWith('%%'))?.trim().split(/\s+/)[0]
+      : svgElement.getAttribute('aria-roledescription');
+    const type = sanitizeFilename(keyword || 'diagram').toLowerCase();
+    file = {
+      svgElement,
+      name: `${diagramFileExport.files.length + 1}-${type}`,
+      mermaid: code,
+      svg: serializeSvgElement(svgElement)
+    };
+    diagramFileExport.files.push(file);
+  }
+  return file;
+}
+
+// Appends links to the exported files below a diagram's Markdown
+function withDiagramFileLinks(markdown, svgElement, mermaidOutput) {
+  const file = registerDiagramFile(svgElement, mermaidOutput);
+  if (!file) {
+    return markdown;
+  }
+
+  const links = [];
+  if (file.mermaid) links.push(`[${file.name}.mmd](${diagramFilePath(file, 'mmd')})`);
+  if (file.svg) links.push(`[${file.name}.svg](${diagramFilePath(file, 'svg')})`);
+  return links.length ? `${markdown}\n\n${links.join(' · ')}` : markdown;
+}
+
+// Selectors shared by the fidelity check: edge-like connectors and the shapes they attach to
+const DIAGRAM_CONNECTOR_SELECTOR = [
+  'path.flowchart-link',
+  'path.relation',
+  'path.transition',
+  'path.relationshipLine',
+  'line[class*="messageLine"]',
+  'path[class*="messageLine"]',
+  'path.edge',
+  'g.edgePaths path',
+  'g.commit-arrows path'
+].join(', ');
+const DIAGRAM_NODE_SELECTOR = 'g.node, g.mindmap-node, rect.entityBox';
+
+function diagramPlaceholder(index) {
+  return `<!--deepwiki-diagram-${index}-->`;
+}
+
+// Returns the Markdown for a recovered diagram, or a placeholder when the
+// diagram is going to be verified once the whole page has been walked
+function emitRecoveredDiagram(svgElement, mermaidOutput) {
+  if (!diagramVerification) {
+    return mermaidOutput;
+  }
 
-    if (!svgString || !svgString.trim()) {
-      return null;
+  const index = diagramVerification.diagrams.length;
+  diagramVerification.diagrams.push({ index, svgElement, mermaidOutput });
+  return diagramPlaceholder(index);
+}
+
+/**
+ * Layout-independent fingerprint of a rendered diagram: every visible label, plus
+ * every connector described by the labels of the shapes at its two ends.
+ * @param {SVGElement} svgElement - A rendered Mermaid diagram attached to the document
+ * @returns {{labels: string[], edges: string[]}}
+ */
+function extractDiagramSignature(svgElement) {
+  const labels = collectDiagramLabels(svgElement);
+
+  // Sequence diagrams: messages attach to lifelines, so only the x position matters
+  const actors = Array.from(svgElement.querySelectorAll('text.actor-box'))
+    .map(el => ({ text: normalizeSignatureText(el.textContent), box: getClientBox(el) }))
+    .filter(actor => actor.text && actor.box);
+
+  const nodes = Array.from(svgElement.querySelectorAll(DIAGRAM_NODE_SELECTOR))
+    .map(el => ({
+      text: normalizeSignatureText(getSvgLabelText(el.nodeName.toLowerCase() === 'rect' ? el.parentNode : el)),
+      box: getClientBox(el)
+    }))
+    .filter(node => node.box);
+
+  const anchorFor = point => {
+    if (actors.length) {
+      let closest = actors[0];
+      actors.forEach(actor => {
+        if (Math.abs(actor.box.cx - point.x) < Math.abs(closest.box.cx - point.x)) closest = actor;
+      });
+      return closest.text;
+    }
+    const node = findClosestByBox(point, nodes, 40);
+    return node ? node.text : '?';
+  };
+
+  const edges = [];
+  svgElement.querySelectorAll(DIAGRAM_CONNECTOR_SELECTOR).forEach(el => {
+    let points = null;
+    if (el.nodeName.toLowerCase() === 'line') {
+      const coord = name => parseFloat(el.getAttribute(name)) || 0;
+      points = {
+        start: toClientPoint(el, { x: coord('x1'), y: coord('y1') }),
+        end: toClientPoint(el, { x: coord('x2'), y: coord('y2') })
+      };
+    } else {
+      points = getPathClientPoints(el);
     }
+    if (points) edges.push(`${anchorFor(points.start)} -> ${anchorFor(points.end)}`);
+  });
+
+  return { labels, edges };
+}
+
+// Attaches the re-rendered SVG off-screen just long enough to measure it
+function measureRenderedSvg(svgMarkup) {
+  const container = document.createElement('div');
+  container.style.cssText = 'position: fixed; left: -100000px; top: 0; visibility: hidden; pointer-events: none;';
+  container.innerHTML = svgMarkup;
+  document.body.appendChild(container);
+
+  try {
+    const svg = container.querySelector('svg');
+    return svg ? extractDiagramSignature(svg) : null;
+  } finally {
+    container.remove();
+  }
+}
 
-    const encodedSvg = window.btoa(unescape(encodeURIComponent(svgString)));
-    const dataUri = `data:image/svg+xml;base64,${encodedSvg}`;
+/**
+ * Re-renders every recovered diagram with the bundled Mermaid build (via the
+ * offscreen document), compares it with the original SVG and replaces the
+ * placeholders left by emitRecoveredDiagram.
+ * @param {string} markdown - Page Markdown containing diagram placeholders
+ * @param {object} settings - Export settings (diagramFallback decides what happens on divergence)
+ * @param {string} pageTitle - Used as the report heading
+ * @returns {Promise<{markdown: string, report: string, issueCount: number}>}
+ */
+async function resolveDiagramVerification(markdown, settings, pageTitle) {
+  const diagrams = diagramVerification ? diagramVerification.diagrams : [];
+  diagramVerification = null;
 
-    const title =
-      svgElement.getAttribute('aria-label') ||
-      svgElement.getAttribute('aria-roledescription') ||
-      svgElement.getAttribute('title') ||
-      svgElement.getAttribute('data-title') ||
-      'Diagram';
+  if (!diagrams.length) {
+    return { markdown, report: '', issueCount: 0 };
+  }
 
-    return `![${title.trim()}](${dataUri})`;
+  let renderResults = [];
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'renderMermaidDiagrams',
+      diagrams: diagrams.map(diagram => ({ id: diagram.index, code: unwrapMermaidFence(diagram.mermaidOutput) }))
+    });
+    if (response?.success && Array.isArray(response.results)) {
+      renderResults = response.results;
+    } else {
+      console.warn('Diagram verification unavailable:', response?.error);
+    }
   } catch (error) {
-    console.warn('Failed to serialize SVG element', error);
-    return null;
+    console.warn('Failed to re-render diagrams for verification:', error);
   }
+
+  const entries = diagrams.map(diagram => {
+    const code = unwrapMermaidFence(diagram.mermaidOutput);
+    const type = mermaidDiagramType(code);
+    const rendered = renderResults.find(result => result.id === diagram.index);
+
+    if (!rendered) {
+      return { ...diagram, type, status: 'unverified', details: ['re-render unavailable'] };
+    }
+    if (rendered.error) {
+      return { ...diagram, type, status: 'failed', details: [rendered.error] };
+    }
+
+    const recovered = measureRenderedSvg(rendered.svg);
+    if (!recovered) {
+      return { ...diagram, type, status: 'failed', details: ['re-render produced no SVG'] };
+    }
+
+    const details = compareDiagramSignatures(extractDiagramSignature(diagram.svgElement), recovered);
+    return { ...diagram, type, status: details.length ? 'partial' : 'verified', details };
+  });
+
+  entries.forEach(entry => {
+    let replacement = entry.mermaidOutput;
+    if (entry.status === 'partial' || entry.status === 'failed') {
+      const imageMarkdown = settings.diagramFallback === 'image'
+        ? convertSvgElementToImageMarkdown(entry.svgElement)
+        : null;
+      replacement = imageMarkdown ||
+        entry.mermaidOutput.replace(/^```mermaid\n/, `\`\`\`mermaid\n%% fidelity: ${entry.status}\n`);
+    }
+    markdown = markdown.replace(diagramPlaceholder(entry.index), () => replacement);
+  });
+
+  return {
+    markdown,
+    report: buildFidelityReport(entries, pageTitle, window.location.href),
+    issueCount: entries.filter(entry => entry.status !== 'verified').length
+  };
+}
+
+// Static members are rendered underlined and abstract members in italics
+function getClassMemberClassifier(labelEl) {
+  const descendants = Array.from(labelEl.querySelectorAll('*'));
+  const styles = [labelEl, ...descendants]
+    .map(el => el.getAttribute('style') || '')
+    .join(';');
+  return classMemberClassifier(styles, descendants.map(el => el.nodeName.toLowerCase()));
+}
+
+function readClassMemberLabels(node, groupSelector) {
+  const members = [];
+  node.querySelectorAll(`${groupSelector} g.label`).forEach(labelEl => {
+    const textEl = labelEl.querySelector('foreignObject span.nodeLabel p, foreignObject div p, foreignObject span.nodeLabel, text');
+    const txt = textEl ? textEl.textContent.trim() : '';
+    if (!txt) return;
+    members.push(classMemberText(txt, getClassMemberClassifier(labelEl)));
+  });
+  return members;
 }
 
 // Function for Class Diagram (ensure this exists from previous responses)
@@ -989,9 +1632,11 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
     if (!classData[className]) {
         classData[className] = { 
             stereotype: "", 
+            generic: "",
             members: [], 
             methods: [], 
             svgId: classIdSvg, 
+            box: getClientBox(node),
             x: cx, 
             y: cy, 
             width: halfWidth * 2, 
@@ -1000,18 +1645,38 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
     }
     const stereotypeElem = node.querySelector('g.annotation-group.text foreignObject span.nodeLabel p, g.annotation-group.text foreignObject div p');
     if (stereotypeElem && stereotypeElem.textContent.trim()) {
-        classData[className].stereotype = stereotypeElem.textContent.trim();
+        classData[className].stereotype = classAnnotation(stereotypeElem.textContent);
     }
-    node.querySelectorAll('g.members-group.text g.label foreignObject span.nodeLabel p, g.members-group.text g.label foreignObject div p').forEach(m => {
-      const txt = m.textContent.trim();
-      if (txt) classData[className].members.push(txt);
-    });
-    node.querySelectorAll('g.methods-group.text g.label foreignObject span.nodeLabel p, g.methods-group.text g.label foreignObject div p').forEach(m => {
-      const txt = m.textContent.trim();
-      if (txt) classData[className].methods.push(txt);
-    });
+    const titleElem = node.querySelector('g.label-group.text foreignObject span.nodeLabel p, g.label-group.text foreignObject div p, g.label-group.text');
+    const title = titleElem ? titleElem.textContent.trim() : '';
+    classData[className].generic = classGenericSuffix(title);
+    classData[className].members.push(...readClassMemberLabels(node, 'g.members-group.text'));
+    classData[className].methods.push(...readClassMemberLabels(node, 'g.methods-group.text'));
   });
 
+  // Namespaces are drawn as clusters around their classes
+  const namespaces = [];
+  svgElement.querySelectorAll('g.cluster').forEach(clusterEl => {
+    const labelEl = clusterEl.querySelector('.cluster-label, .label');
+    const name = (labelEl && labelEl.textContent.trim()) || clusterEl.id;
+    const rect = clusterEl.querySelector('rect');
+    const box = getClientBox(rect || clusterEl);
+    if (name && box) {
+      namespaces.push({ name, box, classes: [] });
+    }
+  });
+  for (const className in classData) {
+    const classBox = classData[className].box;
+    if (!classBox) continue;
+    const containing = namespaces
+      .filter(ns => classBox.cx >= ns.box.x1 && classBox.cx <= ns.box.x2 && classBox.cy >= ns.box.y1 && classBox.cy <= ns.box.y2)
+      .sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height);
+    if (containing.length > 0) {
+      containing[0].classes.push(className);
+      classData[className].namespace = containing[0];
+    }
+  }
+
   // 2. Parse Notes
   const notes = [];
   
@@ -1245,22 +1910,45 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
   }
   
   // 5. Add Class Definitions
+  const pushClassDefinition = (className, indent) => {
+    mermaidLines.push(...renderClassDefinition(className, classData[className], indent));
+  };
+  namespaces.filter(ns => ns.classes.length > 0).forEach(ns => {
+    mermaidLines.push(`    namespace ${ns.name} {`);
+    ns.classes.forEach(className => pushClassDefinition(className, '        '));
+    mermaidLines.push('    }');
+  });
   for (const className in classData) {
-    const data = classData[className];
-    if (data.stereotype) {
-        mermaidLines.push(`    class ${className} {`);
-        mermaidLines.push(`        ${data.stereotype}`);
-    } else {
-        mermaidLines.push(`    class ${className} {`);
+    if (!classData[className].namespace) {
+      pushClassDefinition(className, '    ');
     }
-    data.members.forEach(member => { mermaidLines.push(`        ${member}`); });
-    data.methods.forEach(method => { mermaidLines.push(`        ${method}`); });
-    mermaidLines.push('    }');
   }
 
   const pathElements = Array.from(svgElement.querySelectorAll('path.relation[id^="id_"]'));
   const labelElements = Array.from(svgElement.querySelectorAll('g.edgeLabels .edgeLabel foreignObject p'));
 
+  // Multiplicity labels sit next to a relation end; attach each to the nearest end point
+  const pathEnds = new Map();
+  pathElements.forEach(path => pathEnds.set(path, getPathClientPoints(path)));
+  const terminalLabels = new Map();
+  svgElement.querySelectorAll('g.edgeTerminals').forEach(terminalEl => {
+    const text = terminalEl.textContent.trim();
+    const box = getClientBox(terminalEl);
+    if (!text || !box) return;
+    let best = null;
+    pathEnds.forEach((points, path) => {
+      if (!points) return;
+      ['start', 'end'].forEach(end => {
+        const dist = distanceToBox(points[end].x, points[end].y, box);
+        if (!best || dist < best.dist) best = { path, end, dist };
+      });
+    });
+    if (best && best.dist < 60) {
+      if (!terminalLabels.has(best.path)) terminalLabels.set(best.path, {});
+      terminalLabels.get(best.path)[best.end] = text;
+    }
+  });
+
   pathElements.forEach((path, index) => {
     const id = path.getAttribute('id'); 
     if (!id || !id.startsWith('id_')) return;
@@ -1390,6 +2078,10 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
                        labelElements[index].textContent.trim() : "";
     
     if (relationshipType) {
+        const terminals = terminalLabels.get(path);
+        if (terminals) {
+            relationshipType = labelClassRelationEnds(relationshipType, fromClass, terminals);
+        }
         mermaidLines.push(`    ${relationshipType}${labelText ? ' : ' + labelText : ''}`);
     }
   });
@@ -1398,6 +2090,10 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
   return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
 }
 
+function getSequenceMessageArrow(lineEl, isDashed) {
+    return sequenceMessageArrow(getMarkerName(lineEl, 'marker-start'), getMarkerName(lineEl, 'marker-end'), isDashed);
+}
+
 /**
  * Helper: Convert SVG Sequence Diagram to Mermaid code
  * @param {SVGElement} svgElement - The SVG DOM element for the sequence diagram
@@ -1407,76 +2103,75 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
     if (!svgElement) return null;
 
     // 1. Parse participants 
-    const participants = [];
     console.log("Looking for sequence participants..."); // DEBUG
     
-    // Find all participant text elements
-    svgElement.querySelectorAll('text.actor-box').forEach((textEl) => {
-        const name = textEl.textContent.trim().replace(/^"|"$/g, ''); // Remove quotes
+    // Actors are drawn twice (top and bottom); keep the topmost copy of each
+    const participantsById = new Map();
+    svgElement.querySelectorAll('text.actor-box, text.actor-man, text.actor').forEach((textEl) => {
+        const label = textEl.textContent.trim().replace(/^"|"$/g, ''); // Remove quotes
         const x = parseFloat(textEl.getAttribute('x'));
-        console.log("Found participant:", name, "at x:", x); // DEBUG
-        if (name && !isNaN(x)) {
-            participants.push({ name, x });
+        const y = parseFloat(textEl.getAttribute('y')) || 0;
+        if (!label || isNaN(x)) return;
+
+        const group = textEl.parentNode;
+        const nameEl = group && group.querySelector('[name]');
+        const id = (nameEl && nameEl.getAttribute('name')) || label;
+        const kind = textEl.closest('.actor-man') ? 'actor' : 'participant';
+
+        const existing = participantsById.get(id);
+        if (!existing || y < existing.y) {
+            participantsById.set(id, { id, name: id, label, x, y, kind });
         }
     });
-    
-    console.log("Total participants found:", participants.length); // DEBUG
-    participants.sort((a, b) => a.x - b.x);
-    
-    // Remove duplicate participants
-    const uniqueParticipants = [];
-    const seenNames = new Set();
-    participants.forEach(p => {
-        if (!seenNames.has(p.name)) {
-            uniqueParticipants.push(p);
-            seenNames.add(p.name);
+    const uniqueParticipants = Array.from(participantsById.values()).sort((a, b) => a.x - b.x);
+
+    const closestParticipant = (x) => {
+        let closest = null;
+        let minDist = Infinity;
+        for (const p of uniqueParticipants) {
+            const dist = Math.abs(p.x - x);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = p;
+            }
         }
-    });
+        return closest;
+    };
 
     // 2. Parse Notes
     const notes = [];
-    svgElement.querySelectorAll('g').forEach(g => {
-        const noteRect = g.querySelector('rect.note');
-        const noteText = g.querySelector('text.noteText');
-        
-        if (noteRect && noteText) {
-            const text = noteText.textContent.trim();
-            const x = parseFloat(noteRect.getAttribute('x'));
-            const width = parseFloat(noteRect.getAttribute('width'));
-            const leftX = x;
-            const rightX = x + width;
-            
-            // Find all participants within note coverage range
-            const coveredParticipants = [];
-            uniqueParticipants.forEach(p => {
-                // Check if participant is within note's horizontal range
-                if (p.x >= leftX && p.x <= rightX) {
-                    coveredParticipants.push(p);
-                }
-            });
-            
-            // Sort by x coordinate
-            coveredParticipants.sort((a, b) => a.x - b.x);
-            
-            if (coveredParticipants.length > 0) {
-                let noteTarget;
-                if (coveredParticipants.length === 1) {
-                    // Single participant
-                    noteTarget = coveredParticipants[0].name;
-                } else {
-                    // Multiple participants, use first and last
-                    const firstParticipant = coveredParticipants[0].name;
-                    const lastParticipant = coveredParticipants[coveredParticipants.length - 1].name;
-                    noteTarget = `${firstParticipant},${lastParticipant}`;
-                }
-                
-                notes.push({
-                    text: text,
-                    target: noteTarget,
-                    y: parseFloat(noteRect.getAttribute('y'))
-                });
-            }
+    svgElement.querySelectorAll('rect.note').forEach(noteRect => {
+        const group = noteRect.parentNode;
+        const text = Array.from(group.querySelectorAll('text.noteText'))
+            .map(el => el.textContent.trim())
+            .filter(Boolean)
+            .join('<br/>');
+        const leftX = parseFloat(noteRect.getAttribute('x'));
+        const rightX = leftX + parseFloat(noteRect.getAttribute('width'));
+        if (!text || isNaN(leftX) || isNaN(rightX)) return;
+
+        // Find all participants within note coverage range
+        const coveredParticipants = uniqueParticipants.filter(p => p.x >= leftX && p.x <= rightX);
+
+        let placement;
+        if (coveredParticipants.length === 1) {
+            placement = `over ${coveredParticipants[0].id}`;
+        } else if (coveredParticipants.length > 1) {
+            // Multiple participants, use first and last
+            placement = `over ${coveredParticipants[0].id},${coveredParticipants[coveredParticipants.length - 1].id}`;
+        } else {
+            // Side notes sit next to a lifeline without covering it
+            const centerX = (leftX + rightX) / 2;
+            const anchor = closestParticipant(centerX);
+            if (!anchor) return;
+            placement = centerX < anchor.x ? `left of ${anchor.id}` : `right of ${anchor.id}`;
         }
+
+        notes.push({
+            text: text,
+            placement: placement,
+            y: parseFloat(noteRect.getAttribute('y'))
+        });
     });
     
     // 3. Parse message lines and message text
@@ -1505,7 +2200,7 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
         const isDashed = lineEl.classList.contains('messageLine1');
         
         if (!isNaN(x1) && !isNaN(y1) && !isNaN(x2) && !isNaN(y2)) {
-            messageLines.push({ x1, y1, x2, y2, isDashed });
+            messageLines.push({ x1, y1, x2, y2, isDashed, element: lineEl });
         }
     });
     
@@ -1528,7 +2223,7 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
                 // Check if it's a self message (start and end x coordinates are close)
                 if (Math.abs(x1 - x2) < 20) { // Allow some margin of error
                     messageLines.push({ 
-                        x1, y1, x2, y2, isDashed, 
+                        x1, y1, x2, y2, isDashed, element: pathEl,
                         isSelfMessage: true 
                     });
                 }
@@ -1544,353 +2239,2082 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
         const line = messageLines[i];
         const messageText = messageTexts[i];
         
-        let fromParticipant = null;
-        let toParticipant = null;
-        
-        if (line.isSelfMessage) {
-            // Self message - find participant closest to x1
-            let minDist = Infinity;
-            for (const p of uniqueParticipants) {
-                const dist = Math.abs(p.x - line.x1);
-                if (dist < minDist) {
-                    minDist = dist;
-                    fromParticipant = toParticipant = p.name;
-                }
-            }
-        } else {
-            // Find sender and receiver based on x coordinates
-            let minDist1 = Infinity;
-            for (const p of uniqueParticipants) {
-                const dist = Math.abs(p.x - line.x1);
-                if (dist < minDist1) {
-                    minDist1 = dist;
-                    fromParticipant = p.name;
-                }
-            }
-            
-            let minDist2 = Infinity;
-            for (const p of uniqueParticipants) {
-                const dist = Math.abs(p.x - line.x2);
-                if (dist < minDist2) {
-                    minDist2 = dist;
-                    toParticipant = p.name;
-                }
-            }
-        }
+        // Self messages start and end on the same lifeline
+        const fromParticipant = closestParticipant(line.x1);
+        const toParticipant = line.isSelfMessage ? fromParticipant : closestParticipant(line.x2);
         
         if (fromParticipant && toParticipant) {
-            // Determine arrow type
-            let arrow;
-            if (line.isDashed) {
-                arrow = '-->>'; // Dashed arrow
-            } else {
-                arrow = '->>'; // Solid arrow
-            }
-            
             messages.push({
-                from: fromParticipant,
-                to: toParticipant,
+                from: fromParticipant.id,
+                to: toParticipant.id,
                 text: messageText.text,
-                arrow: arrow,
+                arrow: getSequenceMessageArrow(line.element, line.isDashed),
                 y: line.y1,
                 isSelfMessage: line.isSelfMessage || false
             });
-            
-            console.log(`Message ${i + 1}: ${fromParticipant} ${arrow} ${toParticipant}: ${messageText.text}`); // DEBUG
         }
     }
 
-    // 5. Parse loop areas
-    const loops = [];
+    // Activation bars begin and end on the message that toggled them
+    const snapToMessageY = (y) => {
+        let closestY = y;
+        let minDist = 15;
+        messages.forEach(msg => {
+            const dist = Math.abs(msg.y - y);
+            if (dist <= minDist) {
+                minDist = dist;
+                closestY = msg.y;
+            }
+        });
+        return closestY;
+    };
+
+    // 5. Parse activations
+    const activations = [];
+    svgElement.querySelectorAll('rect.activation0, rect.activation1, rect.activation2').forEach(rectEl => {
+        const x = parseFloat(rectEl.getAttribute('x'));
+        const y = parseFloat(rectEl.getAttribute('y'));
+        const width = parseFloat(rectEl.getAttribute('width')) || 0;
+        const height = parseFloat(rectEl.getAttribute('height')) || 0;
+        const participant = isNaN(x) ? null : closestParticipant(x + width / 2);
+        if (participant && !isNaN(y)) {
+            activations.push({ id: participant.id, startY: snapToMessageY(y), endY: snapToMessageY(y + height) });
+        }
+    });
+
+    // 6. Parse control-flow frames (loop/alt/opt/par/critical/break) and their section dividers
+    const frames = [];
+    svgElement.querySelectorAll('text.labelText').forEach(labelEl => {
+        const keyword = labelEl.textContent.trim().toLowerCase();
+        if (!(keyword in SEQUENCE_FRAME_SECTION_KEYWORDS)) return;
+
+        const frameEl = labelEl.parentNode;
+        const lines = Array.from(frameEl.querySelectorAll('line.loopLine')).map(line => ({
+            y1: parseFloat(line.getAttribute('y1')),
+            y2: parseFloat(line.getAttribute('y2'))
+        })).filter(line => !isNaN(line.y1) && !isNaN(line.y2));
+        if (lines.length < 4) return;
+
+        const ys = lines.flatMap(line => [line.y1, line.y2]);
+        const yMin = Math.min(...ys);
+        const yMax = Math.max(...ys);
+        const dividers = [...new Set(lines
+            .filter(line => Math.abs(line.y1 - line.y2) < 0.5 && line.y1 > yMin + 1 && line.y1 < yMax - 1)
+            .map(line => line.y1))].sort((a, b) => a - b);
+
+        const texts = Array.from(frameEl.querySelectorAll('text.loopText')).map(textEl => ({
+            text: cleanSequenceFrameText(textEl.textContent),
+            y: parseFloat(textEl.getAttribute('y')) || 0
+        }));
+        const textBetween = (top, bottom) => texts
+            .filter(t => t.y > top && t.y < bottom)
+            .map(t => t.text)
+            .filter(Boolean)
+            .join(' ');
+
+        const bounds = [yMin, ...dividers, yMax];
+        frames.push({
+            keyword,
+            yMin,
+            yMax,
+            title: textBetween(bounds[0], bounds[1]),
+            sections: dividers.map((y, index) => ({ y, text: textBetween(y, bounds[index + 2]) }))
+        });
+    });
+
+    // Older renderers draw a single loop without a label box
     const loopLines = svgElement.querySelectorAll('line.loopLine');
-    if (loopLines.length >= 4) {
-        const xs = Array.from(loopLines).map(line => [
-            parseFloat(line.getAttribute('x1')),
-            parseFloat(line.getAttribute('x2'))
-        ]).flat();
+    if (frames.length === 0 && loopLines.length >= 4) {
         const ys = Array.from(loopLines).map(line => [
             parseFloat(line.getAttribute('y1')),
             parseFloat(line.getAttribute('y2'))
         ]).flat();
-        
-        const xMin = Math.min(...xs);
-        const xMax = Math.max(...xs);
-        const yMin = Math.min(...ys);
-        const yMax = Math.max(...ys);
-        
-        let loopText = '';
         const loopTextEl = svgElement.querySelector('.loopText');
-        if (loopTextEl) {
-            loopText = loopTextEl.textContent.trim();
-        }
-        
-        loops.push({ xMin, xMax, yMin, yMax, text: loopText });
-        console.log("Found loop:", loopText, "from y", yMin, "to", yMax); // DEBUG
+        frames.push({
+            keyword: 'loop',
+            yMin: Math.min(...ys),
+            yMax: Math.max(...ys),
+            title: loopTextEl ? cleanSequenceFrameText(loopTextEl.textContent) : '',
+            sections: []
+        });
     }
 
-    // 6. Generate Mermaid code
+    // Background highlight blocks (`rect <color>`)
+    svgElement.querySelectorAll('rect.rect').forEach(rectEl => {
+        const y = parseFloat(rectEl.getAttribute('y'));
+        const height = parseFloat(rectEl.getAttribute('height'));
+        const fill = rectEl.getAttribute('fill') || rectEl.style.fill;
+        if (isNaN(y) || isNaN(height) || !fill) return;
+        frames.push({ keyword: 'rect', yMin: y, yMax: y + height, title: fill, sections: [] });
+    });
+
+    // 7. Generate Mermaid code
     let mermaidOutput = "sequenceDiagram\n";
+
+    const sequenceNumbers = Array.from(svgElement.querySelectorAll('text.sequenceNumber'))
+        .map(el => ({ value: parseInt(el.textContent, 10), y: parseFloat(el.getAttribute('y')) || 0 }))
+        .filter(n => !isNaN(n.value))
+        .sort((a, b) => a.y - b.y);
+    const autonumber = sequenceAutonumber(sequenceNumbers.map(n => n.value));
+    if (autonumber) {
+        mermaidOutput += `  ${autonumber}\n`;
+    }
     
     // Add participants
     uniqueParticipants.forEach(p => {
-        mermaidOutput += `  participant ${p.name}\n`;
+        const alias = p.label !== p.id ? ` as ${p.label}` : '';
+        mermaidOutput += `  ${p.kind} ${p.id}${alias}\n`;
+    });
+    mermaidOutput += "\n";
+
+    // Messages, notes, activations and frames in vertical order
+    renderSequenceEvents({ messages, notes, activations, frames }).forEach(line => {
+        mermaidOutput += `${line}\n`;
+    });
+
+    if (uniqueParticipants.length === 0 && messages.length === 0) return null;
+    console.log("Sequence diagram conversion completed. Participants:", uniqueParticipants.length, "Messages:", messages.length, "Notes:", notes.length); // DEBUG
+    return '```mermaid\n' + mermaidOutput.trim() + '\n```';
+}
+
+/**
+ * Helper: Convert SVG State Diagram to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the state diagram
+ * @returns {string|null}
+ */
+function convertStateDiagramSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    console.log("Converting state diagram...");
+
+    const stateIdFromElement = (el) => stateIdFromDomId(el.id);
+    const readLabel = (el) => {
+        const labelEl = el.querySelector('foreignObject .nodeLabel p, foreignObject .nodeLabel span, foreignObject .nodeLabel, text');
+        return labelEl ? labelEl.textContent.trim() : '';
+    };
+    const boxArea = (box) => box.width * box.height;
+
+    // 1. Parse composite states and concurrency regions (both rendered as clusters)
+    const scopes = [];
+    svgElement.querySelectorAll('g.cluster, g.statediagram-cluster').forEach(clusterEl => {
+        const rect = clusterEl.querySelector(':scope > rect') || clusterEl.querySelector('rect');
+        const box = getClientBox(rect || clusterEl);
+        if (!box) return;
+        const labelEl = clusterEl.querySelector(':scope > .cluster-label, :scope > g.label, :scope > text');
+        const label = labelEl ? labelEl.textContent.trim() : '';
+        const isRegion = clusterEl.classList.contains('divider') || /divider/i.test(clusterEl.id || '') || !label;
+        const id = stateIdFromElement(clusterEl) || clusterEl.id || label;
+        scopes.push({ kind: 'composite', name: id.replace(/\s+/g, '_'), label, box, isRegion, parent: null });
+    });
+    scopes.forEach(scope => {
+        scope.parent = scopes
+            .filter(other => other !== scope && boxArea(other.box) > boxArea(scope.box) && boxContainsPoint(other.box, scope.box.cx, scope.box.cy))
+            .sort((a, b) => boxArea(a.box) - boxArea(b.box))[0] || null;
+    });
+    const innermostScope = (box) => scopes
+        .filter(scope => boxContainsPoint(scope.box, box.cx, box.cy))
+        .sort((a, b) => boxArea(a.box) - boxArea(b.box))[0] || null;
+
+    // 2. Parse states, pseudo-states and notes
+    const nodes = [];
+    const notes = [];
+    svgElement.querySelectorAll('g.node').forEach(nodeEl => {
+        const box = getClientBox(nodeEl);
+        if (!box) return;
+        const id = stateIdFromElement(nodeEl);
+        const label = readLabel(nodeEl);
+
+        if (nodeEl.classList.contains('statediagram-note') || /----note/.test(nodeEl.id || '')) {
+            if (label) notes.push({ text: label, box });
+            return;
+        }
+
+        let kind = 'state';
+        if (nodeEl.querySelector('.state-start') || /_start$/.test(id)) {
+            kind = 'start';
+        } else if (nodeEl.querySelector('.state-end') || /_end$/.test(id) ||
+                   (!label && !nodeEl.classList.contains('statediagram-state') && nodeEl.querySelectorAll('circle, path').length >= 2)) {
+            kind = 'end';
+        } else if (nodeEl.querySelector('.fork-join') || /fork|join/i.test(nodeEl.getAttribute('class') || '')) {
+            kind = 'forkjoin';
+        } else if (!label && nodeEl.querySelector('polygon')) {
+            kind = 'choice';
+        }
+
+        if (kind === 'state' && !label && !id) return;
+        const name = kind === 'start' || kind === 'end' ? '[*]' : (id || label).replace(/\s+/g, '_');
+        nodes.push({ kind, name, label, box, scope: innermostScope(box) });
+    });
+
+    // 3. Get all labels
+    const labels = [];
+    svgElement.querySelectorAll('g.edgeLabel').forEach(labelEl => {
+        const text = labelEl.textContent.trim().replace(/^"|"$/g, '');
+        const box = getClientBox(labelEl);
+        if (text && box) {
+            labels.push({ text, x: box.cx, y: box.cy });
+        }
+    });
+
+    const endpoints = [...nodes, ...scopes.filter(scope => !scope.isRegion)];
+    const closestEndpoint = (point) => {
+        let closest = null;
+        let minDist = Infinity;
+        endpoints.forEach(candidate => {
+            const dist = stateEndpointDistance(point, candidate);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = candidate;
+            }
+        });
+        return minDist < 10 ? closest : null;
+    };
+    // The scope a transition is written in: the deepest scope containing both ends
+    const containerOf = (endpoint) => endpoint.kind === 'composite' ? endpoint.parent : endpoint.scope;
+    const ancestorsOf = (scope) => {
+        const chain = [];
+        for (let current = scope; current; current = current.parent) chain.push(current);
+        return chain;
+    };
+
+    const transitions = [];
+
+    // 4. Process paths
+    svgElement.querySelectorAll('path.transition').forEach(pathEl => {
+        const points = getPathClientPoints(pathEl);
+        if (!points) return;
+
+        if (pathEl.classList.contains('note-edge')) {
+            const note = notes.find(n => distanceToBox(points.start.x, points.start.y, n.box) < 10 || distanceToBox(points.end.x, points.end.y, n.box) < 10);
+            if (note) {
+                const far = distanceToBox(points.start.x, points.start.y, note.box) < 10 ? points.end : points.start;
+                note.target = closestEndpoint(far);
+            }
+            return;
+        }
+
+        const sourceNode = closestEndpoint(points.start);
+        const targetNode = closestEndpoint(points.end);
+        if (!sourceNode || !targetNode) return;
+
+        // Find label
+        let transitionLabel = '';
+        let minLabelDist = Infinity;
+        labels.forEach(label => {
+            const dist = Math.hypot(points.mid.x - label.x, points.mid.y - label.y);
+            if (dist < minLabelDist) {
+                minLabelDist = dist;
+                transitionLabel = label.text;
+            }
+        });
+        if (minLabelDist >= 150) transitionLabel = ''; // Arbitrary threshold, seems to work
+
+        const sourceChain = ancestorsOf(containerOf(sourceNode));
+        const scope = ancestorsOf(containerOf(targetNode)).find(candidate => sourceChain.includes(candidate)) || null;
+
+        // Avoid adding duplicates
+        if (!transitions.some(t => t.from === sourceNode && t.to === targetNode && t.label === transitionLabel)) {
+            transitions.push({ from: sourceNode, to: targetNode, label: transitionLabel, scope });
+        }
+    });
+
+    if (transitions.length === 0) return null;
+
+    nodes.filter(node => node.kind === 'forkjoin').forEach(node => {
+        const incoming = transitions.filter(t => t.to === node).length;
+        const outgoing = transitions.filter(t => t.from === node).length;
+        node.pseudo = forkJoinPseudo(incoming, outgoing);
+    });
+    nodes.filter(node => node.kind === 'choice').forEach(node => { node.pseudo = 'choice'; });
+
+    // 5. Generate Mermaid code
+    const lines = ['stateDiagram-v2'];
+    const emitScope = (scope, indent) => {
+        nodes.filter(node => node.scope === scope).forEach(node => {
+            const declaration = stateDeclaration(node);
+            if (declaration) lines.push(`${indent}${declaration}`);
+        });
+
+        transitions.filter(t => t.scope === scope).forEach(t => {
+            lines.push(`${indent}${stateTransitionLine(t.from.name, t.to.name, t.label)}`);
+        });
+
+        notes.filter(note => note.target && containerOf(note.target) === scope).forEach(note => {
+            const side = note.box.cx < note.target.box.cx ? 'left' : 'right';
+            lines.push(`${indent}note ${side} of ${note.target.name} : ${note.text}`);
+        });
+
+        const children = scopes.filter(child => child.parent === scope);
+        children.filter(child => !child.isRegion).forEach(child => {
+            lines.push(`${indent}${compositeStateHeader(child)} {`);
+            emitScope(child, indent + '    ');
+            lines.push(`${indent}}`);
+        });
+
+        // Concurrent regions of a composite are separated by "--"
+        children.filter(child => child.isRegion)
+            .sort((a, b) => a.box.y1 - b.box.y1 || a.box.x1 - b.box.x1)
+            .forEach((region, index) => {
+                if (index > 0) lines.push(`${indent}--`);
+                emitScope(region, indent);
+            });
+    };
+    emitScope(null, '    ');
+
+    const mermaidCode = lines.join('\n');
+    console.log("State diagram conversion completed. Transitions:", transitions.length);
+    
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+// Shared geometry/text helpers for the SVG -> Mermaid converters below; the ones that
+// need no DOM live in utils/mermaidSyntax.js, injected ahead of this script
+const {
+    quoteMermaidText,
+    parseTranslate,
+    markerNameFromReference,
+    distanceToBox,
+    findClosestByBox,
+    erCardinality,
+    escapeMermaidColons,
+    parseGanttTickDate,
+    createGanttTimeScale,
+    ganttTaskTags,
+    journeyScoreFromFaceY,
+    pieSliceFraction,
+    parsePieLegendText,
+    createChartValueScale,
+    formatMindmapNode,
+    clockwiseAngle,
+    replayGitGraph,
+    unwrapMermaidFence,
+    mermaidDiagramType,
+    normalizeSignatureText,
+    compareDiagramSignatures,
+    buildFidelityReport,
+    isMermaidDefinition,
+    extractMermaidFences,
+    extractFlightChunks,
+    scoreMermaidSourceMatch,
+    FLOWCHART_SHAPE_BRACKETS,
+    parsePolygonPoints,
+    classifyFlowchartPolygon,
+    parseFlowchartStyle,
+    flowchartEdgeArrow,
+    inferFlowchartDirection,
+    SEQUENCE_FRAME_SECTION_KEYWORDS,
+    sequenceMessageArrow,
+    cleanSequenceFrameText,
+    sequenceAutonumber,
+    renderSequenceEvents,
+    classMemberClassifier,
+    classMemberText,
+    classAnnotation,
+    classGenericSuffix,
+    renderClassDefinition,
+    labelClassRelationEnds,
+    stateIdFromDomId,
+    boxContainsPoint,
+    stateEndpointDistance,
+    forkJoinPseudo,
+    stateDeclaration,
+    compositeStateHeader,
+    stateTransitionLine,
+    toMermaidIdentifier,
+    renderC4Element,
+    renderC4BoundaryHeader,
+    renderC4Relation,
+    architectureIconFromOutlines,
+    architectureEdgeSide,
+    renderArchitectureEdge,
+    layoutBlockGrid,
+    formatBlockNode,
+    blockSpace
+} = globalThis.deepwikiMermaidSyntax;
+
+function getClientBox(element) {
+    if (!element || typeof element.getBoundingClientRect !== 'function') return null;
+    const rect = element.getBoundingClientRect();
+    if (!rect || (rect.width === 0 && rect.height === 0)) return null;
+    return {
+        x1: rect.left,
+        y1: rect.top,
+        x2: rect.right,
+        y2: rect.bottom,
+        cx: rect.left + rect.width / 2,
+        cy: rect.top + rect.height / 2,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+function toClientPoint(element, point) {
+    const ctm = typeof element.getScreenCTM === 'function' ? element.getScreenCTM() : null;
+    if (!ctm) return { x: point.x, y: point.y };
+    return {
+        x: ctm.a * point.x + ctm.c * point.y + ctm.e,
+        y: ctm.b * point.x + ctm.d * point.y + ctm.f
+    };
+}
+
+// Returns the start, middle and end of a path in client (viewport) coordinates
+function getPathClientPoints(pathEl) {
+    try {
+        const totalLength = pathEl.getTotalLength();
+        if (!(totalLength > 0)) return null;
+        return {
+            start: toClientPoint(pathEl, pathEl.getPointAtLength(0)),
+            mid: toClientPoint(pathEl, pathEl.getPointAtLength(totalLength / 2)),
+            end: toClientPoint(pathEl, pathEl.getPointAtLength(totalLength))
+        };
+    } catch (e) {
+        console.warn("Could not measure path", pathEl, e);
+        return null;
+    }
+}
+
+// Reads a label from either a foreignObject (HTML labels) or plain SVG text/tspans
+function getSvgLabelText(element) {
+    if (!element) return '';
+    const htmlLabel = element.querySelector('foreignObject p, foreignObject .nodeLabel, foreignObject span, foreignObject div');
+    const text = htmlLabel ? htmlLabel.textContent : element.textContent;
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function getMarkerName(pathEl, attribute) {
+    return markerNameFromReference(pathEl.getAttribute(attribute));
+}
+
+/**
+ * Helper: Convert SVG Entity Relationship Diagram to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the ER diagram
+ * @returns {string|null}
+ */
+function convertErDiagramSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const entities = [];
+
+    const deriveEntityName = (svgId, label) => {
+        // Classic renderer: entity-NAME-<uuid>, unified renderer: <diagramId>-entity-NAME-<n>
+        const idMatch = (svgId || '').match(/(?:^|-)entity-(.+?)(?:-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|-\d+)?$/i);
+        const fromId = idMatch ? idMatch[1] : '';
+        if (fromId && /^[A-Za-z_][\w-]*$/.test(fromId)) return fromId;
+        return label.replace(/[^\w-]+/g, '_') || `ENTITY_${entities.length + 1}`;
+    };
+
+    // 1a. Classic renderer: <g id="entity-..."> with rect.entityBox and text.entityLabel rows
+    svgElement.querySelectorAll('rect.entityBox').forEach(rect => {
+        const group = rect.parentNode;
+        if (!group || entities.some(e => e.element === group)) return;
+
+        const svgId = group.getAttribute('id') || '';
+        const labelEl = group.querySelector(`[id="text-${svgId}"]`) || group.querySelector('text.entityLabel');
+        const label = labelEl ? labelEl.textContent.trim() : '';
+        if (!label) return;
+
+        const rows = {};
+        group.querySelectorAll('text.entityLabel[id*="-attr-"]').forEach(textEl => {
+            const match = textEl.id.match(/-attr-(\d+)-(type|name|key|comment)$/);
+            if (!match) return;
+            const row = rows[match[1]] || (rows[match[1]] = {});
+            row[match[2]] = textEl.textContent.trim();
+        });
+
+        const attributes = Object.keys(rows)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(key => rows[key])
+            .filter(row => row.type || row.name);
+
+        entities.push({
+            element: group,
+            name: deriveEntityName(svgId, label),
+            label,
+            attributes,
+            box: getClientBox(rect)
+        });
+    });
+
+    // 1b. Unified renderer: g.node with label.name and attribute-* label groups
+    if (entities.length === 0) {
+        svgElement.querySelectorAll('g.node').forEach(nodeEl => {
+            const nameEl = nodeEl.querySelector('.label.name');
+            const label = getSvgLabelText(nameEl);
+            if (!label) return;
+
+            const cells = [];
+            ['type', 'name', 'keys', 'comment'].forEach(kind => {
+                nodeEl.querySelectorAll(`.label.attribute-${kind}`).forEach(cellEl => {
+                    const pos = parseTranslate(cellEl.getAttribute('transform'));
+                    cells.push({ kind: kind === 'keys' ? 'key' : kind, y: pos ? pos.y : 0, text: getSvgLabelText(cellEl) });
+                });
+            });
+
+            // Cells on the same row share a y offset
+            const rows = [];
+            cells.sort((a, b) => a.y - b.y).forEach(cell => {
+                let row = rows.find(r => Math.abs(r.y - cell.y) < 2);
+                if (!row) {
+                    row = { y: cell.y };
+                    rows.push(row);
+                }
+                row[cell.kind] = cell.text;
+            });
+
+            entities.push({
+                element: nodeEl,
+                name: deriveEntityName(nodeEl.getAttribute('id'), label),
+                label,
+                attributes: rows.filter(row => row.type || row.name),
+                box: getClientBox(nodeEl)
+            });
+        });
+    }
+
+    if (entities.length === 0) return null;
+
+    // 2. Relationship labels
+    const labels = [];
+    svgElement.querySelectorAll('text.relationshipLabel, g.edgeLabel').forEach(labelEl => {
+        const text = getSvgLabelText(labelEl);
+        const box = getClientBox(labelEl);
+        if (text && box) labels.push({ text, x: box.cx, y: box.cy, used: false });
+    });
+
+    // 3. Relationships: path start belongs to the left entity, path end to the right one
+    const relationships = [];
+    svgElement.querySelectorAll('path.relationshipLine').forEach(pathEl => {
+        const points = getPathClientPoints(pathEl);
+        if (!points) return;
+
+        const from = findClosestByBox(points.start, entities, 40);
+        const to = findClosestByBox(points.end, entities, 40);
+        if (!from || !to) {
+            console.warn("Could not determine entities for ER relationship", pathEl);
+            return;
+        }
+
+        const pathClass = pathEl.getAttribute('class') || '';
+        const dashArray = pathEl.getAttribute('stroke-dasharray') || pathEl.style?.strokeDasharray || '';
+        const isNonIdentifying = pathClass.includes('dashed') || pathClass.includes('dotted') ||
+            (dashArray && dashArray !== '0' && dashArray !== 'none');
+
+        let label = '';
+        let closestLabel = null;
+        let minDist = Infinity;
+        labels.forEach(candidate => {
+            if (candidate.used) return;
+            const dist = Math.hypot(candidate.x - points.mid.x, candidate.y - points.mid.y);
+            if (dist < minDist) {
+                minDist = dist;
+                closestLabel = candidate;
+            }
+        });
+        if (closestLabel && minDist < 80) {
+            closestLabel.used = true;
+            label = closestLabel.text;
+        }
+
+        const left = erCardinality(getMarkerName(pathEl, 'marker-start'), 'left');
+        const right = erCardinality(getMarkerName(pathEl, 'marker-end'), 'right');
+        relationships.push(`    ${from.name} ${left}${isNonIdentifying ? '..' : '--'}${right} ${to.name} : ${quoteMermaidText(label)}`);
+    });
+
+    // 4. Generate Mermaid code
+    const mermaidLines = ['erDiagram'];
+    entities.forEach(entity => {
+        const alias = entity.label !== entity.name ? `[${quoteMermaidText(entity.label)}]` : '';
+        if (entity.attributes.length === 0) {
+            mermaidLines.push(`    ${entity.name}${alias}`);
+            return;
+        }
+        mermaidLines.push(`    ${entity.name}${alias} {`);
+        entity.attributes.forEach(attr => {
+            const type = (attr.type || 'string').replace(/\s+/g, '');
+            const name = (attr.name || '').replace(/\s+/g, '_');
+            const keys = (attr.key || '').split(/[\s,]+/).filter(k => /^(PK|FK|UK)$/i.test(k)).map(k => k.toUpperCase());
+            let line = `        ${type} ${name}`;
+            if (keys.length) line += ` ${keys.join(', ')}`;
+            if (attr.comment) line += ` ${quoteMermaidText(attr.comment.replace(/^"|"$/g, ''))}`;
+            mermaidLines.push(line);
+        });
+        mermaidLines.push('    }');
+    });
+    mermaidLines.push(...relationships);
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Gantt chart to Mermaid code
+ * Task dates are recovered by mapping bar positions onto the axis tick dates.
+ * @param {SVGElement} svgElement - The SVG DOM element for the gantt chart
+ * @returns {string|null}
+ */
+function convertGanttSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // 1. Axis ticks give us the pixel -> time mapping
+    const ticks = [];
+    svgElement.querySelectorAll('g.grid g.tick').forEach(tickEl => {
+        const time = parseGanttTickDate((tickEl.textContent || '').trim());
+        const box = getClientBox(tickEl.querySelector('line') || tickEl);
+        if (time !== null && box) ticks.push({ time, x: box.cx });
+    });
+    const timeScale = createGanttTimeScale(ticks);
+    if (!timeScale) {
+        console.warn("Gantt axis ticks could not be parsed as dates; skipping conversion");
+        return null;
+    }
+    const { dayPrecision, unitMs, xToTime, formatTime } = timeScale;
+
+    // 2. Task bars
+    const tasks = [];
+    svgElement.querySelectorAll('rect.task').forEach(rect => {
+        const box = getClientBox(rect);
+        if (!box) return;
+
+        const classes = (rect.getAttribute('class') || '').split(/\s+/);
+        const sectionClass = classes.find(c => /^task\d+$/.test(c));
+        const isMilestone = classes.includes('milestone');
+        const tags = ganttTaskTags(classes);
+
+        const id = rect.getAttribute('id') || '';
+        let textEl = id ? svgElement.querySelector(`text[id="${id}-text"]`) : null;
+        if (!textEl) {
+            let minDist = Infinity;
+            svgElement.querySelectorAll('text[class*="taskText"]').forEach(candidate => {
+                const candidateBox = getClientBox(candidate);
+                if (!candidateBox) return;
+                const dist = Math.abs(candidateBox.cy - box.cy);
+                if (dist < minDist && dist < box.height) {
+                    minDist = dist;
+                    textEl = candidate;
+                }
+            });
+        }
+
+        const start = xToTime(isMilestone ? box.cx : box.x1);
+        const end = isMilestone ? start : xToTime(box.x2);
+        tasks.push({
+            name: textEl ? textEl.textContent.trim() : id,
+            id: /^task\d+$/.test(id) ? '' : id,
+            tags,
+            start,
+            duration: Math.max(0, Math.round((end - start) / unitMs)),
+            sectionIndex: sectionClass ? sectionClass.replace('task', '') : '',
+            y: box.cy
+        });
+    });
+
+    if (tasks.length === 0) return null;
+    tasks.sort((a, b) => a.y - b.y);
+
+    // 3. Sections: consecutive rows share a section colour index, titles appear in the same order
+    const sectionTitles = Array.from(svgElement.querySelectorAll('text.sectionTitle'))
+        .map(el => ({ text: el.textContent.trim(), box: getClientBox(el) }))
+        .filter(s => s.text && s.box)
+        .sort((a, b) => a.box.cy - b.box.cy);
+
+    const sections = [];
+    tasks.forEach(task => {
+        const current = sections[sections.length - 1];
+        if (!current || current.sectionIndex !== task.sectionIndex) {
+            sections.push({ sectionIndex: task.sectionIndex, tasks: [task] });
+        } else {
+            current.tasks.push(task);
+        }
+    });
+
+    // 4. Generate Mermaid code
+    const mermaidLines = ['gantt'];
+    const title = svgElement.querySelector('text.titleText')?.textContent.trim();
+    if (title) mermaidLines.push(`    title ${title}`);
+    mermaidLines.push(`    dateFormat ${dayPrecision ? 'YYYY-MM-DD' : 'YYYY-MM-DD HH:mm'}`);
+
+    const durationUnit = dayPrecision ? 'd' : 'm';
+    sections.forEach((section, index) => {
+        const sectionTitle = sectionTitles[index]?.text;
+        if (sectionTitle) mermaidLines.push(`    section ${sectionTitle}`);
+        section.tasks.forEach(task => {
+            const meta = [...task.tags];
+            if (task.id) meta.push(task.id);
+            meta.push(formatTime(task.start), `${task.duration}${durationUnit}`);
+            mermaidLines.push(`    ${escapeMermaidColons(task.name)} :${meta.join(', ')}`);
+        });
+    });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Timeline diagram to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the timeline
+ * @returns {string|null}
+ */
+function convertTimelineSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const readNode = nodeEl => {
+        const texts = Array.from(nodeEl.querySelectorAll('text'));
+        const text = (texts.length ? texts.map(t => t.textContent).join(' ') : nodeEl.textContent || '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return { text, box: getClientBox(nodeEl) };
+    };
+
+    const collect = selector => Array.from(svgElement.querySelectorAll(selector))
+        .map(readNode)
+        .filter(n => n.text && n.box);
+
+    const all = collect('g.timeline-node');
+    if (all.length === 0) return null;
+
+    const sameNode = (a, b) => a.text === b.text && a.box.cx === b.box.cx && a.box.cy === b.box.cy;
+    let periods = collect('g.taskWrapper g.timeline-node');
+    let events = collect('g.eventWrapper g.timeline-node');
+    let sections = all.filter(n => !periods.some(p => sameNode(p, n)) && !events.some(e => sameNode(e, n)));
+
+    if (periods.length === 0) {
+        // No wrapper groups: the top-most row of nodes holds the periods
+        const topY = Math.min(...all.map(n => n.box.y1));
+        periods = all.filter(n => Math.abs(n.box.y1 - topY) < 2);
+        events = all.filter(n => !periods.includes(n));
+        sections = [];
+    }
+
+    periods.sort((a, b) => a.box.cx - b.box.cx);
+    periods.forEach(period => { period.events = []; });
+
+    events.sort((a, b) => a.box.cy - b.box.cy).forEach(event => {
+        let closest = null;
+        let minDist = Infinity;
+        periods.forEach(period => {
+            const dist = Math.abs(period.box.cx - event.box.cx);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = period;
+            }
+        });
+        if (closest) closest.events.push(event.text);
+    });
+
+    // Sections span the periods lying horizontally within them
+    const sectionsByPeriod = new Map();
+    sections.sort((a, b) => a.box.cx - b.box.cx).forEach(section => {
+        periods.forEach(period => {
+            if (period.box.cx >= section.box.x1 && period.box.cx <= section.box.x2 && !sectionsByPeriod.has(period)) {
+                sectionsByPeriod.set(period, section.text);
+            }
+        });
+    });
+
+    const mermaidLines = ['timeline'];
+    const titleEl = Array.from(svgElement.querySelectorAll(':scope > text, :scope > g > text'))
+        .find(t => t.getAttribute('font-weight') === 'bold' || t.classList.contains('timeline-title'));
+    if (titleEl && titleEl.textContent.trim()) mermaidLines.push(`    title ${titleEl.textContent.trim()}`);
+
+    let currentSection = null;
+    periods.forEach(period => {
+        const sectionName = sectionsByPeriod.get(period);
+        if (sectionName && sectionName !== currentSection) {
+            mermaidLines.push(`    section ${sectionName}`);
+            currentSection = sectionName;
+        }
+        const indent = currentSection ? '        ' : '    ';
+        const eventPart = period.events.map(e => ` : ${escapeMermaidColons(e)}`).join('');
+        mermaidLines.push(`${indent}${escapeMermaidColons(period.text)}${eventPart}`);
+    });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG User Journey diagram to Mermaid code
+ * Scores are read back from the face position (cy = 300 + (5 - score) * 30).
+ * @param {SVGElement} svgElement - The SVG DOM element for the journey
+ * @returns {string|null}
+ */
+function convertJourneySvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const readText = group => {
+        const htmlLabel = group.querySelector('foreignObject div');
+        if (htmlLabel) return htmlLabel.textContent.replace(/\s+/g, ' ').trim();
+        return Array.from(group.querySelectorAll('text'))
+            .map(t => t.textContent)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    };
+
+    const sections = [];
+    svgElement.querySelectorAll('rect.journey-section').forEach(rect => {
+        const box = getClientBox(rect);
+        const text = readText(rect.parentNode);
+        if (box && text) sections.push({ text, box, tasks: [] });
+    });
+
+    const tasks = [];
+    svgElement.querySelectorAll('rect.task').forEach(rect => {
+        const group = rect.parentNode;
+        const box = getClientBox(rect);
+        const name = readText(group);
+        if (!box || !name) return;
+
+        let score = null;
+        const face = group.querySelector('circle.face');
+        if (face) {
+            score = journeyScoreFromFaceY(parseFloat(face.getAttribute('cy')));
+        }
+
+        const actors = Array.from(group.querySelectorAll('circle > title'))
+            .map(t => t.textContent.trim())
+            .filter(Boolean);
+
+        tasks.push({ name, score: score ?? 3, actors, box });
+    });
+
+    if (tasks.length === 0) return null;
+    tasks.sort((a, b) => a.box.x1 - b.box.x1);
+
+    const unsectioned = [];
+    tasks.forEach(task => {
+        const section = sections.find(s => task.box.cx >= s.box.x1 && task.box.cx <= s.box.x2);
+        (section ? section.tasks : unsectioned).push(task);
+    });
+
+    const mermaidLines = ['journey'];
+    const titleEl = svgElement.querySelector('text.journey-title') ||
+        Array.from(svgElement.querySelectorAll('text')).find(t => t.getAttribute('font-weight') === 'bold');
+    if (titleEl && titleEl.textContent.trim()) mermaidLines.push(`    title ${titleEl.textContent.trim()}`);
+
+    const pushTask = task => {
+        const actorPart = task.actors.length ? `: ${task.actors.join(', ')}` : '';
+        mermaidLines.push(`      ${escapeMermaidColons(task.name)}: ${task.score}${actorPart}`);
+    };
+
+    unsectioned.forEach(pushTask);
+    sections.sort((a, b) => a.box.x1 - b.box.x1).forEach(section => {
+        if (section.tasks.length === 0) return;
+        mermaidLines.push(`    section ${section.text}`);
+        section.tasks.forEach(pushTask);
+    });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+function getElementFill(element) {
+    return (element.getAttribute('fill') || element.style?.fill || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Helper: Convert SVG Pie chart to Mermaid code
+ * Legend entries are matched to slices by fill colour; when the legend doesn't show
+ * the raw values, they are recovered from the slice angles as percentages.
+ * @param {SVGElement} svgElement - The SVG DOM element for the pie chart
+ * @returns {string|null}
+ */
+function convertPieChartSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const slices = Array.from(svgElement.querySelectorAll('path.pieCircle')).map(pathEl => ({
+        fill: getElementFill(pathEl),
+        fraction: pieSliceFraction(pathEl.getAttribute('d'))
+    }));
+
+    const entries = [];
+    svgElement.querySelectorAll('g.legend').forEach(legendEl => {
+        const text = legendEl.querySelector('text')?.textContent.trim();
+        const rect = legendEl.querySelector('rect');
+        if (!text) return;
+        entries.push({
+            ...parsePieLegendText(text),
+            fill: rect ? getElementFill(rect) : ''
+        });
+    });
+
+    if (entries.length === 0) return null;
+
+    const showData = entries.every(entry => entry.value !== null && !isNaN(entry.value));
+    if (!showData) {
+        entries.forEach((entry, index) => {
+            const slice = slices.find(s => s.fill && s.fill === entry.fill) || slices[index];
+            entry.value = slice && slice.fraction !== null ? Number((slice.fraction * 100).toFixed(2)) : 0;
+        });
+    }
+
+    const mermaidLines = [showData ? 'pie showData' : 'pie'];
+    const title = svgElement.querySelector('text.pieTitleText')?.textContent.trim();
+    if (title) mermaidLines.push(`    title ${title}`);
+    entries.forEach(entry => {
+        mermaidLines.push(`    ${quoteMermaidText(entry.label)} : ${entry.value}`);
+    });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Quadrant chart to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the quadrant chart
+ * @returns {string|null}
+ */
+function convertQuadrantChartSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const quadrants = [];
+    svgElement.querySelectorAll('g.quadrant').forEach(quadrantEl => {
+        const box = getClientBox(quadrantEl.querySelector('rect'));
+        if (box) quadrants.push({ box, text: quadrantEl.querySelector('text')?.textContent.trim() || '' });
+    });
+    if (quadrants.length === 0) return null;
+
+    const area = {
+        x1: Math.min(...quadrants.map(q => q.box.x1)),
+        y1: Math.min(...quadrants.map(q => q.box.y1)),
+        x2: Math.max(...quadrants.map(q => q.box.x2)),
+        y2: Math.max(...quadrants.map(q => q.box.y2))
+    };
+    const midX = (area.x1 + area.x2) / 2;
+    const midY = (area.y1 + area.y2) / 2;
+
+    // quadrant-1 is top right, then counter-clockwise
+    const quadrantLabels = {};
+    quadrants.forEach(q => {
+        const right = q.box.cx > midX;
+        const top = q.box.cy < midY;
+        const number = top ? (right ? 1 : 2) : (right ? 4 : 3);
+        if (q.text) quadrantLabels[number] = q.text;
+    });
+
+    const axis = { xLeft: '', xRight: '', yBottom: '', yTop: '' };
+    svgElement.querySelectorAll('g.labels g.label').forEach(labelEl => {
+        const textEl = labelEl.querySelector('text');
+        const text = textEl?.textContent.trim();
+        const box = getClientBox(textEl);
+        if (!text || !box) return;
+        const rotated = /rotate/.test(textEl.getAttribute('transform') || '') || box.height > box.width * 1.5;
+        if (rotated) {
+            axis[box.cy > midY ? 'yBottom' : 'yTop'] = text;
+        } else {
+            axis[box.cx < midX ? 'xLeft' : 'xRight'] = text;
+        }
+    });
+
+    const points = [];
+    svgElement.querySelectorAll('g.data-point').forEach(pointEl => {
+        const circle = pointEl.querySelector('circle');
+        const box = getClientBox(circle);
+        const text = pointEl.querySelector('text')?.textContent.trim();
+        if (!box || !text) return;
+        const x = (box.cx - area.x1) / (area.x2 - area.x1);
+        const y = (area.y2 - box.cy) / (area.y2 - area.y1);
+        points.push(`    ${text}: [${Number(x.toFixed(2))}, ${Number(y.toFixed(2))}]`);
+    });
+
+    const mermaidLines = ['quadrantChart'];
+    const title = svgElement.querySelector('g.title text')?.textContent.trim();
+    if (title) mermaidLines.push(`    title ${title}`);
+    if (axis.xLeft || axis.xRight) {
+        mermaidLines.push(`    x-axis ${axis.xLeft}${axis.xRight ? ` --> ${axis.xRight}` : ''}`);
+    }
+    if (axis.yBottom || axis.yTop) {
+        mermaidLines.push(`    y-axis ${axis.yBottom}${axis.yTop ? ` --> ${axis.yTop}` : ''}`);
+    }
+    [1, 2, 3, 4].forEach(number => {
+        if (quadrantLabels[number]) mermaidLines.push(`    quadrant-${number} ${quadrantLabels[number]}`);
+    });
+    mermaidLines.push(...points);
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG XY chart (xychart-beta) to Mermaid code
+ * Bar heights and line points are mapped back to data values through the numeric axis ticks.
+ * @param {SVGElement} svgElement - The SVG DOM element for the xy chart
+ * @returns {string|null}
+ */
+function convertXyChartSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const readAxis = selector => {
+        const axisEl = svgElement.querySelector(selector);
+        if (!axisEl) return null;
+        const labels = Array.from(axisEl.querySelectorAll('g.label text'))
+            .map(textEl => ({ text: textEl.textContent.trim(), box: getClientBox(textEl) }))
+            .filter(label => label.text && label.box);
+        const numeric = labels.length > 1 && labels.every(label => !isNaN(Number(label.text.replace(/,/g, ''))));
+        return {
+            title: axisEl.querySelector('g.title text')?.textContent.trim() || '',
+            labels,
+            numeric
+        };
+    };
+
+    const bottomAxis = readAxis('g.bottom-axis');
+    const leftAxis = readAxis('g.left-axis');
+    if (!bottomAxis || !leftAxis) return null;
+
+    const horizontal = bottomAxis.numeric && !leftAxis.numeric;
+    const categoryAxis = horizontal ? leftAxis : bottomAxis;
+    const valueAxis = horizontal ? bottomAxis : leftAxis;
+    if (!valueAxis.numeric) return null;
+
+    // Pixel -> value mapping along the value axis
+    const coordOf = box => (horizontal ? box.cx : box.cy);
+    const valueScale = createChartValueScale(valueAxis.labels
+        .map(label => ({ value: Number(label.text.replace(/,/g, '')), pos: coordOf(label.box) })));
+    if (!valueScale) return null;
+    const { low, high, posToValue } = valueScale;
+
+    const categoryPos = box => (horizontal ? box.cy : box.cx);
+    const categories = categoryAxis.labels.slice().sort((a, b) => categoryPos(a.box) - categoryPos(b.box));
+    const categoryIndexFor = pos => {
+        let closest = 0;
+        let minDist = Infinity;
+        categories.forEach((category, index) => {
+            const dist = Math.abs(categoryPos(category.box) - pos);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = index;
+            }
+        });
+        return closest;
+    };
+
+    const series = [];
+    svgElement.querySelectorAll('g.plot > g').forEach(plotEl => {
+        const plotClass = plotEl.getAttribute('class') || '';
+        if (plotClass.includes('bar-plot')) {
+            const values = new Array(categories.length).fill(0);
+            plotEl.querySelectorAll('rect').forEach(rect => {
+                const box = getClientBox(rect);
+                if (!box) return;
+                const index = categoryIndexFor(horizontal ? box.cy : box.cx);
+                values[index] = posToValue(horizontal ? box.x2 : box.y1);
+            });
+            series.push(`    bar [${values.join(', ')}]`);
+        } else if (plotClass.includes('line-plot')) {
+            const pathEl = plotEl.querySelector('path');
+            const numbers = (pathEl?.getAttribute('d') || '').match(/[-+]?(?:\d*\.\d+|\d+)(?:e[-+]?\d+)?/gi) || [];
+            const values = new Array(categories.length).fill(0);
+            for (let i = 0; i + 1 < numbers.length; i += 2) {
+                const point = toClientPoint(pathEl, { x: Number(numbers[i]), y: Number(numbers[i + 1]) });
+                values[categoryIndexFor(horizontal ? point.y : point.x)] = posToValue(horizontal ? point.x : point.y);
+            }
+            series.push(`    line [${values.join(', ')}]`);
+        }
+    });
+
+    if (series.length === 0) return null;
+
+    const axisLine = (name, axisInfo) => {
+        const titlePart = axisInfo.title ? `${quoteMermaidText(axisInfo.title)} ` : '';
+        if (axisInfo === valueAxis) {
+            return `    ${name} ${titlePart}${low.value} --> ${high.value}`;
+        }
+        return `    ${name} ${titlePart}[${categories.map(c => /^[\w.-]+$/.test(c.text) ? c.text : quoteMermaidText(c.text)).join(', ')}]`;
+    };
+
+    const mermaidLines = [horizontal ? 'xychart-beta horizontal' : 'xychart-beta'];
+    const title = svgElement.querySelector('g.chart-title text')?.textContent.trim();
+    if (title) mermaidLines.push(`    title ${quoteMermaidText(title)}`);
+    mermaidLines.push(axisLine('x-axis', categoryAxis));
+    mermaidLines.push(axisLine('y-axis', valueAxis));
+    mermaidLines.push(...series);
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Mindmap to Mermaid code
+ * The hierarchy comes from the edges (drawn from parent centre to child centre),
+ * node shapes from the background element of each node.
+ * @param {SVGElement} svgElement - The SVG DOM element for the mindmap
+ * @returns {string|null}
+ */
+function convertMindmapSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const nodes = [];
+    svgElement.querySelectorAll('g.mindmap-node').forEach(nodeEl => {
+        const text = getSvgLabelText(nodeEl);
+        const box = getClientBox(nodeEl);
+        if (!text || !box) return;
+
+        let shape = '';
+        const bkg = nodeEl.querySelector('.node-bkg');
+        if (bkg) {
+            const shapeClass = Array.from(bkg.classList).find(c => c.startsWith('node-') && c !== 'node-bkg');
+            shape = shapeClass ? shapeClass.replace('node-', '') : '';
+        } else if (nodeEl.querySelector(':scope > circle')) {
+            shape = 'circle';
+        }
+
+        const iconEl = nodeEl.querySelector('.icon-container i[class], i[class*="fa-"]');
+        nodes.push({
+            text,
+            box,
+            shape,
+            icon: iconEl ? iconEl.getAttribute('class').trim() : '',
+            isRoot: nodeEl.classList.contains('section-root') || nodeEl.classList.contains('section--1'),
+            children: [],
+            parent: null
+        });
+    });
+
+    if (nodes.length === 0) return null;
+
+    const closestNode = point => {
+        let closest = null;
+        let minDist = Infinity;
+        nodes.forEach(node => {
+            const dist = Math.hypot(node.box.cx - point.x, node.box.cy - point.y);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = node;
+            }
+        });
+        return closest;
+    };
+
+    svgElement.querySelectorAll('path.edge, g.edgePaths path').forEach(pathEl => {
+        const points = getPathClientPoints(pathEl);
+        if (!points) return;
+        const parent = closestNode(points.start);
+        const child = closestNode(points.end);
+        if (!parent || !child || parent === child || child.parent) return;
+        child.parent = parent;
+        parent.children.push(child);
+    });
+
+    const root = nodes.find(n => n.isRoot && !n.parent) || nodes.find(n => !n.parent);
+    // Nodes the edges didn't reach still belong to the map; hang them off the root
+    nodes.forEach(node => {
+        if (node !== root && !node.parent) {
+            node.parent = root;
+            root.children.push(node);
+        }
+    });
+
+    const mermaidLines = ['mindmap'];
+    let counter = 0;
+    const emit = (node, depth) => {
+        const indent = '  '.repeat(depth + 1);
+        counter += 1;
+        mermaidLines.push(`${indent}${formatMindmapNode(node.text, node.shape, `n${counter}`)}`);
+        if (node.icon) mermaidLines.push(`${indent}::icon(${node.icon})`);
+
+        // Siblings keep their visual order: clockwise from the top around the parent
+        const angleOf = child => clockwiseAngle({ x: node.box.cx, y: node.box.cy }, { x: child.box.cx, y: child.box.cy });
+        node.children
+            .slice()
+            .sort((a, b) => angleOf(a) - angleOf(b))
+            .forEach(child => emit(child, depth + 1));
+    };
+    emit(root, 0);
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Git graph to Mermaid code
+ * Commits are replayed in the order they appear along the branch lanes.
+ * @param {SVGElement} svgElement - The SVG DOM element for the git graph
+ * @returns {string|null}
+ */
+function convertGitGraphSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // 1. Branch lanes: branch lines and labels are drawn in the same order
+    const branchLines = Array.from(svgElement.querySelectorAll('line[class*="branch"]'));
+    const branchLabels = Array.from(svgElement.querySelectorAll('g.branchLabel'));
+    if (branchLines.length === 0) return null;
+
+    const firstLine = branchLines[0];
+    const vertical = parseFloat(firstLine.getAttribute('x1')) === parseFloat(firstLine.getAttribute('x2')) &&
+        parseFloat(firstLine.getAttribute('y1')) !== parseFloat(firstLine.getAttribute('y2'));
+    const laneOf = box => (vertical ? box.cx : box.cy);
+    const orderOf = box => (vertical ? box.cy : box.cx);
+
+    const branches = [];
+    branchLines.forEach((lineEl, index) => {
+        const box = getClientBox(lineEl);
+        const name = branchLabels[index] ? branchLabels[index].textContent.trim() : '';
+        if (box && name) branches.push({ name, lane: laneOf(box) });
+    });
+    if (branches.length === 0) return null;
+
+    const branchAt = box => {
+        let closest = branches[0];
+        branches.forEach(branch => {
+            if (Math.abs(branch.lane - laneOf(box)) < Math.abs(closest.lane - laneOf(box))) closest = branch;
+        });
+        return closest;
+    };
+
+    // 2. Commits: every shape of a commit carries "commit <id>" in its class list
+    const commitsById = new Map();
+    svgElement.querySelectorAll('g.commit-bullets [class~="commit"]').forEach(el => {
+        const classes = Array.from(el.classList);
+        const id = classes.find(c => c !== 'commit' && !/^commit[-\d]/.test(c));
+        const box = getClientBox(el);
+        if (!id || !box) return;
+
+        let commit = commitsById.get(id);
+        if (!commit) {
+            commit = { id, box, type: '', tags: [], parents: [], branch: branchAt(box) };
+            commitsById.set(id, commit);
+        }
+        if (classes.includes('commit-merge')) commit.type = 'merge';
+        else if (classes.some(c => c.startsWith('commit-cherry-pick'))) commit.type = 'cherry-pick';
+        else if (classes.some(c => c.startsWith('commit-highlight')) && !commit.type) commit.type = 'HIGHLIGHT';
+    });
+    svgElement.querySelectorAll('g.commit-bullets .commit-reverse').forEach(el => {
+        const box = getClientBox(el);
+        const commit = box && Array.from(commitsById.values()).find(c => Math.hypot(c.box.cx - box.cx, c.box.cy - box.cy) < 5);
+        if (commit && !commit.type) commit.type = 'REVERSE';
+    });
+
+    const commits = Array.from(commitsById.values()).sort((a, b) => orderOf(a.box) - orderOf(b.box));
+    if (commits.length === 0) return null;
+
+    const commitNear = (point, tolerance = 20) => {
+        let closest = null;
+        let minDist = tolerance;
+        commits.forEach(commit => {
+            const dist = Math.hypot(commit.box.cx - point.x, commit.box.cy - point.y);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = commit;
+            }
+        });
+        return closest;
+    };
+
+    // 3. Tags sit above (or beside) their commit along the same order axis
+    svgElement.querySelectorAll('text.tag-label').forEach(tagEl => {
+        const box = getClientBox(tagEl);
+        if (!box) return;
+        let closest = null;
+        commits.forEach(commit => {
+            if (!closest || Math.abs(orderOf(commit.box) - orderOf(box)) < Math.abs(orderOf(closest.box) - orderOf(box))) {
+                closest = commit;
+            }
+        });
+        if (closest) closest.tags.push(tagEl.textContent.trim());
+    });
+
+    // 4. Arrows run from parent to child commit
+    svgElement.querySelectorAll('g.commit-arrows path, path.arrow').forEach(pathEl => {
+        const points = getPathClientPoints(pathEl);
+        if (!points) return;
+        const parent = commitNear(points.start);
+        const child = commitNear(points.end);
+        if (parent && child && parent !== child && !child.parents.includes(parent)) child.parents.push(parent);
+    });
+
+    // 5. Replay the history
+    const mermaidLines = replayGitGraph({ branches, commits, vertical });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+function readC4TextLines(element) {
+    return Array.from(element.querySelectorAll('text')).map(textEl => {
+        const style = [
+            textEl.getAttribute('style') || '',
+            `font-weight:${textEl.getAttribute('font-weight') || ''}`,
+            `font-style:${textEl.getAttribute('font-style') || ''}`
+        ].join(';');
+        return {
+            element: textEl,
+            text: textEl.textContent.replace(/\s+/g, ' ').trim(),
+            bold: /font-weight\s*:\s*(?:bold|[6-9]00)/i.test(style),
+            box: getClientBox(textEl)
+        };
+    }).filter(line => line.text);
+}
+
+/**
+ * Helper: Convert SVG C4 diagram to Mermaid code
+ * Handles both the classic renderer («type» captions) and the unified renderer (c4-<type> classes).
+ * @param {SVGElement} svgElement - The SVG DOM element for the C4 diagram
+ * @returns {string|null}
+ */
+function convertC4SvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const usedIds = new Set();
+    const idPrefix = svgElement.id ? `${svgElement.id}-` : '';
+    const elements = [];
+
+    // 1. Persons, systems, containers and components
+    svgElement.querySelectorAll('g[class*="c4-shape"]').forEach(nodeEl => {
+        const typeClass = Array.from(nodeEl.classList).find(name => name.startsWith('c4-') && name !== 'c4-shape' && name !== 'c4-external');
+        const box = getClientBox(nodeEl);
+        if (!typeClass || !box) return;
+
+        const lines = readC4TextLines(nodeEl);
+        const stereotype = lines.find(line => /^\[.*\]$/.test(line.text));
+        const technMatch = stereotype ? stereotype.text.match(/^\[[^:\]]+:\s*(.+)\]$/) : null;
+        const rest = lines.filter(line => line !== stereotype);
+        const rawId = nodeEl.id && nodeEl.id.startsWith(idPrefix) ? nodeEl.id.slice(idPrefix.length) : '';
+        if (rest.length === 0) return;
+
+        elements.push({
+            type: typeClass.slice(3),
+            alias: rawId ? toMermaidIdentifier(rawId, usedIds) : null,
+            label: rest[0].text,
+            techn: technMatch ? technMatch[1] : '',
+            descr: rest.slice(1).map(line => line.text).join(' '),
+            box
+        });
+    });
+
+    if (elements.length === 0) {
+        svgElement.querySelectorAll('text').forEach(typeEl => {
+            const typeMatch = typeEl.textContent.trim().match(/^«(.+)»$/);
+            if (!typeMatch) return;
+            const shapeEl = typeEl.parentNode;
+            const box = getClientBox(shapeEl.querySelector('rect, path') || shapeEl);
+            if (!box) return;
+
+            const lines = readC4TextLines(shapeEl).filter(line => line.element !== typeEl);
+            const technLine = lines.find(line => /^\[.*\]$/.test(line.text));
+            const labelLines = lines.filter(line => line.bold && line !== technLine);
+            const labelSet = labelLines.length > 0 ? labelLines : lines.filter(line => line !== technLine).slice(0, 1);
+            const descrLines = lines.filter(line => line !== technLine && !labelSet.includes(line));
+            if (labelSet.length === 0) return;
+
+            elements.push({
+                type: typeMatch[1],
+                alias: null,
+                label: labelSet.map(line => line.text).join(' '),
+                techn: technLine ? technLine.text.slice(1, -1) : '',
+                descr: descrLines.map(line => line.text).join(' '),
+                box
+            });
+        });
+    }
+    elements.forEach(element => {
+        if (!element.alias) element.alias = toMermaidIdentifier(element.label, usedIds);
+    });
+
+    // 2. Boundaries are drawn as dashed rectangles captioned with a bold label and a [type]
+    const boundaries = [];
+    svgElement.querySelectorAll('g > rect[stroke-dasharray]').forEach(rect => {
+        const box = getClientBox(rect);
+        if (!box) return;
+        const lines = readC4TextLines(rect.parentNode);
+        const typeLine = lines.find(line => /^\[.*\]$/.test(line.text));
+        const labelLine = lines.find(line => line.bold && line !== typeLine) || lines.find(line => line !== typeLine);
+        if (!labelLine) return;
+        boundaries.push({
+            label: labelLine.text,
+            type: typeLine ? typeLine.text.slice(1, -1) : '',
+            alias: toMermaidIdentifier(labelLine.text, usedIds),
+            box,
+            parent: null
+        });
+    });
+    const smallestContaining = (box, exclude) => boundaries
+        .filter(boundary => boundary !== exclude &&
+            box.cx >= boundary.box.x1 && box.cx <= boundary.box.x2 &&
+            box.cy >= boundary.box.y1 && box.cy <= boundary.box.y2 &&
+            boundary.box.width * boundary.box.height > box.width * box.height)
+        .sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height)[0] || null;
+    boundaries.forEach(boundary => { boundary.parent = smallestContaining(boundary.box, boundary); });
+    elements.forEach(element => { element.parent = smallestContaining(element.box, null); });
+
+    // 3. Relations: arrowhead marks the target, arrowend the source of Rel_Back/BiRel
+    const relations = [];
+    const relationTextParents = new Set();
+    svgElement.querySelectorAll('line[marker-end], line[marker-start], path[marker-end], path[marker-start]').forEach(lineEl => {
+        const endMarker = getMarkerName(lineEl, 'marker-end');
+        const startMarker = getMarkerName(lineEl, 'marker-start');
+        if (!endMarker.includes('arrowhead') && !startMarker.includes('arrowend')) return;
+
+        let points;
+        if (lineEl.tagName.toLowerCase() === 'line') {
+            const attr = name => parseFloat(lineEl.getAttribute(name)) || 0;
+            const start = toClientPoint(lineEl, { x: attr('x1'), y: attr('y1') });
+            const end = toClientPoint(lineEl, { x: attr('x2'), y: attr('y2') });
+            points = { start, end, mid: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 } };
+        } else {
+            points = getPathClientPoints(lineEl);
+        }
+        if (!points) return;
+
+        const from = findClosestByBox(points.start, elements, 30);
+        const to = findClosestByBox(points.end, elements, 30);
+        if (!from || !to) return;
+
+        let macro = 'Rel';
+        if (startMarker.includes('arrowend')) macro = endMarker.includes('arrowhead') ? 'BiRel' : 'Rel_Back';
+        relations.push({ macro, from, to, mid: points.mid, labelLines: [], techn: '' });
+        relationTextParents.add(lineEl.parentNode);
+    });
+
+    // Relation labels are drawn beside the line midpoint, with the technology in brackets below
+    relationTextParents.forEach(parent => {
+        readC4TextLines(parent).forEach(line => {
+            if (!line.box || line.element.parentNode !== parent) return;
+            let closest = null;
+            let minDist = Infinity;
+            relations.forEach(relation => {
+                const dist = Math.hypot(relation.mid.x - line.box.cx, relation.mid.y - line.box.cy);
+                if (dist < minDist) {
+                    minDist = dist;
+                    closest = relation;
+                }
+            });
+            if (!closest) return;
+            if (/^\[.*\]$/.test(line.text) && !closest.techn) {
+                closest.techn = line.text.slice(1, -1);
+            } else {
+                closest.labelLines.push(line);
+            }
+        });
+    });
+    relations.forEach(relation => {
+        relation.label = relation.labelLines
+            .sort((a, b) => a.box.cy - b.box.cy)
+            .map(line => line.text)
+            .join(' ');
+    });
+
+    if (elements.length === 0) return null;
+
+    // C4Dynamic numbers each relation label ("1: Submits order")
+    const isDynamic = relations.length > 0 && relations.every(relation => /^\d+:\s/.test(relation.label));
+    if (isDynamic) {
+        relations.forEach(relation => {
+            relation.order = parseInt(relation.label, 10);
+            relation.label = relation.label.replace(/^\d+:\s*/, '');
+        });
+        relations.sort((a, b) => a.order - b.order);
+    }
+
+    let diagramType = 'C4Context';
+    if (isDynamic) diagramType = 'C4Dynamic';
+    else if (elements.some(element => element.type.includes('component'))) diagramType = 'C4Component';
+    else if (elements.some(element => element.type.includes('container'))) diagramType = 'C4Container';
+
+    // 4. Generate Mermaid code
+    const mermaidLines = [diagramType];
+    const emitScope = (parent, indent) => {
+        elements.filter(element => element.parent === parent).forEach(element => {
+            mermaidLines.push(`${indent}${renderC4Element(element)}`);
+        });
+        boundaries.filter(boundary => boundary.parent === parent).forEach(boundary => {
+            mermaidLines.push(`${indent}${renderC4BoundaryHeader(boundary)} {`);
+            emitScope(boundary, indent + '    ');
+            mermaidLines.push(`${indent}}`);
+        });
+    };
+    emitScope(null, '    ');
+
+    relations.forEach(relation => {
+        mermaidLines.push(`    ${renderC4Relation(relation)}`);
+    });
+
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+function identifyArchitectureIcon(iconEl) {
+    if (!iconEl) return '';
+    return architectureIconFromOutlines(Array.from(iconEl.querySelectorAll('path')).map(path => path.getAttribute('d')));
+}
+
+/**
+ * Helper: Convert SVG architecture-beta diagram to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the architecture diagram
+ * @returns {string|null}
+ */
+function convertArchitectureSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // Element ids are "<svg id>-service-<id>", "<svg id>-node-<id>" and "<svg id>-group-<id>"
+    const idAfter = (el, marker) => {
+        const id = (el && el.id) || '';
+        const index = id.lastIndexOf(`-${marker}-`);
+        return index >= 0 ? id.slice(index + marker.length + 2) : '';
+    };
+    const usedIds = new Set();
+    const labelOf = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+
+    // 1. Groups: a background rect followed by its icon/title group
+    const groups = [];
+    svgElement.querySelectorAll('g.architecture-groups > rect').forEach(rect => {
+        const box = getClientBox(rect);
+        if (!box) return;
+        const captionEl = rect.nextElementSibling && rect.nextElementSibling.tagName.toLowerCase() === 'g' ? rect.nextElementSibling : null;
+        const title = captionEl ? Array.from(captionEl.querySelectorAll('text')).map(labelOf).filter(Boolean).join(' ') : '';
+        const iconEl = captionEl ? captionEl.querySelector('svg') : null;
+        const id = idAfter(rect, 'group') || toMermaidIdentifier(title || 'group', usedIds);
+        usedIds.add(id);
+        groups.push({ id, title, icon: iconEl ? identifyArchitectureIcon(iconEl) : '', box, parent: null });
+    });
+    const containingGroup = (box, self) => groups
+        .filter(group => group !== self &&
+            box.cx >= group.box.x1 && box.cx <= group.box.x2 &&
+            box.cy >= group.box.y1 && box.cy <= group.box.y2 &&
+            group.box.width * group.box.height > box.width * box.height)
+        .sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height)[0] || null;
+    groups.forEach(group => { group.parent = containingGroup(group.box, group); });
+
+    // 2. Services and junctions
+    const nodes = [];
+    svgElement.querySelectorAll('g.architecture-service').forEach(serviceEl => {
+        const parts = Array.from(serviceEl.children).filter(child => child.tagName.toLowerCase() === 'g');
+        const iconGroup = parts[parts.length - 1] || null;
+        const titleGroup = parts.length > 1 ? parts[0] : null;
+        const box = getClientBox(iconGroup || serviceEl);
+        if (!box) return;
+        const hasIcon = iconGroup && !iconGroup.querySelector('path.node-bkg, .node-icon-text');
+        const title = labelOf(titleGroup);
+        const id = idAfter(serviceEl, 'service') || toMermaidIdentifier(title || 'service', usedIds);
+        usedIds.add(id);
+        nodes.push({ kind: 'service', id, title, icon: hasIcon ? identifyArchitectureIcon(iconGroup) : '', box, group: containingGroup(box, null) });
+    });
+    svgElement.querySelectorAll('g.architecture-junction').forEach(junctionEl => {
+        const rect = junctionEl.querySelector('rect');
+        const box = getClientBox(rect || junctionEl);
+        if (!box) return;
+        const id = idAfter(rect, 'node') || toMermaidIdentifier('junction', usedIds);
+        usedIds.add(id);
+        nodes.push({ kind: 'junction', id, box, group: containingGroup(box, null) });
     });
-    mermaidOutput += "\n";
+    if (nodes.length === 0) return null;
 
-    // Sort all events by y coordinate (messages, notes, loops)
-    const events = [];
-    
-    messages.forEach(msg => {
-        events.push({ type: 'message', y: msg.y, data: msg });
-    });
-    
-    notes.forEach(note => {
-        events.push({ type: 'note', y: note.y, data: note });
+    // 3. Edges attach to a side (L/R/T/B) of each endpoint; arrows are separate polygons
+    const edges = [];
+    svgElement.querySelectorAll('g.architecture-edges path.edge').forEach(pathEl => {
+        const numbers = ((pathEl.getAttribute('d') || '').match(/-?\d*\.?\d+(?:e-?\d+)?/gi) || []).map(Number);
+        if (numbers.length < 4) return;
+        const start = toClientPoint(pathEl, { x: numbers[0], y: numbers[1] });
+        const end = toClientPoint(pathEl, { x: numbers[numbers.length - 2], y: numbers[numbers.length - 1] });
+        const source = findClosestByBox(start, nodes, 60);
+        const target = findClosestByBox(end, nodes, 60);
+        if (!source || !target) return;
+
+        const edgeGroup = pathEl.parentNode;
+        let sourceArrow = false;
+        let targetArrow = false;
+        edgeGroup.querySelectorAll('polygon.arrow').forEach(arrowEl => {
+            const box = getClientBox(arrowEl);
+            if (!box) return;
+            const toStart = Math.hypot(box.cx - start.x, box.cy - start.y);
+            const toEnd = Math.hypot(box.cx - end.x, box.cy - end.y);
+            if (toStart < toEnd) sourceArrow = true; else targetArrow = true;
+        });
+        const title = Array.from(edgeGroup.querySelectorAll(':scope > g')).map(labelOf).filter(Boolean).join(' ');
+
+        edges.push(renderArchitectureEdge({
+            source: source.id,
+            sourceSide: architectureEdgeSide(source.box, start),
+            sourceArrow,
+            target: target.id,
+            targetSide: architectureEdgeSide(target.box, end),
+            targetArrow,
+            title
+        }));
     });
-    
-    loops.forEach(loop => {
-        events.push({ type: 'loop_start', y: loop.yMin - 1, data: loop });
-        events.push({ type: 'loop_end', y: loop.yMax + 1, data: loop });
+
+    // 4. Generate Mermaid code (parents before nested groups)
+    const depthOf = (group) => (group.parent ? depthOf(group.parent) + 1 : 0);
+    const inClause = (group) => (group ? ` in ${group.id}` : '');
+    const mermaidLines = ['architecture-beta'];
+    [...groups].sort((a, b) => depthOf(a) - depthOf(b)).forEach(group => {
+        mermaidLines.push(`    group ${group.id}${group.icon ? `(${group.icon})` : ''}${group.title ? `[${group.title}]` : ''}${inClause(group.parent)}`);
     });
-    
-    events.sort((a, b) => a.y - b.y);
-    
-    // Generate events
-    let loopStack = [];
-    events.forEach(event => {
-        if (event.type === 'loop_start') {
-            const text = event.data.text ? ` ${event.data.text}` : '';
-            mermaidOutput += `  loop${text}\n`;
-            loopStack.push(event.data);
-        } else if (event.type === 'loop_end') {
-            if (loopStack.length > 0) {
-                mermaidOutput += `  end\n`;
-                loopStack.pop();
-            }
-        } else if (event.type === 'note') {
-            const indent = loopStack.length > 0 ? '  ' : '';
-            mermaidOutput += `${indent}  note over ${event.data.target}: ${event.data.text}\n`;
-        } else if (event.type === 'message') {
-            const indent = loopStack.length > 0 ? '  ' : '';
-            const msg = event.data;
-            mermaidOutput += `${indent}  ${msg.from}${msg.arrow}${msg.to}: ${msg.text}\n`;
+    nodes.forEach(node => {
+        if (node.kind === 'junction') {
+            mermaidLines.push(`    junction ${node.id}${inClause(node.group)}`);
+        } else {
+            mermaidLines.push(`    service ${node.id}${node.icon ? `(${node.icon})` : ''}${node.title ? `[${node.title}]` : ''}${inClause(node.group)}`);
         }
     });
-    
-    // Close remaining loops
-    while (loopStack.length > 0) {
-        mermaidOutput += `  end\n`;
-        loopStack.pop();
+    if (edges.length > 0) {
+        mermaidLines.push('');
+        edges.forEach(edge => mermaidLines.push(`    ${edge}`));
     }
 
-    if (uniqueParticipants.length === 0 && messages.length === 0) return null;
-    console.log("Sequence diagram conversion completed. Participants:", uniqueParticipants.length, "Messages:", messages.length, "Notes:", notes.length); // DEBUG
-    console.log("Generated sequence mermaid code:", mermaidOutput.substring(0, 200) + "..."); // DEBUG
-    return '```mermaid\n' + mermaidOutput.trim() + '\n```';
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
 }
 
 /**
- * Helper: Convert SVG State Diagram to Mermaid code
- * @param {SVGElement} svgElement - The SVG DOM element for the state diagram
+ * Helper: Convert SVG block-beta diagram to Mermaid code
+ * The column grid is recovered from block positions; gaps become space blocks.
+ * @param {SVGElement} svgElement - The SVG DOM element for the block diagram
  * @returns {string|null}
  */
-function convertStateDiagramSvgToMermaidText(svgElement) {
+function convertBlockSvgToMermaidText(svgElement) {
     if (!svgElement) return null;
 
-    console.log("Converting state diagram...");
-    
-    const nodes = [];
-
-    // 1. Parse all states
-    svgElement.querySelectorAll('g.node.statediagram-state').forEach(stateEl => {
-        const stateName = stateEl.querySelector('foreignObject .nodeLabel p, foreignObject .nodeLabel span')?.textContent.trim();
-        if (!stateName) return;
-
-        const transform = stateEl.getAttribute('transform');
-        const rect = stateEl.querySelector('rect.basic.label-container');
-        if (!transform || !rect) return;
+    const idPrefix = svgElement.id ? `${svgElement.id}-` : '';
+    const blocks = [];
+    svgElement.querySelectorAll('g.node').forEach(nodeEl => {
+        const box = getClientBox(nodeEl);
+        const rawId = nodeEl.id && nodeEl.id.startsWith(idPrefix) ? nodeEl.id.slice(idPrefix.length) : nodeEl.id;
+        if (!box || !rawId) return;
+        const { shape } = detectFlowchartNodeShape(nodeEl);
+        blocks.push({ id: rawId, label: getSvgLabelText(nodeEl), shape, box, parent: null });
+    });
+    if (blocks.length === 0) return null;
+
+    // Composite blocks are the ones that enclose other blocks
+    blocks.forEach(block => {
+        block.parent = blocks
+            .filter(other => other !== block &&
+                block.box.cx >= other.box.x1 && block.box.cx <= other.box.x2 &&
+                block.box.cy >= other.box.y1 && block.box.cy <= other.box.y2 &&
+                other.box.width * other.box.height > block.box.width * block.box.height)
+            .sort((a, b) => a.box.width * a.box.height - b.box.width * b.box.height)[0] || null;
+    });
+    blocks.forEach(block => { block.isComposite = blocks.some(other => other.parent === block); });
 
-        const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-        if (!transformMatch) return;
+    const mermaidLines = ['block-beta'];
+    const emitLevel = (parent, indent) => {
+        const children = blocks.filter(block => block.parent === parent);
+        if (children.length === 0) return;
 
-        const tx = parseFloat(transformMatch[1]);
-        const ty = parseFloat(transformMatch[2]);
-        const rx = parseFloat(rect.getAttribute('x'));
-        const ry = parseFloat(rect.getAttribute('y'));
-        const width = parseFloat(rect.getAttribute('width'));
-        const height = parseFloat(rect.getAttribute('height'));
+        const { rows, columns } = layoutBlockGrid(children);
+        if (rows.length > 1) {
+            mermaidLines.push(`${indent}columns ${columns}`);
+        }
 
-        nodes.push({
-            name: stateName,
-            x1: tx + rx,
-            y1: ty + ry,
-            x2: tx + rx + width,
-            y2: ty + ry + height
-        });
-        console.log(`Found State: ${stateName}`, nodes[nodes.length-1]);
-    });
-
-    // 2. Find start state
-    const startStateEl = svgElement.querySelector('g.node.default circle.state-start');
-    if (startStateEl) {
-        const startGroup = startStateEl.closest('g.node');
-        const transform = startGroup.getAttribute('transform');
-        const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-        const r = parseFloat(startStateEl.getAttribute('r'));
-        if (transformMatch && r) {
-            const tx = parseFloat(transformMatch[1]);
-            const ty = parseFloat(transformMatch[2]);
-            nodes.push({
-                name: '[*]',
-                x1: tx - r,
-                y1: ty - r,
-                x2: tx + r,
-                y2: ty + r,
-                isSpecial: true
-            });
-            console.log("Found Start State", nodes[nodes.length-1]);
-        }
-    }
-
-    // 3. Find end state
-    svgElement.querySelectorAll('g.node.default').forEach(endGroup => {
-        if (endGroup.querySelectorAll('path').length >= 2) {
-             const transform = endGroup.getAttribute('transform');
-             if(transform) {
-                const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-                if (transformMatch) {
-                    const tx = parseFloat(transformMatch[1]);
-                    const ty = parseFloat(transformMatch[2]);
-                    const r = 7; // Mermaid end circle radius is 7
-                    nodes.push({
-                        name: '[*]',
-                        x1: tx - r,
-                        y1: ty - r,
-                        x2: tx + r,
-                        y2: ty + r,
-                        isSpecial: true
-                    });
-                    console.log("Found End State", nodes[nodes.length-1]);
+        rows.forEach((row, rowIndex) => {
+            let cursor = 0;
+            let pending = [];
+            const flush = () => {
+                if (pending.length > 0) mermaidLines.push(indent + pending.join(' '));
+                pending = [];
+            };
+            row.blocks.forEach(block => {
+                if (block.column > cursor) pending.push(blockSpace(block.column - cursor));
+                if (block.isComposite) {
+                    flush();
+                    mermaidLines.push(`${indent}block:${block.id}${block.span > 1 ? `:${block.span}` : ''}`);
+                    emitLevel(block, indent + '    ');
+                    mermaidLines.push(`${indent}end`);
+                } else {
+                    pending.push(formatBlockNode(block));
                 }
-            }
-        }
+                cursor = Math.max(cursor, block.column + block.span);
+            });
+            // Pad short rows so the next row starts on a fresh line of the grid
+            if (rowIndex < rows.length - 1 && cursor < columns) pending.push(blockSpace(columns - cursor));
+            flush();
+        });
+    };
+    emitLevel(null, '    ');
+
+    // Edges reuse the flowchart link markup
+    const leaves = blocks.filter(block => !block.isComposite);
+    const edgeLabels = Array.from(svgElement.querySelectorAll('g.edgeLabel'))
+        .map(labelEl => ({ text: labelEl.textContent.trim(), box: getClientBox(labelEl) }))
+        .filter(label => label.text && label.box);
+    const edgeLines = [];
+    svgElement.querySelectorAll('path.flowchart-link').forEach(pathEl => {
+        const points = getPathClientPoints(pathEl);
+        if (!points) return;
+        const source = findClosestByBox(points.start, leaves, 30) || findClosestByBox(points.start, blocks, 30);
+        const target = findClosestByBox(points.end, leaves, 30) || findClosestByBox(points.end, blocks, 30);
+        if (!source || !target) return;
+        const label = edgeLabels
+            .map(candidate => ({ text: candidate.text, dist: Math.hypot(candidate.box.cx - points.mid.x, candidate.box.cy - points.mid.y) }))
+            .filter(candidate => candidate.dist < 50)
+            .sort((a, b) => a.dist - b.dist)[0];
+        const arrow = getFlowchartEdgeArrow(pathEl);
+        edgeLines.push(label
+            ? `    ${source.id} -- "${label.text}" ${arrow} ${target.id}`
+            : `    ${source.id} ${arrow} ${target.id}`);
     });
+    if (edgeLines.length > 0) {
+        mermaidLines.push('', ...edgeLines);
+    }
 
-    // 4. Get all labels
-    const labels = [];
-    svgElement.querySelectorAll('g.edgeLabel').forEach(labelEl => {
-        const text = labelEl.querySelector('foreignObject .edgeLabel p, foreignObject .edgeLabel span')?.textContent.trim().replace(/^"|"$/g, '');
-        const transform = labelEl.getAttribute('transform');
-        if (text && transform) {
-            const match = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-            if (match) {
-                labels.push({
-                    text: text,
-                    x: parseFloat(match[1]),
-                    y: parseFloat(match[2])
-                });
-            }
-        }
-    });
+    return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
+}
+
+// Callout kinds, the Markdown dialects and the inline/footnote writers live in utils/markdownDialects.js
+const {
+  CALLOUT_KIND_ALIASES,
+  MARKDOWN_DIALECTS,
+  wrapInlineMarkdown,
+  escapeHtmlText,
+  wrapInlineHtml,
+  renderKeyboardInput,
+  renderAbbreviation,
+  isFootnoteReference,
+  footnoteLinkKind,
+  footnoteLabel,
+  formatFootnoteDefinitions
+} = globalThis.deepwikiMarkdownDialects;
+
+// Tags kept when a table has to be written as HTML; everything else is unwrapped
+const TABLE_HTML_ALLOWED_TAGS = new Set([
+  'p', 'br', 'ul', 'ol', 'li', 'pre', 'code', 'strong', 'b', 'em', 'i', 'a', 'del', 's',
+  'sub', 'sup', 'kbd', 'mark', 'blockquote', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+]);
 
-    function getDistanceToBox(px, py, box) {
-        const dx = Math.max(box.x1 - px, 0, px - box.x2);
-        const dy = Math.max(box.y1 - py, 0, py - box.y2);
-        return Math.sqrt(dx * dx + dy * dy);
+/**
+ * Serializes an element's content as clean HTML: only TABLE_HTML_ALLOWED_TAGS,
+ * no attributes except links and cell spans, text escaped.
+ * @param {Element} element
+ * @returns {string}
+ */
+function sanitizeTableCellHtml(element) {
+  let html = '';
+  element.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      const text = child.parentElement && child.parentElement.closest('pre')
+        ? child.textContent
+        : child.textContent.replace(/\s+/g, ' ');
+      html += escapeHtmlText(text);
+      return;
+    }
+    if (child.nodeType === Node.ELEMENT_NODE && child.matches(MATH_ROOT_SELECTOR)) {
+      const mathMd = renderMath(child);
+      if (mathMd !== null) {
+        html += escapeHtmlText(mathMd.trim());
+        return;
+      }
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE || child.matches('script, style, button, svg, template')) {
+      return;
     }
 
-    function getDistance(x1, y1, x2, y2) {
-        return Math.sqrt(Math.pow(x1 - x2, 2) + Math.pow(y1 - y2, 2));
+    const tag = child.nodeName.toLowerCase();
+    if (!TABLE_HTML_ALLOWED_TAGS.has(tag)) {
+      html += sanitizeTableCellHtml(child);
+      return;
+    }
+    if (tag === 'br') {
+      html += '<br>';
+      return;
     }
 
-    const transitions = [];
+    let attributes = '';
+    const href = tag === 'a' ? child.getAttribute('href') : null;
+    if (href && !/^\s*(javascript|data|vbscript):/i.test(href)) {
+      attributes += ` href="${escapeHtmlText(href)}"`;
+    }
+    if (tag === 'td' || tag === 'th') {
+      if (child.colSpan > 1) attributes += ` colspan="${child.colSpan}"`;
+      if (child.rowSpan > 1) attributes += ` rowspan="${child.rowSpan}"`;
+    }
+    html += `<${tag}${attributes}>${sanitizeTableCellHtml(child)}</${tag}>`;
+  });
+  return html;
+}
 
-    // 5. Process paths
-    svgElement.querySelectorAll('path.transition').forEach(pathEl => {
-        const dAttr = pathEl.getAttribute('d');
-        if (!dAttr) return;
+function getCellAlignment(cell) {
+  const declared = (cell.getAttribute('align') || window.getComputedStyle(cell).textAlign || '').toLowerCase();
+  return ['left', 'center', 'right'].includes(declared) ? declared : '';
+}
 
-        const startMatch = dAttr.match(/M\s*([^,\s]+)[,\s]+([^,\s]+)/);
-        // More robustly find the last coordinate pair in the d string
-        const pathSegments = dAttr.split(/[A-Za-z]/);
-        const lastSegment = pathSegments[pathSegments.length-1].trim();
-        const endCoords = lastSegment.split(/[\s,]+/).map(parseFloat);
+/**
+ * Reads a table's rows for utils/markdownTables.js, which lays them out on a grid
+ * and decides whether Markdown can represent the table. Cells carry both Markdown
+ * text and sanitized HTML.
+ * @param {HTMLTableElement} table
+ * @returns {{rows: Array<{header: boolean, cells: Array<object|null>}>, columnCount: number, alignments: string[], needsHtml: boolean}}
+ */
+function buildTableModel(table) {
+  const tableRows = Array.from(table.rows).filter(row => row.closest('table') === table);
+  return globalThis.deepwikiMarkdownTables.layoutTable(tableRows.map(row => ({
+    inHead: Boolean(row.parentElement && row.parentElement.nodeName === 'THEAD'),
+    cells: Array.from(row.cells).map(cell => {
+      let text = '';
+      cell.childNodes.forEach(c => { try { text += processNode(c); } catch (e) { console.error("Error processing child of TH/TD:", c, e); text += "[err]"; } });
+      return {
+        text,
+        html: sanitizeTableCellHtml(cell),
+        colspan: cell.colSpan,
+        rowspan: cell.rowSpan,
+        alignment: getCellAlignment(cell),
+        isHeader: cell.nodeName === 'TH',
+        hasBlockContent: Boolean(cell.querySelector('ul, ol, pre, table, blockquote, h1, h2, h3, h4, h5, h6')) || cell.querySelectorAll('p').length > 1
+      };
+    })
+  })));
+}
 
-        if (!startMatch || endCoords.length < 2) return;
+function activeMarkdownDialect() {
+  return markdownDialect || MARKDOWN_DIALECTS.gfm;
+}
 
-        const startX = parseFloat(startMatch[1]);
-        const startY = parseFloat(startMatch[2]);
-        const endX = endCoords[endCoords.length - 2];
-        const endY = endCoords[endCoords.length - 1];
+/**
+ * Recognises note/warning boxes: role="note"/"alert", callout-like class names,
+ * or blockquotes that open with "[!NOTE]" or "Note:".
+ * @param {Element} element
+ * @param {string} markdown - The element's converted content
+ * @returns {{kind: string, title: string, marker: RegExp|null}|null}
+ */
+function detectCallout(element, markdown) {
+  const className = typeof element.className === 'string' ? element.className.toLowerCase() : '';
+  const kindFromText = text => {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const match = words.find(word => CALLOUT_KIND_ALIASES[word]);
+    return match ? CALLOUT_KIND_ALIASES[match] : null;
+  };
 
-        let sourceNode = null, targetNode = null;
-        let minSourceDist = Infinity, minTargetDist = Infinity;
+  if (element.nodeName === 'BLOCKQUOTE') {
+    const leading = markdown.trim();
+    const alertMatch = leading.match(/^\[!(\w+)\][ \t]*([^\n]*)/);
+    if (alertMatch && CALLOUT_KIND_ALIASES[alertMatch[1].toLowerCase()]) {
+      return { kind: CALLOUT_KIND_ALIASES[alertMatch[1].toLowerCase()], title: alertMatch[2].trim(), marker: /^\s*\[!\w+\][ \t]*[^\n]*\n?/ };
+    }
+    const labelMatch = leading.match(/^(?:\*\*)?(\w+):/);
+    if (labelMatch && CALLOUT_KIND_ALIASES[labelMatch[1].toLowerCase()]) {
+      return { kind: CALLOUT_KIND_ALIASES[labelMatch[1].toLowerCase()], title: '', marker: /^\s*(?:\*\*)?\w+:(?:\*\*)?\s*/ };
+    }
+    return null;
+  }
 
-        nodes.forEach(node => {
-            const distToStart = getDistanceToBox(startX, startY, node);
-            if (distToStart < minSourceDist) {
-                minSourceDist = distToStart;
-                sourceNode = node;
-            }
-            const distToEnd = getDistanceToBox(endX, endY, node);
-            if (distToEnd < minTargetDist) {
-                minTargetDist = distToEnd;
-                targetNode = node;
-            }
-        });
+  const role = element.getAttribute('role');
+  if (role === 'note' || role === 'alert') {
+    return { kind: kindFromText(className) || (role === 'alert' ? 'warning' : 'note'), title: '', marker: null };
+  }
+  if (/\b(callout|admonition|alert)\b/.test(className)) {
+    return { kind: kindFromText(className.replace(/\b(callout|admonition|alert)\b/g, '')) || 'note', title: '', marker: null };
+  }
+  return null;
+}
 
-        let transitionLabel = '';
-        if (sourceNode && targetNode && (minSourceDist < 5) && (minTargetDist < 5)) {
-            // Find label
-            const midX = (startX + endX) / 2;
-            const midY = (startY + endY) / 2;
-            let closestLabel = null;
-            let minLabelDist = Infinity;
-
-            labels.forEach(label => {
-                const dist = getDistance(midX, midY, label.x, label.y);
-                if (dist < minLabelDist) {
-                    minLabelDist = dist;
-                    closestLabel = label;
-                }
-            });
+/**
+ * Converts a tab widget (role="tablist" with its tab panels) through the dialect.
+ * Panels hidden by the widget are walked anyway so every tab is exported.
+ * @param {Element} tabList
+ * @returns {string|null}
+ */
+function convertTabGroup(tabList) {
+  const tabs = Array.from(tabList.querySelectorAll('[role="tab"]'));
+  if (tabs.length === 0) return null;
+
+  const root = tabList.parentElement || document;
+  const sections = tabs.map(tab => {
+    const panelId = tab.getAttribute('aria-controls');
+    const panel = panelId ? root.querySelector(`[id="${CSS.escape(panelId)}"]`) : null;
+    let body = '';
+    if (panel) {
+      panel.childNodes.forEach(c => { try { body += processNode(c); } catch (e) { console.error("Error processing child of tab panel:", c, e); body += "[err]"; } });
+    }
+    return { label: tab.textContent.trim() || 'Tab', body: body.trim() };
+  }).filter(section => section.body);
 
-            if (closestLabel && minLabelDist < 150) { // Arbitrary threshold, seems to work
-                transitionLabel = closestLabel.text;
-            }
-            
-            if(sourceNode === targetNode) return; // Ignore self-loops for now
-            
-            const newTransition = {
-                from: sourceNode.name,
-                to: targetNode.name,
-                label: transitionLabel
-            };
-            
-            // Avoid adding duplicates
-            if (!transitions.some(t => t.from === newTransition.from && t.to === newTransition.to && t.label === newTransition.label)) {
-                 transitions.push(newTransition);
-            }
-        }
-    });
+  return sections.length ? activeMarkdownDialect().tabs(sections) : null;
+}
 
-    // 6. Generate Mermaid code
-    let mermaidCode = "stateDiagram-v2\n";
-    transitions.forEach(t => {
-        let line = `    ${t.from} --> ${t.to}`;
-        if (t.label) {
-            line += ` : "${t.label}"`;
-        }
-        mermaidCode += line + '\n';
+function citationPlaceholder(index) {
+  return `<!--deepwiki-citation-${index}-->`;
+}
+
+// Remembers a line citation so its code can be fetched once the page has been walked
+function registerCitationExcerpt(href) {
+  if (!citationExcerpts || !/^https?:/i.test(href)) {
+    return '';
+  }
+
+  const index = citationExcerpts.citations.length;
+  citationExcerpts.citations.push({ index, href });
+  return citationPlaceholder(index);
+}
+
+function renderCitationExcerpt(excerpt) {
+  const path = excerpt.path || '';
+  const lang = detectCodeLanguage(excerpt.code, { fileName: path });
+  const longestFence = Math.max(2, ...(excerpt.code.match(/`{3,}/g) || []).map(fence => fence.length));
+  const fence = '`'.repeat(longestFence + 1);
+  const lines = excerpt.start === excerpt.end ? `L${excerpt.start}` : `L${excerpt.start}-L${excerpt.end}`;
+  const truncated = excerpt.truncated ? `\n\n*Excerpt truncated after ${excerpt.lineCount} lines.*` : '';
+  return activeMarkdownDialect().collapsible(
+    `${path} ${lines}`,
+    `${fence}${lang}\n${excerpt.code}\n${fence}${truncated}`
+  );
+}
+
+/**
+ * Fetches the code behind every registered citation (through the background
+ * worker, which holds the host permissions) and places each excerpt as a
+ * collapsible block after the paragraph that cites it.
+ * @param {string} markdown - Page Markdown containing citation placeholders
+ * @param {object} settings - Export settings (excerptSourceTemplate picks the raw file location)
+ * @param {string} commit - Indexed commit, used to pin citations made against a branch
+ * @returns {Promise<string>}
+ */
+async function resolveCitationExcerpts(markdown, settings, commit) {
+  const citations = citationExcerpts ? citationExcerpts.citations : [];
+  citationExcerpts = null;
+
+  const excerpts = new Map();
+  if (citations.length) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'fetchCitationExcerpts',
+        citations,
+        template: settings.excerptSourceTemplate || '',
+        commit
+      });
+      if (response?.success && Array.isArray(response.results)) {
+        response.results.forEach(result => {
+          if (typeof result.code === 'string') excerpts.set(result.index, result);
+        });
+      } else {
+        console.warn('Citation excerpts unavailable:', response?.error);
+      }
+    } catch (error) {
+      console.warn('Failed to fetch citation excerpts:', error);
+    }
+  }
+
+  // Excerpts cannot sit inside a sentence or list item, so hold them until the paragraph ends
+  const placeholderPattern = /<!--deepwiki-citation-(\d+)-->/g;
+  const output = [];
+  let pending = [];
+  const flush = () => {
+    if (pending.length) {
+      output.push('', ...pending.map(excerpt => renderCitationExcerpt(excerpt).trimEnd()), '');
+      pending = [];
+    }
+  };
+  markdown.split('\n').forEach(line => {
+    const cleaned = line.replace(placeholderPattern, (match, index) => {
+      const excerpt = excerpts.get(Number(index));
+      if (excerpt && !pending.some(entry => entry.index === excerpt.index)) pending.push(excerpt);
+      return '';
     });
+    if (!cleaned.trim()) {
+      flush();
+    }
+    output.push(cleaned);
+  });
+  flush();
+  return output.join('\n');
+}
 
-    if (transitions.length === 0) return null;
+// Title of the wiki page a same-origin link points to, as shown in the page navigation
+function findWikiPageTitle(url) {
+  const navLinks = document.querySelectorAll('.border-r-border ul li a, nav a[href], .container > div:first-child a[href]');
+  for (const navLink of navLinks) {
+    try {
+      const navUrl = new URL(navLink.getAttribute('href'), window.location.href);
+      if (navUrl.origin === url.origin && navUrl.pathname.replace(/\/+$/, '') === url.pathname.replace(/\/+$/, '')) {
+        return navLink.textContent.trim() || null;
+      }
+    } catch (error) {
+      // Ignore malformed navigation links
+    }
+  }
+  return null;
+}
 
-    console.log("State diagram conversion completed. Transitions:", transitions.length);
-    console.log("Generated state diagram mermaid code:", mermaidCode);
-    
-    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+// Converts an inline element's children
+function processInlineChildren(element) {
+  let text = "";
+  element.childNodes.forEach((c) => { try { text += processNode(c); } catch (e) { console.error(`Error processing child of ${element.nodeName}:`, c, e); text += "[err]"; } });
+  return text;
+}
+
+// Marked-up footnote links; unmarked ones are recognised by their target (footnoteLinkKind)
+const FOOTNOTE_REFERENCE_SELECTOR = 'a[data-footnote-ref], a[role="doc-noteref"]';
+const FOOTNOTE_BACKREF_SELECTOR = 'a[data-footnote-backref], a[role="doc-backlink"], a.footnote-backref';
+const FOOTNOTE_SECTION_SELECTOR = 'section[data-footnotes], [role="doc-endnotes"], section.footnotes, div.footnotes';
+
+function renderFootnoteReference(link) {
+  const targetId = decodeURIComponent((link.getAttribute('href') || '').replace(/^#/, ''));
+  if (!footnoteCollection) {
+    return `[^${footnoteLabel(targetId, link.textContent.trim() || '1')}]`;
+  }
+  if (!footnoteCollection.labels.has(targetId)) {
+    footnoteCollection.labels.set(targetId, footnoteLabel(targetId, String(footnoteCollection.labels.size + 1)));
+  }
+  return `[^${footnoteCollection.labels.get(targetId)}]`;
+}
+
+// Keeps the definitions of a rendered footnote list for the end of the page
+function collectFootnoteDefinitions(section) {
+  section.querySelectorAll('li[id]').forEach(item => {
+    let body = "";
+    item.childNodes.forEach(c => { try { body += processNode(c); } catch (e) { console.error("Error processing child of footnote:", c, e); body += "[err]"; } });
+    footnoteCollection.definitions.set(item.id, body.trim());
+  });
+}
+
+function renderFootnoteDefinitions() {
+  const collection = footnoteCollection;
+  footnoteCollection = null;
+  if (!collection || !collection.definitions.size) {
+    return "";
+  }
+  return formatFootnoteDefinitions(collection.labels, collection.definitions);
+}
+
+// Rendered formulas: KaTeX wrappers, MathJax 3 containers, bare MathML and MathJax 2 source scripts
+const MATH_ROOT_SELECTOR = '.katex-display, .katex, mjx-container, math, script[type^="math/tex"]';
+// MathJax 2 output that sits next to the script holding its TeX source
+const MATHJAX2_RENDERED_SELECTOR = '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML';
+
+// MathML -> TeX conversion lives in utils/mathMl.js
+const { convertMathMlToTex } = globalThis.deepwikiMathMl;
+
+// Original TeX of a rendered formula: the KaTeX annotation or MathJax 2 source, else converted MathML
+function extractMathTex(element) {
+  if (element.matches('script')) {
+    return element.textContent.trim();
+  }
+  const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+  if (annotation) {
+    return annotation.textContent.trim();
+  }
+  const mathml = element.matches('math') ? element : element.querySelector('math');
+  return mathml ? convertMathMlToTex(mathml).trim() : '';
+}
+
+function isDisplayMath(element) {
+  if (element.matches('script')) return /mode\s*=\s*display/.test(element.getAttribute('type'));
+  if (element.matches('.katex-display')) return true;
+  if (element.matches('mjx-container')) return element.getAttribute('display') === 'true';
+  if (element.matches('math')) return element.getAttribute('display') === 'block';
+  return Boolean(element.closest('.katex-display'));
+}
+
+/**
+ * Writes a rendered formula as `$…$` or a `$$` block.
+ * @param {Element} element - An element matching MATH_ROOT_SELECTOR
+ * @returns {string|null} Markdown, or null when no TeX could be recovered
+ */
+function renderMath(element) {
+  const tex = extractMathTex(element);
+  if (!tex) {
+    return null;
+  }
+  return isDisplayMath(element) ? `\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+}
+
+// True for MathJax 2 output whose TeX source follows it in a math/tex script
+function hasMathJaxSourceScript(element) {
+  let sibling = element.nextElementSibling;
+  while (sibling && sibling.matches(MATHJAX2_RENDERED_SELECTOR)) {
+    sibling = sibling.nextElementSibling;
+  }
+  return Boolean(sibling && sibling.matches('script[type^="math/tex"]'));
+}
+
+function isPreformattedElement(element) {
+  if (!preformattedElements) {
+    return window.getComputedStyle(element).whiteSpace.startsWith('pre');
+  }
+  if (!preformattedElements.has(element)) {
+    preformattedElements.set(element, window.getComputedStyle(element).whiteSpace.startsWith('pre'));
+  }
+  return preformattedElements.get(element);
 }
+
 // Helper function: recursively process nodes
 function processNode(node) {
   // console.log("processNode START:", node.nodeName, node.nodeType, node.textContent ? node.textContent.substring(0,50) : ''); // DEBUG
@@ -1900,13 +4324,32 @@ function processNode(node) {
     if (node.parentNode && node.parentNode.nodeName === 'PRE') { return node.textContent; }
     // Fix: For normal text nodes, avoid consecutive blank lines being converted to a single newline, 
     // then having \n\n added by outer logic causing too many empty lines
-    // Simply return the text and let the parent block element handle the trailing \n\n
-    return node.textContent;
+    // Simply return the text and let the parent block element handle the trailing \n\n.
+    // Source formatting whitespace collapses the way the browser renders it, unless the text is preformatted
+    const parentElement = node.parentElement;
+    if (parentElement && isPreformattedElement(parentElement)) {
+      return node.textContent;
+    }
+    // Whitespace-only nodes between elements keep their line break, which Markdown also reads as a space
+    if (!node.textContent.trim()) {
+      return /[\r\n]/.test(node.textContent) ? '\n' : node.textContent && ' ';
+    }
+    return node.textContent.replace(/[ \t\r\n]+/g, ' ');
   }
 
   if (node.nodeType !== Node.ELEMENT_NODE) return "";
 
   const element = node;
+
+  // Formulas are checked first: MathJax 2 keeps its TeX in a (hidden) script element
+  if (element.matches(MATH_ROOT_SELECTOR)) {
+    const mathMd = renderMath(element);
+    if (mathMd !== null) return mathMd;
+  }
+  if (element.matches(MATHJAX2_RENDERED_SELECTOR) && hasMathJaxSourceScript(element)) {
+    return "";
+  }
+
   const style = window.getComputedStyle(element);
 
   if (
@@ -1922,6 +4365,10 @@ function processNode(node) {
   if (element.classList.contains("bg-input-dark") && element.querySelector("svg")){ // Your specific rule
     return "";
   }
+  // Tab panels are emitted by their tab list (see convertTabGroup)
+  if (element.getAttribute("role") === "tabpanel" && element.id && document.querySelector(`[role="tab"][aria-controls="${CSS.escape(element.id)}"]`)) {
+    return "";
+  }
 
 
   // Main logic wrapped in try...catch to catch errors when processing specific nodes
@@ -1999,40 +4446,56 @@ function processNode(node) {
           element.querySelector('svg[id^="mermaid-"]') ||
           element.querySelector('svg[aria-roledescription]') ||
           element.querySelector('svg[class*="mermaid"]');
-        const mermaidOutput = convertMermaidSvgElement(svgElement);
-
-        if (mermaidOutput) {
-          resultMd = `\n${mermaidOutput}\n\n`;
+        // Prefer the exact definition when the page still exposes it
+        const originalSource = findOriginalMermaidSource(svgElement, element);
+        const mermaidOutput = originalSource ? null : convertMermaidSvgElement(svgElement);
+
+        if (originalSource) {
+          resultMd = `\n${withDiagramFileLinks(originalSource, svgElement, originalSource)}\n\n`;
+        } else if (mermaidOutput) {
+          resultMd = `\n${withDiagramFileLinks(emitRecoveredDiagram(svgElement, mermaidOutput), svgElement, mermaidOutput)}\n\n`;
         } else {
           const code = element.querySelector("code");
-          let lang = "";
+          let declaredLang = "";
           let txt = "";
           if (code) {
             txt = code.textContent;
             const cls = Array.from(code.classList).find((c) => c.startsWith("language-"));
-            if (cls) lang = cls.replace("language-", "");
+            if (cls) declaredLang = cls.replace("language-", "");
           } else {
              txt = element.textContent;
           }
-          if (!lang) {
+          if (!declaredLang) {
             const preCls = Array.from(element.classList).find((c) => c.startsWith("language-"));
-            if (preCls) lang = preCls.replace("language-", "");
-          }
-          // Auto-detect language if still not found
-          if (!lang && txt.trim()) {
-            lang = detectCodeLanguage(txt);
+            if (preCls) declaredLang = preCls.replace("language-", "");
           }
+          // A declared class is kept as written; otherwise the code and any cited files decide
+          const lang = declaredLang || (txt.trim()
+            ? detectCodeLanguage(txt, { nearbyFileNames: collectNearbySourceFileNames(element) })
+            : '');
           resultMd = `\`\`\`${lang}\n${txt.trim()}\n\`\`\`\n\n`;
         }
         break;
       }
-      case "SVG": {
+      case "SVG":
+      case "svg": { // SVG elements in HTML documents keep their lowercase nodeName
+        if (element.nodeName === "svg" && !element.matches('svg[id^="mermaid-"], svg[class*="mermaid"], svg[aria-roledescription], svg[data-mermaid]')) {
+          // Icons and other decorative SVGs: keep whatever text they carry, as before
+          let svgText = "";
+          element.childNodes.forEach((c) => { try { svgText += processNode(c); } catch (e) { console.error("Error processing child of SVG:", c, e); }});
+          return svgText;
+        }
+        const originalSource = findOriginalMermaidSource(element);
+        if (originalSource) {
+          resultMd = `\n${withDiagramFileLinks(originalSource, element, originalSource)}\n\n`;
+          break;
+        }
         const mermaidOutput = convertMermaidSvgElement(element);
         if (mermaidOutput) {
-          resultMd = `\n${mermaidOutput}\n\n`;
+          resultMd = `\n${withDiagramFileLinks(emitRecoveredDiagram(element, mermaidOutput), element, mermaidOutput)}\n\n`;
           break;
         }
-        const svgImageMarkdown = convertSvgElementToDataImageMarkdown(element);
+        const svgImageMarkdown = convertSvgElementToImageMarkdown(element);
         if (svgImageMarkdown) {
           resultMd = `${svgImageMarkdown}\n\n`;
           break;
@@ -2041,6 +4504,15 @@ function processNode(node) {
         break;
       }
       case "A": {
+        const footnoteKind = element.matches(FOOTNOTE_BACKREF_SELECTOR) ? 'backref'
+          : element.matches(FOOTNOTE_REFERENCE_SELECTOR) ? 'reference'
+          : footnoteLinkKind(element.getAttribute("href"));
+        if (footnoteKind === 'backref') {
+          return "";
+        }
+        if (footnoteKind === 'reference') {
+          return renderFootnoteReference(element);
+        }
         const href = element.getAttribute("href");
         let initialTextFromNodes = ""; // Collect raw text from children first
         element.childNodes.forEach(c => { 
@@ -2053,8 +4525,9 @@ function processNode(node) {
         });
         let text = initialTextFromNodes.trim(); // This is the base text for further processing
 
-        if (!text && element.querySelector('img')) { // Handle img alt text if link content is empty
-            text = element.querySelector('img').alt || 'image';
+        if (!text && element.querySelector('img')) { // Linked images (badges, logos) keep the image inside the link
+            const linkedImage = element.querySelector('img');
+            text = linkedImage.src ? `![${linkedImage.alt || ""}](${linkedImage.src})` : (linkedImage.alt || 'image');
         }
         // `text` is now the initial display text, possibly from content or image alt.
         // `initialTextFromNodes` keeps the original structure for context like "Sources: [...]".
@@ -2116,8 +4589,22 @@ function processNode(node) {
           // Fallback: if finalLinkDisplayText is empty (e.g. original text was empty and no lineInfoMatch)
           // or if it became empty after processing, use href.
           text = finalLinkDisplayText.trim() || (href ? href : ""); // Ensure text is not empty if href exists
-          
-          resultMd = `[${text}](${href})`;
+
+          // Dialects with wikilinks refer to other wiki pages by their title
+          let wikiLinkMd = null;
+          if (!lineInfoMatch && !href.startsWith('#')) {
+            try {
+              const targetUrl = new URL(href, window.location.href);
+              const pageTitle = targetUrl.origin === window.location.origin ? findWikiPageTitle(targetUrl) : null;
+              if (pageTitle) {
+                wikiLinkMd = activeMarkdownDialect().wikiLink(sanitizeFilename(pageTitle), text);
+              }
+            } catch (e) {
+              wikiLinkMd = null;
+            }
+          }
+
+          resultMd = (wikiLinkMd || `[${text}](${href})`) + (lineInfoMatch ? registerCitationExcerpt(href) : '');
           if (window.getComputedStyle(element).display !== "inline") {
               resultMd += "\n\n";
           }
@@ -2139,7 +4626,10 @@ function processNode(node) {
         let qt = "";
         element.childNodes.forEach((c) => { try { qt += processNode(c); } catch (e) { console.error("Error processing child of BLOCKQUOTE:", c, e); qt += "[err]";}});
         const trimmedQt = qt.trim();
-        if (trimmedQt) {
+        const callout = trimmedQt ? detectCallout(element, trimmedQt) : null;
+        if (callout) {
+            resultMd = activeMarkdownDialect().callout(callout.kind, callout.title, trimmedQt.replace(callout.marker, '').trim());
+        } else if (trimmedQt) {
             resultMd = trimmedQt.split("\n").map((l) => `> ${l.trim() ? l : ''}`).filter(l => l.trim() !== '>').join("\n") + "\n\n";
         } else {
             resultMd = "";
@@ -2151,16 +4641,35 @@ function processNode(node) {
         break;
       case "STRONG":
       case "B": {
-        let st = "";
-        element.childNodes.forEach((c) => { try { st += processNode(c); } catch (e) { console.error("Error processing child of STRONG/B:", c, e); st += "[err]";}});
-        return `**${st.trim()}**`; // Return directly
+        const st = processInlineChildren(element);
+        // Bold nested in bold would close the outer markers early
+        return element.parentElement && element.parentElement.closest('strong, b') ? st : wrapInlineMarkdown(st, '**'); // Return directly
       }
       case "EM":
       case "I": {
-        let em = "";
-        element.childNodes.forEach((c) => { try { em += processNode(c); } catch (e) { console.error("Error processing child of EM/I:", c, e); em += "[err]";}});
-        return `*${em.trim()}*`; // Return directly
+        const em = processInlineChildren(element);
+        return element.parentElement && element.parentElement.closest('em, i') ? em : wrapInlineMarkdown(em, '*'); // Return directly
+      }
+      case "DEL":
+      case "S":
+      case "STRIKE": {
+        const struck = processInlineChildren(element);
+        return element.parentElement && element.parentElement.closest('del, s, strike') ? struck : activeMarkdownDialect().strikethrough(struck);
+      }
+      case "MARK":
+        return activeMarkdownDialect().highlight(processInlineChildren(element));
+      case "SUB":
+      case "SUP": {
+        const script = processInlineChildren(element);
+        if (isFootnoteReference(script)) {
+          return script.trim();
+        }
+        return wrapInlineHtml(script, element.nodeName.toLowerCase());
       }
+      case "KBD":
+        return renderKeyboardInput(element.textContent);
+      case "ABBR":
+        return renderAbbreviation(processInlineChildren(element), (element.getAttribute("title") || "").trim());
       case "CODE": {
           if (element.parentNode && element.parentNode.nodeName === 'PRE') {
               return element.textContent;
@@ -2168,6 +4677,10 @@ function processNode(node) {
           return `\`${element.textContent.trim()}\``; // Return directly
       }
       case "BR":
+        // Table cells keep their line breaks; the table renderer writes them as <br>
+        if (element.closest('td, th')) {
+            return "\n";
+        }
         if (element.parentNode && ['P', 'DIV', 'LI'].includes(element.parentNode.nodeName) ) { // Added LI
             const nextSibling = element.nextSibling;
             // Add markdown hard break only if BR is followed by text or is at the end of a line within a block
@@ -2177,44 +4690,8 @@ function processNode(node) {
         }
         return ""; // Return directly (or empty if not a hard break)
       case "TABLE": {
-          let tableMd = "";
-          const headerRows = Array.from(element.querySelectorAll(':scope > thead > tr, :scope > tr:first-child'));
-          const bodyRows = Array.from(element.querySelectorAll(':scope > tbody > tr'));
-          const allRows = Array.from(element.rows); // Fallback
-
-          let rowsToProcessForHeader = headerRows;
-          if (headerRows.length === 0 && allRows.length > 0) { // Infer header if THEAD is missing
-              rowsToProcessForHeader = [allRows[0]];
-          }
-
-          if (rowsToProcessForHeader.length > 0) {
-              const headerRowElement = rowsToProcessForHeader[0];
-              let headerContent = "|"; let separator = "|";
-              Array.from(headerRowElement.cells).forEach(cell => {
-                  let cellText = ""; cell.childNodes.forEach(c => { try { cellText += processNode(c); } catch (e) { console.error("Error processing child of TH/TD (Header):", c, e); cellText += "[err]";}});
-                  headerContent += ` ${cellText.trim().replace(/\|/g, "\\|")} |`; separator += ` --- |`;
-              });
-              tableMd += `${headerContent}\n${separator}\n`;
-          }
-
-          let rowsToProcessForBody = bodyRows;
-          if (bodyRows.length === 0 && allRows.length > (headerRows.length > 0 ? 1 : 0) ) { // If no TBODY, take remaining rows
-              rowsToProcessForBody = headerRows.length > 0 ? allRows.slice(1) : allRows;
-          }
-
-
-          rowsToProcessForBody.forEach(row => {
-              // Ensure we don't re-process a header row if using allRows fallback logic above and header was found
-              if (rowsToProcessForHeader.length > 0 && rowsToProcessForHeader.includes(row)) return;
-
-              let rowContent = "|";
-              Array.from(row.cells).forEach(cell => {
-                  let cellText = ""; cell.childNodes.forEach(c => { try { cellText += processNode(c); } catch (e) { console.error("Error processing child of TH/TD (Body):", c, e); cellText += "[err]";}});
-                  rowContent += ` ${cellText.trim().replace(/\|/g, "\\|").replace(/\n+/g, ' <br> ')} |`;
-              });
-              tableMd += `${rowContent}\n`;
-          });
-          resultMd = tableMd + (tableMd ? "\n" : "");
+          const tableModel = buildTableModel(element);
+          resultMd = tableModel.rows.length && tableModel.columnCount ? activeMarkdownDialect().table(tableModel) : "";
           break;
       }
       case "THEAD": case "TBODY": case "TFOOT": case "TR": case "TH": case "TD":
@@ -2225,7 +4702,7 @@ function processNode(node) {
           if (summaryElem) { let tempSummary = ""; summaryElem.childNodes.forEach(c => { try { tempSummary += processNode(c); } catch (e) { console.error("Error processing child of SUMMARY:", c, e); tempSummary += "[err]";}}); summaryText = tempSummary.trim() || "Details"; }
           let detailsContent = "";
           Array.from(element.childNodes).forEach(child => { if (child.nodeName !== "SUMMARY") { try { detailsContent += processNode(child); } catch (e) { console.error("Error processing child of DETAILS:", c, e); detailsContent += "[err]";}}});
-          resultMd = `> **${summaryText}**\n${detailsContent.trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
+          resultMd = activeMarkdownDialect().collapsible(summaryText, detailsContent.trim());
           break;
       }
       case "SUMMARY": return ""; // Handled by DETAILS
@@ -2236,8 +4713,22 @@ function processNode(node) {
       case "ARTICLE":
       case "MAIN":
       default: {
+        if (element.getAttribute("role") === "tablist") {
+          const tabsMd = convertTabGroup(element);
+          if (tabsMd) return tabsMd;
+        }
+        // Rendered footnote lists move to the end of the page as [^n]: definitions
+        if (footnoteCollection && element.matches(FOOTNOTE_SECTION_SELECTOR)) {
+          collectFootnoteDefinitions(element);
+          return "";
+        }
         let txt = "";
         element.childNodes.forEach((c) => { try { txt += processNode(c); } catch (e) { console.error("Error processing child of DEFAULT case:", c, element.nodeName, e); txt += "[err]";}});
+
+        const callout = txt.trim() ? detectCallout(element, txt) : null;
+        if (callout) {
+          return activeMarkdownDialect().callout(callout.kind, callout.title, txt.trim());
+        }
         
         const d = window.getComputedStyle(element);
         const isBlock = ["block", "flex", "grid", "list-item", "table", 
@@ -2265,127 +4756,30 @@ function processNode(node) {
   return resultMd;
 }
 
-// Function to auto-detect programming language from code content
-function detectCodeLanguage(codeText) {
-  if (!codeText || codeText.trim().length < 10) return '';
-  
-  const code = codeText.trim();
-  const firstLine = code.split('\n')[0].trim();
-  const lines = code.split('\n');
-  
-  // JavaScript/TypeScript patterns
-  if (code.includes('function ') || code.includes('const ') || code.includes('let ') || 
-      code.includes('var ') || code.includes('=>') || code.includes('console.log') ||
-      code.includes('require(') || code.includes('import ') || code.includes('export ')) {
-    if (code.includes(': ') && (code.includes('interface ') || code.includes('type ') || 
-        code.includes('enum ') || code.includes('implements '))) {
-      return 'typescript';
-    }
-    return 'javascript';
-  }
-  
-  // Python patterns
-  if (code.includes('def ') || code.includes('import ') || code.includes('from ') ||
-      code.includes('print(') || code.includes('if __name__') || code.includes('class ') ||
-      firstLine.startsWith('#!') && firstLine.includes('python')) {
-    return 'python';
-  }
-  
-  // Java patterns
-  if (code.includes('public class ') || code.includes('private ') || code.includes('public static void main') ||
-      code.includes('System.out.println') || code.includes('import java.')) {
-    return 'java';
-  }
-  
-  // C# patterns
-  if (code.includes('using System') || code.includes('namespace ') || code.includes('public class ') ||
-      code.includes('Console.WriteLine') || code.includes('[Attribute]')) {
-    return 'csharp';
-  }
-  
-  // C/C++ patterns
-  if (code.includes('#include') || code.includes('int main') || code.includes('printf(') ||
-      code.includes('cout <<') || code.includes('std::')) {
-    return code.includes('std::') || code.includes('cout') ? 'cpp' : 'c';
-  }
-  
-  // Go patterns
-  if (code.includes('package ') || code.includes('func ') || code.includes('import (') ||
-      code.includes('fmt.Printf') || code.includes('go ')) {
-    return 'go';
-  }
-  
-  // Rust patterns
-  if (code.includes('fn ') || code.includes('let mut') || code.includes('println!') ||
-      code.includes('use std::') || code.includes('impl ')) {
-    return 'rust';
-  }
-  
-  // PHP patterns
-  if (code.includes('<?php') || code.includes('$') && (code.includes('echo ') || code.includes('print '))) {
-    return 'php';
-  }
-  
-  // Ruby patterns
-  if (code.includes('def ') && (code.includes('end') || code.includes('puts ') || code.includes('require '))) {
-    return 'ruby';
-  }
-  
-  // Shell/Bash patterns
-  if (firstLine.startsWith('#!') && (firstLine.includes('bash') || firstLine.includes('sh')) ||
-      code.includes('#!/bin/') || code.includes('echo ') && code.includes('$')) {
-    return 'bash';
-  }
-  
-  // SQL patterns
-  if (code.match(/\b(SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER|DROP)\b/i)) {
-    return 'sql';
-  }
-  
-  // CSS patterns
-  if (code.includes('{') && code.includes('}') && code.includes(':') && 
-      (code.includes('color:') || code.includes('margin:') || code.includes('padding:') || code.includes('#'))) {
-    return 'css';
-  }
-  
-  // HTML patterns
-  if (code.includes('<') && code.includes('>') && 
-      (code.includes('<!DOCTYPE') || code.includes('<html') || code.includes('<div') || code.includes('<p'))) {
-    return 'html';
-  }
-  
-  // XML patterns
-  if (code.includes('<?xml') || (code.includes('<') && code.includes('>') && code.includes('</'))) {
-    return 'xml';
-  }
-  
-  // JSON patterns
-  if (code.startsWith('{') && code.endsWith('}') || code.startsWith('[') && code.endsWith(']')) {
-    try {
-      JSON.parse(code);
-      return 'json';
-    } catch (e) {
-      // Not valid JSON
-    }
-  }
-  
-  // YAML patterns
-  if (lines.some(line => line.match(/^\s*\w+:\s*/) && !line.includes('{') && !line.includes(';'))) {
-    return 'yaml';
-  }
-  
-  // Markdown patterns
-  if (code.includes('# ') || code.includes('## ') || code.includes('```') || code.includes('[') && code.includes('](')) {
-    return 'markdown';
+// Function to auto-detect programming language from code content.
+// The classifier lives in utils/languageDetector.js, injected ahead of this script.
+function detectCodeLanguage(codeText, hints = {}) {
+  const detector = globalThis.deepwikiLanguageDetector;
+  return detector ? detector.detectLanguage(codeText, hints) : '';
+}
+
+// File names cited in the "Sources:" lines that follow a code block, up to the next heading
+function collectNearbySourceFileNames(element) {
+  let anchor = element;
+  for (let depth = 0; anchor && !anchor.nextElementSibling && depth < 3; depth++) {
+    anchor = anchor.parentElement;
   }
-  
-  // Docker patterns
-  if (firstLine.startsWith('FROM ') || code.includes('RUN ') || code.includes('COPY ') || code.includes('WORKDIR ')) {
-    return 'dockerfile';
+
+  const fileNames = [];
+  for (let sibling = anchor && anchor.nextElementSibling, scanned = 0; sibling && scanned < 6; sibling = sibling.nextElementSibling, scanned++) {
+    if (/^H[1-6]$/.test(sibling.tagName)) break;
+    sibling.querySelectorAll('a[href*="#L"]').forEach(link => {
+      const path = (link.getAttribute('href') || '').split('#')[0].split('?')[0];
+      const fileName = path.split('/').pop();
+      if (fileName) fileNames.push(fileName);
+    });
   }
-  
-  // Default fallback
-  return '';
+  return fileNames;
 }
 
 // Notify the background script that the content script is ready
@@ -0,0 +1,47 @@
+const { mermaid } = globalThis;
+
+if (mermaid) {
+  mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+}
+
+async function renderMermaidDiagrams(diagrams) {
+  const results = [];
+  const renderRoot = document.getElementById('render-root');
+
+  // Render one at a time: mermaid keeps global state while laying out a diagram
+  for (const diagram of diagrams) {
+    const renderId = `verify-${diagram.id}-${Date.now().toString(36)}`;
+    try {
+      const { svg } = await mermaid.render(renderId, diagram.code, renderRoot);
+      results.push({ id: diagram.id, svg });
+    } catch (error) {
+      results.push({ id: diagram.id, error: error?.message || String(error) });
+    } finally {
+      // Failed renders leave their temporary container behind
+      document.getElementById(`d${renderId}`)?.remove();
+      renderRoot.replaceChildren();
+    }
+  }
+
+  return results;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request?.target !== 'offscreen') {
+    return false;
+  }
+
+  if (request.action === 'renderMermaid') {
+    if (!mermaid) {
+      sendResponse({ success: false, error: 'Mermaid library is not available' });
+      return false;
+    }
+
+    renderMermaidDiagrams(Array.isArray(request.diagrams) ? request.diagrams : [])
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  return false;
+});
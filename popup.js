@@ -6,16 +6,36 @@ import {
 } from './utils/fileNameUtils.js';
 import { sendMessageToTab } from './utils/tabNavigation.js';
 import { isSupportedWikiUrl } from './utils/urlUtils.js';
+import { loadExportSettings, saveExportSettings } from './utils/exportSettings.js';
+import { resolveDiagramFiles } from './utils/diagramFiles.js';
+import { renderFrontMatter } from './utils/frontMatter.js';
+import { rewriteCitationLinks, citationBaseMissing } from './utils/citationLinks.js';
+import { collectImageUrls, fetchImageAssets, rewriteImageLinks } from './utils/imageAssets.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   const convertBtn = document.getElementById('convertBtn');
   const batchDownloadBtn = document.getElementById('batchDownloadBtn');
   const cancelBtn = document.getElementById('cancelBtn');
   const status = document.getElementById('status');
+  const verifyDiagramsInput = document.getElementById('verifyDiagramsInput');
+  const diagramFallbackSelect = document.getElementById('diagramFallbackSelect');
+  const diagramFilesInput = document.getElementById('diagramFilesInput');
+  const markdownDialectSelect = document.getElementById('markdownDialectSelect');
+  const frontMatterInput = document.getElementById('frontMatterInput');
+  const citationStyleSelect = document.getElementById('citationStyleSelect');
+  const citationBaseInput = document.getElementById('citationBaseInput');
+  const citationTemplateInput = document.getElementById('citationTemplateInput');
+  const inlineCitationsInput = document.getElementById('inlineCitationsInput');
+  const excerptSourceTemplateInput = document.getElementById('excerptSourceTemplateInput');
+  const downloadImagesInput = document.getElementById('downloadImagesInput');
+  const crawlModeSelect = document.getElementById('crawlModeSelect');
+  const batchWorkersInput = document.getElementById('batchWorkersInput');
+  const workerStatus = document.getElementById('workerStatus');
   let currentMarkdown = '';
   let currentAttachments = [];
   let currentTabId = null;
   let activeBatchTabId = null;
+  let exportSettings = null;
 
   chrome.runtime.onMessage.addListener(message => {
     if (message?.action === 'batchUpdate') {
@@ -24,6 +44,38 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   initializeTabState();
+  initializeSettings();
+
+  verifyDiagramsInput.addEventListener('change', () => updateSettings({ verifyDiagrams: verifyDiagramsInput.checked }));
+  diagramFallbackSelect.addEventListener('change', () => updateSettings({ diagramFallback: diagramFallbackSelect.value }));
+  diagramFilesInput.addEventListener('change', () => updateSettings({ diagramFiles: diagramFilesInput.checked }));
+  markdownDialectSelect.addEventListener('change', () => updateSettings({ markdownDialect: markdownDialectSelect.value }));
+  frontMatterInput.addEventListener('change', () => updateSettings({ frontMatter: frontMatterInput.checked }));
+  citationStyleSelect.addEventListener('change', () => updateCitationSettings({ citationStyle: citationStyleSelect.value }));
+  citationBaseInput.addEventListener('change', () => updateCitationSettings({ citationBase: citationBaseInput.value }));
+  citationTemplateInput.addEventListener('change', () => updateCitationSettings({ citationTemplate: citationTemplateInput.value }));
+  inlineCitationsInput.addEventListener('change', () => updateSettings({ inlineCitations: inlineCitationsInput.checked }));
+  excerptSourceTemplateInput.addEventListener('change', () => updateSettings({ excerptSourceTemplate: excerptSourceTemplateInput.value }));
+  downloadImagesInput.addEventListener('change', async () => {
+    // Images live on arbitrary CDNs, so the host permission is requested only when the option is turned on
+    if (downloadImagesInput.checked) {
+      const granted = await chrome.permissions.request({ origins: ['<all_urls>'] }).catch(() => false);
+      if (!granted) {
+        downloadImagesInput.checked = false;
+        showStatus('Image downloads need permission to read images from other sites', 'error');
+        return;
+      }
+    }
+    updateSettings({ downloadImages: downloadImagesInput.checked });
+  });
+  crawlModeSelect.addEventListener('change', () => updateSettings({ crawlMode: crawlModeSelect.value }));
+  batchWorkersInput.addEventListener('change', async () => {
+    // Out-of-range counts are clamped when saved; show the value actually used
+    await updateSettings({ batchWorkers: Number(batchWorkersInput.value) });
+    if (exportSettings) {
+      batchWorkersInput.value = exportSettings.batchWorkers;
+    }
+  });
 
   // Convert button click event - now also downloads
   convertBtn.addEventListener('click', async () => {
@@ -37,17 +89,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
       currentAttachments = [];
       showStatus('Converting page...', 'info');
-      const response = await sendMessageToTab(tab.id, { action: 'convertToMarkdown' });
+      const settings = exportSettings || await loadExportSettings();
+      const response = await sendMessageToTab(tab.id, { action: 'convertToMarkdown', settings });
 
       if (response && response.success) {
-        currentMarkdown = response.markdown;
-
         const sanitizedHeadTitle = sanitizeFilename(response.headTitle, { allowEmpty: true });
         const sanitizedContentTitle = sanitizeFilename(
           response.markdownTitle || response.currentTitle || ''
         );
 
         currentAttachments = Array.isArray(response.attachments) ? response.attachments : [];
+        const fidelityReport = response.fidelityIssues > 0 ? response.fidelityReport : '';
 
         const fileNameBase = sanitizedHeadTitle
           ? `${sanitizedHeadTitle}-${sanitizedContentTitle}`
@@ -55,7 +107,30 @@ document.addEventListener('DOMContentLoaded', () => {
         const sanitizedFileNameBase = sanitizeFilename(fileNameBase);
         const fileName = ensureMarkdownExtension(sanitizedFileNameBase);
 
-        if (currentAttachments.length > 0) {
+        const { markdown, files: diagramFiles } = resolveDiagramFiles(
+          response.markdown,
+          response.diagramFiles,
+          sanitizedFileNameBase
+        );
+        const citedMarkdown = rewriteCitationLinks(markdown, {
+          style: settings.citationStyle,
+          base: settings.citationBase,
+          template: settings.citationTemplate,
+          commit: response.metadata?.commit
+        });
+
+        // ZIP mode: images are stored under assets/ next to the page
+        let assetFiles = [];
+        let pageMarkdown = citedMarkdown;
+        if (settings.downloadImages) {
+          showStatus('Downloading images...', 'info');
+          const { pathsByUrl, files } = await fetchImageAssets(collectImageUrls(citedMarkdown));
+          pageMarkdown = rewriteImageLinks(citedMarkdown, pathsByUrl, fileName);
+          assetFiles = files;
+        }
+        currentMarkdown = settings.frontMatter ? renderFrontMatter(response.metadata) + pageMarkdown : pageMarkdown;
+
+        if (currentAttachments.length > 0 || fidelityReport || diagramFiles.length > 0 || settings.downloadImages) {
           showStatus('Conversion successful! Preparing attachment bundle...', 'info');
 
           const usedNames = new Set();
@@ -63,7 +138,15 @@ document.addEventListener('DOMContentLoaded', () => {
           zip.file(fileName, currentMarkdown);
           usedNames.add(fileName.toLowerCase());
 
-          const attachmentsFolder = zip.folder('attachments');
+          if (fidelityReport) {
+            zip.file('fidelity-report.md', `# Diagram fidelity report\n\n${fidelityReport}`);
+            usedNames.add('fidelity-report.md');
+          }
+
+          diagramFiles.forEach(file => zip.file(file.path, file.content));
+          assetFiles.forEach(file => zip.file(file.path, file.bytes));
+
+          const attachmentsFolder = currentAttachments.length > 0 ? zip.folder('attachments') : null;
 
           currentAttachments.forEach((attachment, index) => {
             if (!attachment || typeof attachment.content !== 'string') {
@@ -93,7 +176,12 @@ document.addEventListener('DOMContentLoaded', () => {
             saveAs: true
           });
 
-          showStatus('Conversion successful! Downloading bundle...', 'success');
+          showStatus(
+            fidelityReport
+              ? `Conversion successful! ${response.fidelityIssues} diagram(s) could not be verified, see fidelity-report.md`
+              : 'Conversion successful! Downloading bundle...',
+            'success'
+          );
         } else {
           // Automatically download after successful conversion
           const blob = new Blob([currentMarkdown], { type: 'text/markdown' });
@@ -141,6 +229,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  async function initializeSettings() {
+    exportSettings = await loadExportSettings();
+    verifyDiagramsInput.checked = exportSettings.verifyDiagrams;
+    diagramFallbackSelect.value = exportSettings.diagramFallback;
+    diagramFilesInput.checked = exportSettings.diagramFiles;
+    markdownDialectSelect.value = exportSettings.markdownDialect;
+    frontMatterInput.checked = exportSettings.frontMatter;
+    citationStyleSelect.value = exportSettings.citationStyle;
+    citationBaseInput.value = exportSettings.citationBase;
+    citationTemplateInput.value = exportSettings.citationTemplate;
+    inlineCitationsInput.checked = exportSettings.inlineCitations;
+    excerptSourceTemplateInput.value = exportSettings.excerptSourceTemplate;
+    downloadImagesInput.checked = exportSettings.downloadImages;
+    crawlModeSelect.value = exportSettings.crawlMode;
+    batchWorkersInput.value = exportSettings.batchWorkers;
+  }
+
+  async function updateSettings(changes) {
+    try {
+      exportSettings = await saveExportSettings({ ...(exportSettings || {}), ...changes });
+    } catch (error) {
+      showStatus('Failed to save settings: ' + error.message, 'error');
+    }
+  }
+
+  async function updateCitationSettings(changes) {
+    await updateSettings(changes);
+    if (exportSettings && citationBaseMissing(exportSettings.citationStyle, exportSettings.citationBase, exportSettings.citationTemplate)) {
+      showStatus('Set a host URL or checkout path; until then code citations keep their original links', 'info');
+    }
+  }
+
   async function initializeTabState() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -203,6 +323,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const isRunning = Boolean(update.running);
     showCancelButton(isRunning);
     disableBatchButton(isRunning);
+    showWorkerStatus(isRunning && Array.isArray(update.workers) ? update.workers : []);
 
     if (update.completed || update.cancelled || !isRunning) {
       activeBatchTabId = null;
@@ -214,6 +335,17 @@ document.addEventListener('DOMContentLoaded', () => {
   function resetBatchUiState() {
     showCancelButton(false);
     disableBatchButton(false);
+    showWorkerStatus([]);
+  }
+
+  // One line per background worker: what it is doing and on which page
+  function showWorkerStatus(workers) {
+    workerStatus.replaceChildren(...workers.map((worker, index) => {
+      const item = document.createElement('li');
+      const activity = worker.state === 'idle' ? 'idle' : `${worker.state} ${worker.page}`;
+      item.textContent = `Worker ${index + 1}: ${activity}`;
+      return item;
+    }));
   }
 
   // Show or hide cancel button
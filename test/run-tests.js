@@ -1,6 +1,44 @@
 import assert from 'node:assert/strict';
-import { readFileSync } from 'node:fs';
+import { readFileSync, readdirSync } from 'node:fs';
 import { isSupportedWikiUrl } from '../utils/urlUtils.js';
+import { normalizeExportSettings, DEFAULT_EXPORT_SETTINGS } from '../utils/exportSettings.js';
+import { resolveDiagramFiles, DIAGRAM_PAGE_PLACEHOLDER } from '../utils/diagramFiles.js';
+import { renderFrontMatter } from '../utils/frontMatter.js';
+import { buildNavHierarchy, buildExportLayout, renderNavTableOfContents, sectionNumberFromUrl } from '../utils/navTree.js';
+import { rewriteWikiLinks, rewriteWikilinkTargets, relativeFilePath, toPageKey } from '../utils/linkRewriter.js';
+import { rewriteCitationLinks, parseCitationUrl, citationBaseMissing } from '../utils/citationLinks.js';
+import { resolveRawSourceUrl, sliceSourceLines, MAX_EXCERPT_LINES } from '../utils/sourceExcerpts.js';
+import { collectImageUrls, fetchImageAssets, rewriteImageLinks } from '../utils/imageAssets.js';
+import { runWorkerPool, createHostLimiter, normalizeWorkerCount } from '../utils/workerPool.js';
+import { loadPageInCrawlerTab } from '../utils/backgroundCrawler.js';
+// Classic scripts shared with the content script; they register themselves on globalThis (see utils/tabNavigation.js)
+import '../utils/languageDetector.js';
+import '../utils/markdownTables.js';
+import '../utils/markdownDialects.js';
+import '../utils/mathMl.js';
+import '../utils/mermaidSyntax.js';
+
+const { detectLanguage, languageForFileName, LANGUAGE_PROFILES } = globalThis.deepwikiLanguageDetector;
+const { layoutTable, renderHtmlTable, renderPipeTable } = globalThis.deepwikiMarkdownTables;
+const mermaidSyntax = globalThis.deepwikiMermaidSyntax;
+const markdownDialects = globalThis.deepwikiMarkdownDialects;
+const { convertMathMlToTex, joinTex } = globalThis.deepwikiMathMl;
+const { MARKDOWN_DIALECTS, CALLOUT_KIND_ALIASES, quoteMarkdownLines, indentMarkdownLines, wrapInlineMarkdown } = globalThis.deepwikiMarkdownDialects;
+
+// MathML elements as convertMathMlToTex walks them: a token's text, or child elements
+const mathNode = (localName, content = [], attributes = {}) => {
+  const children = typeof content === 'string' ? [] : content;
+  return {
+    nodeType: 1,
+    localName,
+    children,
+    textContent: typeof content === 'string' ? content : children.map(child => child.textContent).join(''),
+    getAttribute: name => attributes[name] ?? null
+  };
+};
+
+// Table cells as content.js reads them from the DOM
+const tableCell = (text, options = {}) => ({ text, html: options.html ?? text, colspan: 1, rowspan: 1, alignment: '', isHeader: false, ...options });
 
 function loadManifest() {
   const manifestPath = new URL('../manifest.json', import.meta.url);
@@ -8,7 +46,28 @@ function loadManifest() {
   return JSON.parse(manifestContents);
 }
 
-function runTests() {
+// test/language-fixtures/<language>/*.txt; samples under none/ must not be given a language
+function measureLanguageDetection() {
+  const fixturesUrl = new URL('./language-fixtures/', import.meta.url);
+  const misses = [];
+  let total = 0;
+
+  readdirSync(fixturesUrl).forEach((language) => {
+    readdirSync(new URL(`${language}/`, fixturesUrl)).forEach((fileName) => {
+      const code = readFileSync(new URL(`${language}/${fileName}`, fixturesUrl), 'utf-8');
+      const expected = language === 'none' ? '' : language;
+      const detected = detectLanguage(code);
+      total += 1;
+      if (detected !== expected) {
+        misses.push(`${language}/${fileName} -> ${detected || '(none)'}`);
+      }
+    });
+  });
+
+  return { total, correct: total - misses.length, misses };
+}
+
+async function runTests() {
   const manifest = loadManifest();
   const hostPermissions = manifest.host_permissions ?? [];
   const contentMatches = manifest.content_scripts?.[0]?.matches ?? [];
@@ -36,7 +95,1028 @@ function runTests() {
   assert.equal(isSupportedWikiUrl('not a url'), false, 'Invalid URLs should be rejected');
   assert.equal(isSupportedWikiUrl(null), false, 'Null should be rejected');
 
+  assert.equal(
+    (manifest.permissions ?? []).includes('offscreen'),
+    true,
+    'Manifest permissions must include offscreen for diagram verification'
+  );
+
+  assert.deepEqual(normalizeExportSettings(null), DEFAULT_EXPORT_SETTINGS, 'Missing settings should fall back to defaults');
+  assert.deepEqual(
+    normalizeExportSettings({ verifyDiagrams: true, diagramFallback: 'image' }),
+    { ...DEFAULT_EXPORT_SETTINGS, verifyDiagrams: true, diagramFallback: 'image' },
+    'Valid settings should be kept'
+  );
+  assert.equal(
+    normalizeExportSettings({ diagramFallback: 'delete' }).diagramFallback,
+    DEFAULT_EXPORT_SETTINGS.diagramFallback,
+    'Unknown diagram fallback modes should be rejected'
+  );
+  assert.equal(
+    'unexpected' in normalizeExportSettings({ unexpected: 1 }),
+    false,
+    'Unknown settings keys should be dropped'
+  );
+
+  assert.equal(normalizeExportSettings({ markdownDialect: 'obsidian' }).markdownDialect, 'obsidian', 'Known Markdown dialects should be kept');
+  assert.equal(
+    normalizeExportSettings({ markdownDialect: 'asciidoc' }).markdownDialect,
+    DEFAULT_EXPORT_SETTINGS.markdownDialect,
+    'Unknown Markdown dialects should be rejected'
+  );
+  assert.equal(normalizeExportSettings({ diagramFiles: true }).diagramFiles, true, 'Diagram file export should be kept');
+  assert.equal(normalizeExportSettings({ diagramFiles: 'yes' }).diagramFiles, false, 'Non-boolean diagram file export should be rejected');
+
+  const diagramExport = resolveDiagramFiles(
+    `![Diagram](diagrams/${DIAGRAM_PAGE_PLACEHOLDER}/1-flowchart.svg)\n[1-flowchart.mmd](diagrams/${DIAGRAM_PAGE_PLACEHOLDER}/1-flowchart.mmd)`,
+    [
+      { name: '1-flowchart', mermaid: 'flowchart TD\n    A --> B', svg: '<svg></svg>' },
+      { name: '2-pie', mermaid: null, svg: '<svg id="pie"></svg>' },
+      { mermaid: 'graph TD' }
+    ],
+    'Overview'
+  );
+  assert.equal(
+    diagramExport.markdown,
+    '![Diagram](diagrams/Overview/1-flowchart.svg)\n[1-flowchart.mmd](diagrams/Overview/1-flowchart.mmd)',
+    'Diagram links should point into the page folder'
+  );
+  assert.deepEqual(
+    diagramExport.files,
+    [
+      { path: 'diagrams/Overview/1-flowchart.mmd', content: 'flowchart TD\n    A --> B\n' },
+      { path: 'diagrams/Overview/1-flowchart.svg', content: '<svg></svg>' },
+      { path: 'diagrams/Overview/2-pie.svg', content: '<svg id="pie"></svg>' }
+    ],
+    'Each diagram should produce its .mmd and .svg files, skipping unnamed entries'
+  );
+  assert.deepEqual(resolveDiagramFiles('# Page', undefined, 'Overview'), { markdown: '# Page', files: [] }, 'Pages without diagrams should be unchanged');
+  assert.equal(DIAGRAM_PAGE_PLACEHOLDER, globalThis.deepwikiMermaidSyntax.DIAGRAM_PAGE_PLACEHOLDER, 'Packaging should resolve the placeholder the content script writes');
+  assert.equal(DIAGRAM_PAGE_PLACEHOLDER, '__deepwiki_page__', 'The diagram page placeholder should be defined');
+
+  assert.equal(normalizeExportSettings(null).frontMatter, false, 'Front matter should be opt-in');
+  assert.equal(normalizeExportSettings({ frontMatter: true }).frontMatter, true, 'Front matter can be turned on');
+
+  assert.equal(
+    renderFrontMatter({
+      title: 'Getting "Started"',
+      sourceUrl: 'https://deepwiki.com/owner/repo/1-overview',
+      repository: 'owner/repo',
+      commit: '',
+      lastIndexed: null,
+      order: 2,
+      parent: 'Overview',
+      exportedAt: '2025-01-01T00:00:00.000Z'
+    }),
+    '---\n' +
+      'title: "Getting \\"Started\\""\n' +
+      'source_url: "https://deepwiki.com/owner/repo/1-overview"\n' +
+      'repository: "owner/repo"\n' +
+      'parent: "Overview"\n' +
+      'order: 2\n' +
+      'exported_at: "2025-01-01T00:00:00.000Z"\n' +
+      '---\n\n',
+    'Front matter should quote strings, keep numbers and skip empty fields'
+  );
+  assert.equal(renderFrontMatter(null), '', 'Missing metadata should produce no front matter');
+
+  const hierarchy = buildNavHierarchy([
+    { url: 'https://deepwiki.com/o/r/1-overview', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/1.1-setup', indent: 12 },
+    { url: 'https://deepwiki.com/o/r/1.1.1-docker', indent: 24 },
+    { url: 'https://deepwiki.com/o/r/1.2-config', indent: 12 },
+    { url: 'https://deepwiki.com/o/r/2-api', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/linked-from-content' }
+  ]);
+  assert.deepEqual(
+    hierarchy.get('https://deepwiki.com/o/r/1.1.1-docker'),
+    { order: 3, level: 2, parentUrl: 'https://deepwiki.com/o/r/1.1-setup' },
+    'Nested navigation entries should point at their parent'
+  );
+  assert.equal(hierarchy.get('https://deepwiki.com/o/r/1.2-config').parentUrl, 'https://deepwiki.com/o/r/1-overview', 'Siblings should share a parent');
+  assert.equal(hierarchy.get('https://deepwiki.com/o/r/2-api').parentUrl, null, 'Top-level entries have no parent');
+  assert.deepEqual(
+    hierarchy.get('https://deepwiki.com/o/r/linked-from-content'),
+    { order: 6, level: 0, parentUrl: null },
+    'Entries without an indent are treated as top level'
+  );
+
+  assert.equal(sectionNumberFromUrl('https://deepwiki.com/o/r/2.10-data-model'), '2.10', 'Section numbers should be read from the slug');
+  assert.equal(sectionNumberFromUrl('https://deepwiki.com/o/r/overview'), null, 'Unnumbered slugs have no section');
+  const flatSidebar = buildNavHierarchy([
+    { url: 'https://deepwiki.com/o/r/1-overview', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/1.1-setup', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/2-api', indent: 0 }
+  ]);
+  assert.equal(
+    flatSidebar.get('https://deepwiki.com/o/r/1.1-setup').parentUrl,
+    'https://deepwiki.com/o/r/1-overview',
+    'Numbered slugs should nest pages even when the sidebar is not indented'
+  );
+  const indentedSidebar = buildNavHierarchy([
+    { url: 'https://deepwiki.com/o/r/intro', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/details', indent: 16 }
+  ]);
+  assert.equal(indentedSidebar.get('https://deepwiki.com/o/r/details').parentUrl, 'https://deepwiki.com/o/r/intro', 'Unnumbered sidebars should nest by indent');
+
+  const navPages = [
+    { url: 'https://deepwiki.com/o/r/1-overview', title: 'Overview', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/1.1-architecture', title: 'Architecture', indent: 12 },
+    { url: 'https://deepwiki.com/o/r/1.1.1-docker', title: 'Docker & Compose', indent: 24 },
+    { url: 'https://deepwiki.com/o/r/1.2-config', title: 'Configuration', indent: 12 },
+    { url: 'https://deepwiki.com/o/r/2-api', title: '2 API Reference', indent: 0 },
+    { url: 'https://deepwiki.com/o/r/glossary', title: 'Glossary' }
+  ];
+  const exportLayout = buildExportLayout(navPages);
+  assert.deepEqual(
+    [...exportLayout.values()],
+    [
+      '01-overview/index.md',
+      '01-overview/01.1-architecture/index.md',
+      '01-overview/01.1-architecture/01.1.1-docker-compose.md',
+      '01-overview/01.2-configuration.md',
+      '02-api-reference.md',
+      '03-glossary.md'
+    ],
+    'Pages should be laid out as numbered nested folders'
+  );
+  assert.equal(
+    renderNavTableOfContents(navPages, exportLayout, { isExported: (url) => !url.endsWith('1.1-architecture') }),
+    [
+      '- [Overview](01-overview/index.md)',
+      '  - Architecture',
+      '    - [Docker & Compose](01-overview/01.1-architecture/01.1.1-docker-compose.md)',
+      '  - [Configuration](01-overview/01.2-configuration.md)',
+      '- [2 API Reference](02-api-reference.md)',
+      '- [Glossary](03-glossary.md)'
+    ].join('\n'),
+    'The README contents should nest like the wiki and keep failed sections as plain entries'
+  );
+  assert.equal(
+    renderNavTableOfContents(navPages, exportLayout, { fromFile: '01-overview/index.md', rootUrl: 'https://deepwiki.com/o/r/1-overview' }),
+    [
+      '- [Architecture](01.1-architecture/index.md)',
+      '  - [Docker & Compose](01.1-architecture/01.1.1-docker-compose.md)',
+      '- [Configuration](01.2-configuration.md)'
+    ].join('\n'),
+    'Section indexes should list the pages below them with relative links'
+  );
+  assert.equal(
+    resolveDiagramFiles(`![d](diagrams/${DIAGRAM_PAGE_PLACEHOLDER}/1-flowchart.svg)`, [], 'Setup', '01-overview/01.2-setup.md').markdown,
+    '![d](../diagrams/Setup/1-flowchart.svg)',
+    'Diagram links from nested pages should be relative'
+  );
+
+  const exportedPages = new Map([
+    [toPageKey('https://deepwiki.com/o/r/1-overview'), 'Overview.md'],
+    [toPageKey('https://deepwiki.com/o/r/3.2-foo'), 'Foo.md']
+  ]);
+  assert.equal(
+    rewriteWikiLinks(
+      'See [Foo](/o/r/3.2-foo#setup), [top](https://deepwiki.com/o/r/1-overview/#intro), [repo](https://github.com/o/r) and ![img](/o/r/3.2-foo)',
+      'https://deepwiki.com/o/r/1-overview',
+      'Overview.md',
+      exportedPages
+    ),
+    'See [Foo](Foo.md#setup), [top](#intro), [repo](https://github.com/o/r) and ![img](/o/r/3.2-foo)',
+    'Links to exported pages should become relative file paths'
+  );
+  assert.equal(
+    rewriteWikiLinks('```\n[Foo](/o/r/3.2-foo)\n```\n[Foo](/o/r/3.2-foo/)', 'https://deepwiki.com/o/r/1-overview', 'Overview.md', exportedPages),
+    '```\n[Foo](/o/r/3.2-foo)\n```\n[Foo](Foo.md)',
+    'Links inside fenced code should be left alone'
+  );
+  const wikilinkFiles = new Map([['Architecture', '01-overview/01.1-architecture/index.md'], ['Docker-&-Compose', '02-guides/02.1-docker-&-compose.md']]);
+  assert.equal(
+    rewriteWikilinkTargets('See [[Architecture|the design]], [[Docker-&-Compose#Volumes|volumes]] and [[Architecture]].', wikilinkFiles),
+    'See [[01-overview/01.1-architecture/index|the design]], [[02-guides/02.1-docker-&-compose#Volumes|volumes]] and [[01-overview/01.1-architecture/index|Architecture]].',
+    'Obsidian wikilinks should point at the nested export files'
+  );
+  assert.equal(
+    rewriteWikilinkTargets('```toml\n[[Architecture]]\n```\n[[Unexported|x]]', wikilinkFiles),
+    '```toml\n[[Architecture]]\n```\n[[Unexported|x]]',
+    'Wikilinks inside fenced code or to pages outside the export should be left alone'
+  );
+  assert.equal(relativeFilePath('guides/setup/docker.md', 'guides/api.md'), '../api.md', 'Relative paths should climb out of nested folders');
+  assert.equal(relativeFilePath('README.md', 'guides/My Page.md'), 'guides/My Page.md', 'Relative paths should descend into folders');
+
+  assert.equal(normalizeExportSettings({ citationStyle: 'gitlab' }).citationStyle, 'gitlab', 'Known citation styles should be kept');
+  assert.equal(normalizeExportSettings({ citationStyle: 'svn' }).citationStyle, 'original', 'Unknown citation styles should be rejected');
+  assert.equal(normalizeExportSettings({ citationBase: '  ../src  ' }).citationBase, '../src', 'Citation base should be trimmed');
+
+  const citation = 'Sources: [src/app.ts L10-L20](https://github.com/owner/repo/blob/main/src/app.ts#L10-L20)';
+  assert.deepEqual(
+    parseCitationUrl('https://github.com/owner/repo/blob/abc1234/src/app.ts#L7'),
+    { owner: 'owner', repo: 'repo', ref: 'abc1234', path: 'src/app.ts', start: 7, end: 7 },
+    'Single-line citations should parse with end equal to start'
+  );
+  assert.equal(rewriteCitationLinks(citation, { style: 'original' }), citation, 'Original style should leave citations alone');
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'github', commit: '0123456789abcdef' }),
+    'Sources: [src/app.ts L10-L20](https://github.com/owner/repo/blob/0123456789abcdef/src/app.ts#L10-L20)',
+    'GitHub citations on a branch should be pinned to the indexed commit'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'gitlab', base: 'https://git.example.com/', commit: 'abcdef1' }),
+    'Sources: [src/app.ts L10-L20](https://git.example.com/owner/repo/-/blob/abcdef1/src/app.ts#L10-20)',
+    'GitLab citations should use the configured host'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'vscode', base: '/home/me/repo' }),
+    'Sources: [src/app.ts L10-L20](vscode://file/home/me/repo/src/app.ts:10)',
+    'VS Code citations should open the local checkout'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'custom', base: '../src', template: '{base}/{path}?from={start}&to={end}' }),
+    'Sources: [src/app.ts L10-L20](../src/src/app.ts?from=10&to=20)',
+    'Custom templates should expand every placeholder'
+  );
+  assert.equal(
+    rewriteCitationLinks('[repo](https://github.com/owner/repo)', { style: 'relative', base: '..' }),
+    '[repo](https://github.com/owner/repo)',
+    'Links without line ranges are not citations'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'relative', base: '../src', pageFile: '01-overview/01.1-architecture/index.md' }),
+    'Sources: [src/app.ts L10-L20](../../../src/src/app.ts)',
+    'Relative checkout paths should climb out of the page folder'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'relative', base: '.', pageFile: '01-overview/index.md' }),
+    'Sources: [src/app.ts L10-L20](../src/app.ts)',
+    'A checkout at the export root should be reached from nested pages'
+  );
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'vscode', base: '/home/me/repo', pageFile: '01-overview/index.md' }),
+    'Sources: [src/app.ts L10-L20](vscode://file/home/me/repo/src/app.ts:10)',
+    'Absolute checkout paths should not depend on the page folder'
+  );
+  assert.equal(rewriteCitationLinks(citation, { style: 'gitlab', base: '' }), citation, 'Hosts without a base URL should keep the original citation');
+  assert.equal(
+    rewriteCitationLinks(citation, { style: 'relative', base: '/home/me/checkout/', pageFile: '01-overview/index.md' }),
+    'Sources: [src/app.ts L10-L20](/home/me/checkout/src/app.ts)',
+    'Absolute checkout paths should keep their root'
+  );
+  assert.deepEqual(
+    [
+      rewriteCitationLinks(citation, { style: 'relative', base: ' / ' }),
+      rewriteCitationLinks(citation, { style: 'relative', base: 'C:\\' }),
+      rewriteCitationLinks(citation, { style: 'vscode', base: 'C:/work/repo/' })
+    ],
+    [
+      'Sources: [src/app.ts L10-L20](/src/app.ts)',
+      'Sources: [src/app.ts L10-L20](C:/src/app.ts)',
+      'Sources: [src/app.ts L10-L20](vscode://file/C:/work/repo/src/app.ts:10)'
+    ],
+    'Filesystem and drive roots should be valid checkout paths'
+  );
+  assert.equal(citationBaseMissing('relative', ' '), true, 'A blank checkout path should count as missing');
+  assert.equal(citationBaseMissing('custom', '', 'https://src.example.com/{path}'), false, 'Custom templates without {base} need no base');
+  assert.equal(citationBaseMissing('github', ''), false, 'GitHub citations need no base');
+
+  assert.equal(
+    (manifest.host_permissions ?? []).includes('https://raw.githubusercontent.com/*'),
+    true,
+    'Manifest host permissions must include raw GitHub content for citation excerpts'
+  );
+  assert.deepEqual(
+    resolveRawSourceUrl('https://github.com/owner/repo/blob/main/src/my%20app.ts#L3-L5', '', 'abcdef1'),
+    { url: 'https://raw.githubusercontent.com/owner/repo/abcdef1/src/my%20app.ts', path: 'src/my app.ts', start: 3, end: 5 },
+    'Excerpts should be fetched from raw GitHub at the indexed commit'
+  );
+  assert.equal(
+    resolveRawSourceUrl('https://github.com/owner/repo/blob/main/lib/a.py#L1', 'http://localhost:8080/{repo}/{path}').url,
+    'http://localhost:8080/repo/lib/a.py',
+    'A mirror template should replace the raw GitHub location'
+  );
+  assert.equal(resolveRawSourceUrl('https://example.com/a.py#L1'), null, 'Non-GitHub links are not citations');
+  assert.deepEqual(
+    sliceSourceLines('one\r\ntwo\nthree\nfour\n', 2, 3),
+    { code: 'two\nthree', lineCount: 2, truncated: false },
+    'Cited lines should be cut out of the file'
+  );
+  assert.equal(sliceSourceLines('one', 5, 9), null, 'Ranges past the end of the file should be rejected');
+  assert.equal(
+    sliceSourceLines(Array.from({ length: 300 }, (_, i) => `line ${i}`).join('\n'), 1, 300).lineCount,
+    MAX_EXCERPT_LINES,
+    'Long excerpts should be truncated'
+  );
+
+  assert.deepEqual(
+    manifest.content_scripts?.[0]?.js,
+    ['utils/languageDetector.js', 'utils/markdownTables.js', 'utils/markdownDialects.js', 'utils/mathMl.js', 'utils/mermaidSyntax.js', 'content.js'],
+    'The shared converter helpers must load before the content script'
+  );
+
+  assert.equal(mermaidSyntax.quoteMermaidText('say "hi"'), '"say #quot;hi#quot;"', 'Quotes inside Mermaid labels should be entity-escaped');
+  assert.deepEqual(mermaidSyntax.parseTranslate('translate(12.5, -3e1)'), { x: 12.5, y: -30 }, 'SVG translations should parse');
+  assert.equal(mermaidSyntax.parseTranslate('scale(2)'), null, 'Transforms without a translation should be ignored');
+  const erBoxes = [{ name: 'A', box: { x1: 0, y1: 0, x2: 10, y2: 10 } }, { name: 'B', box: { x1: 100, y1: 0, x2: 110, y2: 10 } }];
+  assert.equal(mermaidSyntax.findClosestByBox({ x: 95, y: 5 }, erBoxes, 40).name, 'B', 'Path ends should attach to the nearest entity box');
+  assert.equal(mermaidSyntax.findClosestByBox({ x: 55, y: 200 }, erBoxes, 40), null, 'Path ends far from every box should not attach');
+  const erMarker = value => mermaidSyntax.markerNameFromReference(value);
+  assert.equal(erMarker('url(#mermaid-1_er-zeroOrMoreStart)'), 'mermaid1erzeroormorestart', 'Marker references should be normalized');
+  assert.deepEqual(
+    [
+      mermaidSyntax.erCardinality(erMarker('url(#er-zeroOrMoreStart)'), 'left'),
+      mermaidSyntax.erCardinality(erMarker('url(#er-zeroOrOneEnd)'), 'right'),
+      mermaidSyntax.erCardinality(erMarker('url(#er-oneOrMoreEnd)'), 'right'),
+      mermaidSyntax.erCardinality('', 'left')
+    ],
+    ['}o', 'o|', '|{', '||'],
+    'ER markers should map to crow\'s-foot cardinalities on the right side of the relationship'
+  );
+
+  assert.equal(mermaidSyntax.parseGanttTickDate('2024-03-01'), Date.UTC(2024, 2, 1), 'ISO gantt ticks should parse as UTC days');
+  assert.equal(mermaidSyntax.parseGanttTickDate('2024-03-01 09:30'), Date.UTC(2024, 2, 1, 9, 30), 'Gantt ticks with a time should keep it');
+  assert.equal(mermaidSyntax.parseGanttTickDate('Week 3'), null, 'Ticks without a year should not parse');
+  const dayScale = mermaidSyntax.createGanttTimeScale([
+    { time: Date.UTC(2024, 2, 8), x: 170 },
+    { time: Date.UTC(2024, 2, 1), x: 100 }
+  ]);
+  assert.equal(dayScale.dayPrecision, true, 'Midnight ticks should give a day-precision scale');
+  assert.equal(dayScale.formatTime(dayScale.xToTime(130)), '2024-03-04', 'Bar positions should map to the interpolated date');
+  const minuteScale = mermaidSyntax.createGanttTimeScale([
+    { time: Date.UTC(2024, 2, 1, 9), x: 0 },
+    { time: Date.UTC(2024, 2, 1, 10), x: 60 }
+  ]);
+  assert.equal(minuteScale.formatTime(minuteScale.xToTime(15)), '2024-03-01 09:15', 'Intra-day scales should format minutes');
+  assert.equal(mermaidSyntax.createGanttTimeScale([{ time: 0, x: 5 }, { time: 86400000, x: 5 }]), null, 'Ticks at one position cannot form a scale');
+  assert.deepEqual(
+    mermaidSyntax.ganttTaskTags(['task', 'activeCrit2', 'milestone']),
+    ['crit', 'active', 'milestone'],
+    'Gantt bar classes should map to task tags'
+  );
+  assert.deepEqual([270, 300, 360, 500].map(mermaidSyntax.journeyScoreFromFaceY), [5, 5, 3, 1], 'Journey face heights should map to scores from 1 to 5');
+  assert.equal(mermaidSyntax.escapeMermaidColons('Deploy: prod'), 'Deploy#colon; prod', 'Colons in task names should be escaped');
+
+  assert.equal(mermaidSyntax.pieSliceFraction('M0,-100A100,100,0,0,1,100,0L0,0Z'), 0.25, 'A quarter arc should be a quarter of the pie');
+  assert.equal(
+    mermaidSyntax.pieSliceFraction('M0,-100A100,100,0,1,1,0,100A100,100,0,1,1,0,-100L0,0Z'),
+    1,
+    'A slice drawn as two half arcs should cover the whole pie'
+  );
+  assert.equal(mermaidSyntax.pieSliceFraction('L0,0Z'), null, 'Paths without arcs should not be measured');
+  assert.deepEqual(mermaidSyntax.parsePieLegendText('Dogs [1,200]'), { label: 'Dogs', value: 1200 }, 'showData legends should give the raw value');
+  assert.deepEqual(mermaidSyntax.parsePieLegendText('Cats'), { label: 'Cats', value: null }, 'Plain legends should only give the label');
+  const valueScale = mermaidSyntax.createChartValueScale([{ value: 100, pos: 100 }, { value: 0, pos: 300 }, { value: 50, pos: 200 }]);
+  assert.deepEqual([valueScale.low.value, valueScale.high.value], [0, 100], 'The value scale should span the lowest and highest ticks');
+  assert.equal(valueScale.posToValue(150), 75, 'Bar ends should map back to data values on an inverted axis');
+  assert.equal(mermaidSyntax.roundChartValue(74.98765, 50), 75, 'Recovered values should be rounded relative to the tick step');
+  assert.equal(mermaidSyntax.createChartValueScale([{ value: 1, pos: 10 }, { value: 2, pos: 10 }]), null, 'Ticks at one position cannot form a scale');
+
+  assert.deepEqual(
+    [
+      mermaidSyntax.formatMindmapNode('Root', 'circle', 'n1'),
+      mermaidSyntax.formatMindmapNode('Idea (draft)', 'cloud', 'n2'),
+      mermaidSyntax.formatMindmapNode('Leaf', '', 'n3')
+    ],
+    ['n1((Root))', 'n2)"Idea (draft)"(', 'Leaf'],
+    'Mindmap nodes should keep their shape and quote bracketed text'
+  );
+  const mindmapCenter = { x: 0, y: 0 };
+  assert.deepEqual(
+    [{ x: -10, y: 0 }, { x: 0, y: 10 }, { x: 10, y: 0 }, { x: 0, y: -10 }]
+      .sort((a, b) => mermaidSyntax.clockwiseAngle(mindmapCenter, a) - mermaidSyntax.clockwiseAngle(mindmapCenter, b)),
+    [{ x: -10, y: 0 }, { x: 0, y: -10 }, { x: 10, y: 0 }, { x: 0, y: 10 }],
+    'Mindmap siblings should sort by their angle around the parent'
+  );
+  const mainLane = { name: 'main', lane: 0 };
+  const featureLane = { name: 'feature', lane: 50 };
+  const gitRoot = { id: '0-abc1234', type: '', tags: ['v1'], parents: [], branch: mainLane };
+  const gitFeature = { id: 'add-login', type: 'HIGHLIGHT', tags: [], parents: [gitRoot], branch: featureLane };
+  const gitMerge = { id: '2-def5678', type: 'merge', tags: [], parents: [gitRoot, gitFeature], branch: mainLane };
+  assert.deepEqual(
+    mermaidSyntax.replayGitGraph({ branches: [featureLane, mainLane, { name: 'hotfix', lane: 100 }], commits: [gitRoot, gitFeature, gitMerge] }),
+    [
+      'gitGraph',
+      '   commit tag: "v1"',
+      '   branch feature',
+      '   commit id: "add-login" type: HIGHLIGHT',
+      '   checkout main',
+      '   merge feature',
+      '   branch hotfix'
+    ],
+    'Git graphs should replay branches, merges, ids, tags and empty branches'
+  );
+  assert.equal(
+    mermaidSyntax.replayGitGraph({ branches: [{ name: 'trunk', lane: 0 }], commits: [], vertical: true }).slice(0, 2).join('\n'),
+    "%%{init: { 'gitGraph': { 'mainBranchName': 'trunk' } } }%%\ngitGraph TB:",
+    'A differently named main branch and vertical layout should be declared'
+  );
+
+  assert.equal(mermaidSyntax.unwrapMermaidFence('```mermaid\ngraph TD\n  A --> B\n```'), 'graph TD\n  A --> B', 'Fences should be stripped before re-rendering');
+  assert.equal(mermaidSyntax.mermaidDiagramType('%% fidelity: partial\n\nsequenceDiagram\n  A->>B: hi'), 'sequenceDiagram', 'The diagram type should skip comment lines');
+  assert.deepEqual(mermaidSyntax.diffMultiset(['a', 'a', 'b'], ['a', 'c']), ['a', 'b'], 'Repeated labels should be counted');
+  assert.deepEqual(
+    mermaidSyntax.compareDiagramSignatures(
+      { labels: ['start', 'end'], edges: ['start -> end'] },
+      { labels: ['start', 'end', 'extra'], edges: [] }
+    ),
+    ['extra labels: extra', 'missing edges: start -> end'],
+    'Signature differences should be listed by kind'
+  );
+  assert.deepEqual(
+    mermaidSyntax.compareDiagramSignatures({ labels: ['a'], edges: ['a -> a'] }, { labels: ['a'], edges: ['a -> a'] }),
+    [],
+    'Matching signatures should verify'
+  );
+  assert.equal(
+    mermaidSyntax.buildFidelityReport(
+      [{ index: 0, type: 'flowchart', status: 'partial', details: ['missing labels: a|b', 'extra edges: x -> y'] }],
+      'Overview',
+      'https://deepwiki.com/o/r/1-overview'
+    ),
+    '## Overview\n\nSource: https://deepwiki.com/o/r/1-overview\n\n| # | Diagram | Result | Details |\n| --- | --- | --- | --- |\n' +
+      '| 1 | flowchart | partial | missing labels: a\\|b<br>extra edges: x -> y |\n',
+    'The fidelity report should list one escaped row per diagram'
+  );
+
+  assert.equal(mermaidSyntax.isMermaidDefinition('%% comment\n---\ntitle: Flow\n---\nflowchart LR\n  A --> B'), true, 'Definitions may open with comments and front matter');
+  assert.equal(mermaidSyntax.isMermaidDefinition('graphql schema'), false, 'Words that merely start with a keyword are not definitions');
+  assert.deepEqual(
+    mermaidSyntax.extractMermaidFences('Intro\n```mermaid\ngraph TD\n  A --> B\n```\n{"md":"```mermaid\\nsequenceDiagram\\n  A->>B: \\"hi\\"\\n```"}'),
+    ['graph TD\n  A --> B', 'sequenceDiagram\n  A->>B: "hi"'],
+    'Fences should be read from Markdown and from JSON-escaped payloads'
+  );
+  assert.deepEqual(
+    mermaidSyntax.extractFlightChunks('self.__next_f.push([1,"```mermaid\\ngraph"]);self.__next_f.push([1,"broken\\"]);self.__next_f.push([1," TD\\n```"])'),
+    ['```mermaid\ngraph', ' TD\n```'],
+    'Flight chunks should be decoded and malformed ones skipped'
+  );
+  assert.equal(
+    mermaidSyntax.scoreMermaidSourceMatch(['user', 'api gateway', 'db', 'x'], 'flowchart LR\n  U[User] --> G["API<br/>Gateway"]\n  G --> Cache'),
+    2 / 3,
+    'Source matching should score the share of multi-character labels found in the definition'
+  );
+
+  const polygonShape = points => mermaidSyntax.classifyFlowchartPolygon(mermaidSyntax.parsePolygonPoints(points));
+  assert.deepEqual(
+    [
+      polygonShape('50,0 100,-50 50,-100 0,-50'),
+      polygonShape('0,0 100,0 90,40 10,40'),
+      polygonShape('10,0 90,0 100,40 0,40'),
+      polygonShape('0,0 100,0 110,40 10,40'),
+      polygonShape('10,0 110,0 100,40 0,40'),
+      polygonShape('0,0 100,0 100,-40 0,-40'),
+      polygonShape('0,0 80,0 100,-20 80,-40 0,-40 20,-20'),
+      polygonShape('0,0 90,0 100,-20 90,-40 0,-40')
+    ],
+    ['rhombus', 'trapezoidAlt', 'trapezoid', 'parallelogramAlt', 'parallelogram', 'rect', 'hexagon', 'asymmetric'],
+    'Flowchart polygons should be classified by vertex layout'
+  );
+  assert.deepEqual(mermaidSyntax.FLOWCHART_SHAPE_BRACKETS.trapezoid, ['[/', '\\]'], 'Trapezoids should use Mermaid brackets');
+  assert.equal(
+    mermaidSyntax.parseFlowchartStyle('fill: rgb(255, 0, 16) !important; stroke:#333; font-size: 12px; stroke-dasharray: 5, 5; color: rgba(0,0,0,0)'),
+    'fill:#ff0010,stroke:#333,color:transparent',
+    'Node styles should keep Mermaid properties with hex colors'
+  );
+  assert.equal(mermaidSyntax.parseFlowchartStyle('fill:none;stroke:red', ['stroke']), 'stroke:red', 'Edge styles should keep only the given properties');
+  assert.deepEqual(
+    [
+      mermaidSyntax.flowchartEdgeArrow(['flowchart-link'], '', 'flowchartpointend'),
+      mermaidSyntax.flowchartEdgeArrow(['edge-pattern-dotted'], 'flowchartpointstart', 'flowchartpointend'),
+      mermaidSyntax.flowchartEdgeArrow(['edge-thickness-thick'], '', 'flowchartcrossend'),
+      mermaidSyntax.flowchartEdgeArrow(['edge-pattern-solid'], '', 'flowchartcircleend'),
+      mermaidSyntax.flowchartEdgeArrow(['edge-thickness-thick'], '', ''),
+      mermaidSyntax.flowchartEdgeArrow(['edge-thickness-invisible'], '', 'flowchartpointend')
+    ],
+    ['-->', '<-.->', '==x', '--o', '===', '~~~'],
+    'Flowchart edges should keep their stroke and arrow heads'
+  );
+  const flowBox = (left, top) => ({ bbox: { left, top, width: 20, height: 10 } });
+  assert.equal(mermaidSyntax.inferFlowchartDirection([{ source: flowBox(0, 0), target: flowBox(100, 5) }]), 'LR', 'Mostly horizontal edges should give LR');
+  assert.equal(mermaidSyntax.inferFlowchartDirection([{ source: flowBox(0, 100), target: flowBox(5, 0) }]), 'BT', 'Upward edges should give BT');
+
+  assert.deepEqual(
+    [
+      mermaidSyntax.sequenceMessageArrow('', 'arrowhead', false),
+      mermaidSyntax.sequenceMessageArrow('', 'arrowhead', true),
+      mermaidSyntax.sequenceMessageArrow('arrowhead', 'arrowhead', false),
+      mermaidSyntax.sequenceMessageArrow('', 'crosshead', true),
+      mermaidSyntax.sequenceMessageArrow('', 'filledhead', false),
+      mermaidSyntax.sequenceMessageArrow('', '', false)
+    ],
+    ['->>', '-->>', '<<->>', '--x', '-)', '->'],
+    'Sequence message markers should map to Mermaid arrows'
+  );
+  assert.equal(mermaidSyntax.cleanSequenceFrameText(' [retry until ok] '), 'retry until ok', 'Frame conditions should lose their brackets');
+  assert.deepEqual(
+    [[1, 2, 3], [10, 20], [5], []].map(mermaidSyntax.sequenceAutonumber),
+    ['autonumber', 'autonumber 10 10', 'autonumber 5', ''],
+    'Message numbers should become an autonumber statement'
+  );
+  const altFrame = { keyword: 'alt', title: 'cache hit', yMin: 10, yMax: 100, sections: [{ text: 'miss', y: 50 }] };
+  assert.deepEqual(
+    mermaidSyntax.renderSequenceEvents({
+      messages: [
+        { from: 'A', to: 'B', arrow: '->>', text: 'get', y: 5 },
+        { from: 'B', to: 'A', arrow: '-->>', text: 'cached', y: 30 },
+        { from: 'B', to: 'DB', arrow: '->>', text: 'query', y: 60 }
+      ],
+      notes: [{ placement: 'right of DB', text: 'slow', y: 70 }],
+      activations: [{ id: 'DB', startY: 60, endY: 80 }],
+      frames: [altFrame]
+    }),
+    [
+      '  A->>B: get',
+      '  alt cache hit',
+      '    B-->>A: cached',
+      '  else miss',
+      '    B->>DB: query',
+      '    activate DB',
+      '    Note right of DB: slow',
+      '    deactivate DB',
+      '  end'
+    ],
+    'Sequence events should be ordered by position and nested in their frames'
+  );
+
+  assert.deepEqual(
+    [
+      mermaidSyntax.classMemberClassifier('text-decoration: underline', []),
+      mermaidSyntax.classMemberClassifier('', ['span', 'em']),
+      mermaidSyntax.classMemberClassifier('color: red', ['span'])
+    ],
+    ['$', '*', ''],
+    'Underlined members should be static and italic ones abstract'
+  );
+  assert.equal(mermaidSyntax.classMemberText('+List<String> items', '$'), '+List~String~ items$', 'Member generics and classifiers should use Mermaid syntax');
+  assert.equal(mermaidSyntax.classMemberText('+area()*', '*'), '+area()*', 'An existing classifier should not be repeated');
+  assert.equal(mermaidSyntax.classAnnotation(' «interface» '), '<<interface>>', 'Guillemet annotations should become <<...>>');
+  assert.equal(mermaidSyntax.classGenericSuffix('Repository<Map<K, V>>'), '~Map~K, V~~', 'Class titles should give their generic suffix');
+  assert.equal(mermaidSyntax.classGenericSuffix('Repository'), '', 'Plain class titles have no generic suffix');
+  assert.deepEqual(
+    mermaidSyntax.renderClassDefinition('Shape', { generic: '', stereotype: '<<abstract>>', members: ['+int sides'], methods: ['+area()*'] }, '    '),
+    ['    class Shape {', '        <<abstract>>', '        +int sides', '        +area()*', '    }'],
+    'Class definitions should list the annotation, members and methods'
+  );
+  assert.equal(
+    mermaidSyntax.labelClassRelationEnds('Item <-- Order', 'Order', { start: '1', end: '*' }),
+    'Item "*" <-- "1" Order',
+    'Multiplicities should sit next to the class at their end of the relation'
+  );
+
+  assert.deepEqual(
+    ['state-Idle-3', 'flowchart-state-root_start-0', 's1_state-fork1-7', 'cluster-1'].map(mermaidSyntax.stateIdFromDomId),
+    ['Idle', 'root_start', 'fork1', ''],
+    'State ids should be read from rendered element ids'
+  );
+  const stateBox = { x1: 0, y1: 0, x2: 100, y2: 50 };
+  assert.equal(mermaidSyntax.boxContainsPoint(stateBox, 100.5, 25), true, 'Box containment should allow a pixel of slack');
+  assert.equal(mermaidSyntax.stateEndpointDistance({ x: 50, y: 45 }, { kind: 'state', box: stateBox }), 0, 'Points inside a state should touch it');
+  assert.equal(mermaidSyntax.stateEndpointDistance({ x: 50, y: 45 }, { kind: 'composite', box: stateBox }), 5, 'Composite states should be reached at their border');
+  assert.deepEqual(
+    [mermaidSyntax.forkJoinPseudo(1, 2), mermaidSyntax.forkJoinPseudo(2, 1)],
+    ['fork', 'join'],
+    'Bars splitting a transition should be forks and merging ones joins'
+  );
+  assert.deepEqual(
+    [
+      mermaidSyntax.stateDeclaration({ kind: 'forkjoin', name: 'fork1', pseudo: 'fork' }),
+      mermaidSyntax.stateDeclaration({ kind: 'state', name: 'Idle', label: 'Waiting for input' }),
+      mermaidSyntax.stateDeclaration({ kind: 'state', name: 'Idle', label: 'Idle' })
+    ],
+    ['state fork1 <<fork>>', 'state "Waiting for input" as Idle', ''],
+    'Only pseudo-states and relabelled states need declarations'
+  );
+  assert.equal(mermaidSyntax.compositeStateHeader({ name: 'Active', label: 'Active' }), 'state Active', 'Composite headers should omit a redundant label');
+  assert.equal(mermaidSyntax.stateTransitionLine('[*]', 'Idle', ''), '[*] --> Idle', 'Unlabelled transitions should have no label');
+  assert.equal(mermaidSyntax.stateTransitionLine('Idle', 'Busy', 'start'), 'Idle --> Busy : start', 'Transition labels should follow a colon');
+
+  assert.deepEqual(
+    ['person', 'system_db', 'external_container_queue', 'external_component', 'unknown'].map(mermaidSyntax.c4MacroName),
+    ['Person', 'SystemDb', 'ContainerQueue_Ext', 'Component_Ext', 'System'],
+    'C4 element kinds should map onto their macros'
+  );
+  const c4Ids = new Set(['api']);
+  assert.deepEqual(
+    [mermaidSyntax.toMermaidIdentifier('API', c4Ids), mermaidSyntax.toMermaidIdentifier('api', c4Ids), mermaidSyntax.toMermaidIdentifier('2nd tier!', c4Ids), mermaidSyntax.toMermaidIdentifier('', c4Ids)],
+    ['API', 'api2', 'n2nd_tier', 'node'],
+    'Identifiers should be sanitized and unique'
+  );
+  assert.equal(
+    mermaidSyntax.renderC4Element({ type: 'container_db', alias: 'db', label: 'Orders "main"', techn: 'PostgreSQL', descr: 'Stores orders' }),
+    'ContainerDb(db, "Orders \'main\'", "PostgreSQL", "Stores orders")',
+    'Containers should carry their technology and quotes should be replaced'
+  );
+  assert.deepEqual(
+    [
+      mermaidSyntax.renderC4BoundaryHeader({ type: 'Enterprise', alias: 'corp', label: 'Corp' }),
+      mermaidSyntax.renderC4BoundaryHeader({ type: 'region', alias: 'eu', label: 'EU' })
+    ],
+    ['Enterprise_Boundary(corp, "Corp")', 'Boundary(eu, "EU", "region")'],
+    'Unknown boundary types should use the generic Boundary macro'
+  );
+  assert.equal(
+    mermaidSyntax.renderC4Relation({ macro: 'Rel', from: { alias: 'web' }, to: { alias: 'api' }, label: 'Calls', techn: 'HTTPS' }),
+    'Rel(web, api, "Calls", "HTTPS")',
+    'C4 relations should list both aliases, the label and the technology'
+  );
+
+  assert.deepEqual(
+    [mermaidSyntax.architectureIconFromOutlines(['m20, 57.86c0, 3.94 8,7']), mermaidSyntax.architectureIconFromOutlines(['M0 0L1 1', null])],
+    ['database', 'server'],
+    'Architecture icons should be recognised by their outline and default to server'
+  );
+  const serviceBox = { cx: 50, cy: 50, width: 40, height: 40 };
+  assert.deepEqual(
+    [{ x: 30, y: 50 }, { x: 70, y: 45 }, { x: 50, y: 30 }, { x: 52, y: 70 }].map(point => mermaidSyntax.architectureEdgeSide(serviceBox, point)),
+    ['L', 'R', 'T', 'B'],
+    'Edge endpoints should attach to the nearest side'
+  );
+  assert.equal(
+    mermaidSyntax.renderArchitectureEdge({ source: 'db', sourceSide: 'R', sourceArrow: true, target: 'api', targetSide: 'L', targetArrow: false, title: 'reads' }),
+    'db:R <-[reads]- L:api',
+    'Architecture edges should show sides, arrows and titles'
+  );
+
+  const gridBlock = (id, x1, y1, width) => ({ id, label: id, shape: 'rect', box: { x1, x2: x1 + width, cx: x1 + width / 2, cy: y1 + 20, width, height: 40 } });
+  const blockA = gridBlock('a', 0, 0, 100);
+  const blockB = gridBlock('b', 220, 0, 100);
+  const blockC = gridBlock('c', 0, 60, 210);
+  const blockD = gridBlock('d', 220, 60, 100);
+  const blockGrid = mermaidSyntax.layoutBlockGrid([blockD, blockC, blockB, blockA]);
+  assert.deepEqual(
+    [blockGrid.columns, blockGrid.rows.map(row => row.blocks.map(block => `${block.id}@${block.column}:${block.span}`))],
+    [3, [['a@0:1', 'b@2:1'], ['c@0:2', 'd@2:1']]],
+    'Block grids should recover columns, spans and gaps from positions'
+  );
+  assert.deepEqual(
+    [
+      mermaidSyntax.formatBlockNode(blockC),
+      mermaidSyntax.formatBlockNode({ id: 'db', label: 'Data "store"', shape: 'cylinder', span: 1 }),
+      mermaidSyntax.blockSpace(1),
+      mermaidSyntax.blockSpace(3)
+    ],
+    ['c:2', 'db[("Data #quot;store#quot;")]', 'space', 'space:3'],
+    'Blocks should keep their span, shape and label and gaps should become space blocks'
+  );
+
+  const headedTable = layoutTable([
+    { inHead: true, cells: [tableCell('Name', { isHeader: true }), tableCell('Value', { isHeader: true, alignment: 'right' })] },
+    { inHead: false, cells: [tableCell('a|b'), tableCell('2\n3', { html: '2<br>3' })] }
+  ]);
+  assert.equal(
+    renderPipeTable(headedTable),
+    '| Name | Value |\n| --- | ---: |\n| a\\|b | 2<br>3 |\n\n',
+    'Line breaks in cells should become <br> and pipes should be escaped'
+  );
+  assert.equal(
+    renderHtmlTable(headedTable),
+    '<table>\n<thead>\n<tr><th>Name</th><th align="right">Value</th></tr>\n</thead>\n<tbody>\n<tr><td>a|b</td><td>2<br>3</td></tr>\n</tbody>\n</table>\n\n',
+    'HTML tables should keep the header row and cell line breaks'
+  );
+  const headerlessTable = layoutTable([
+    { inHead: false, cells: [tableCell('1'), tableCell('2')] },
+    { inHead: false, cells: [tableCell('3'), tableCell('4')] }
+  ]);
+  assert.equal(
+    renderHtmlTable(headerlessTable),
+    '<table>\n<tbody>\n<tr><td>1</td><td>2</td></tr>\n<tr><td>3</td><td>4</td></tr>\n</tbody>\n</table>\n\n',
+    'Tables without header cells should stay header-less in HTML'
+  );
+  assert.equal(renderPipeTable(headerlessTable), '| 1 | 2 |\n| --- | --- |\n| 3 | 4 |\n\n', 'Pipe tables need a header row, so the first row becomes one');
+  const spannedTable = layoutTable([
+    { inHead: false, cells: [tableCell('Group', { isHeader: true, colspan: 2 })] },
+    { inHead: false, cells: [tableCell('x', { rowspan: 0 }), tableCell('y')] },
+    { inHead: false, cells: [tableCell('z')] }
+  ]);
+  assert.equal(spannedTable.columnCount, 2, 'Column spans should widen the grid');
+  assert.equal(spannedTable.rows[2].cells[1].text, 'z', 'Cells should skip columns taken by a row span');
+  assert.equal(
+    renderPipeTable(spannedTable),
+    '| Group |  |\n| --- | --- |\n| x | y |\n|  | z |\n\n',
+    'Merged cells should keep their content in the first cell of the span'
+  );
+  assert.equal(
+    layoutTable([{ inHead: false, cells: [tableCell('- item', { html: '<ul><li>item</li></ul>', hasBlockContent: true })] }]).needsHtml,
+    true,
+    'Block content in a cell should force an HTML table'
+  );
+
+  assert.deepEqual(Object.keys(MARKDOWN_DIALECTS), ['gfm', 'commonmark', 'obsidian', 'mkdocs'], 'Every supported dialect should be defined');
+  assert.equal(CALLOUT_KIND_ALIASES.caution, 'warning', 'Callout aliases should map onto the shared kinds');
+  assert.equal(quoteMarkdownLines('a\n\nb'), '> a\n>\n> b', 'Blank lines inside quotes should keep the marker');
+  assert.equal(indentMarkdownLines('a\n\nb'), '    a\n\n    b', 'Blank lines should not be indented');
+  assert.equal(wrapInlineMarkdown(' foo ', '**'), ' **foo** ', 'Surrounding whitespace should stay outside the markers');
+  assert.equal(wrapInlineMarkdown('  ', '**'), '  ', 'Whitespace-only content should not be wrapped');
+  assert.deepEqual(
+    Object.values(MARKDOWN_DIALECTS).map(dialect => dialect.callout('danger', '', 'Do not do this.')),
+    [
+      '> [!CAUTION]\n> Do not do this.\n\n',
+      '> **Danger**\n>\n> Do not do this.\n\n',
+      '> [!danger]\n> Do not do this.\n\n',
+      '!!! danger\n\n    Do not do this.\n\n'
+    ],
+    'Each dialect should spell callouts its own way'
+  );
+  assert.equal(
+    MARKDOWN_DIALECTS.gfm.callout('tip', 'Hint', 'Body'),
+    '> [!TIP]\n> **Hint**\n>\n> Body\n\n',
+    'GFM alerts have no title, so it should become a bold first line'
+  );
+  assert.equal(
+    MARKDOWN_DIALECTS.mkdocs.callout('important', 'Say "hi"', 'Body'),
+    '!!! abstract "Say \'hi\'"\n\n    Body\n\n',
+    'MkDocs admonition titles should not contain double quotes'
+  );
+  assert.deepEqual(
+    Object.values(MARKDOWN_DIALECTS).map(dialect => dialect.collapsible('More', 'Hidden')),
+    [
+      '<details>\n<summary>More</summary>\n\nHidden\n\n</details>\n\n',
+      '<details>\n<summary>More</summary>\n\nHidden\n\n</details>\n\n',
+      '> [!note]- More\n> Hidden\n\n',
+      '??? note "More"\n\n    Hidden\n\n'
+    ],
+    'Each dialect should spell collapsible sections its own way'
+  );
+  assert.equal(
+    MARKDOWN_DIALECTS.mkdocs.tabs([{ label: 'npm', body: 'npm i' }, { label: 'yarn', body: 'yarn add' }]),
+    '=== "npm"\n\n    npm i\n\n=== "yarn"\n\n    yarn add\n\n',
+    'MkDocs should use content tabs'
+  );
+  assert.equal(
+    MARKDOWN_DIALECTS.gfm.tabs([{ label: 'npm', body: 'npm i' }]),
+    '**npm**\n\nnpm i\n\n',
+    'Dialects without tabs should write each tab as a labelled section'
+  );
+  assert.equal(MARKDOWN_DIALECTS.commonmark.table(headedTable), renderHtmlTable(headedTable), 'CommonMark has no pipe tables, so tables should be HTML');
+  assert.equal(MARKDOWN_DIALECTS.gfm.table(headedTable), renderPipeTable(headedTable), 'GFM should use pipe tables');
+  assert.deepEqual(
+    [
+      MARKDOWN_DIALECTS.obsidian.wikiLink('Getting Started', 'Getting Started'),
+      MARKDOWN_DIALECTS.obsidian.wikiLink('Getting Started', 'the [setup|guide]'),
+      MARKDOWN_DIALECTS.gfm.wikiLink('Getting Started', 'setup')
+    ],
+    ['[[Getting Started]]', '[[Getting Started|the setupguide]]', null],
+    'Only Obsidian should write wikilinks, with brackets and pipes removed from the alias'
+  );
+  assert.deepEqual(
+    Object.values(MARKDOWN_DIALECTS).map(dialect => [dialect.strikethrough('gone '), dialect.highlight('key')]),
+    [['~~gone~~ ', '<mark>key</mark>'], ['<del>gone</del> ', '<mark>key</mark>'], ['~~gone~~ ', '==key=='], ['~~gone~~ ', '==key==']],
+    'Strikethrough and highlight should follow the dialect'
+  );
+
+  assert.equal(markdownDialects.renderKeyboardInput('Ctrl+<Enter>'), '<kbd>Ctrl+&lt;Enter&gt;</kbd>', 'Key names should be escaped inside KBD');
+  assert.equal(markdownDialects.wrapInlineHtml('2 ', 'sup'), '<sup>2</sup> ', 'Inline HTML tags should keep whitespace outside');
+  assert.deepEqual(
+    [markdownDialects.renderAbbreviation('HTML', 'HyperText "Markup" Language'), markdownDialects.renderAbbreviation('HTML', '')],
+    ['<abbr title="HyperText &quot;Markup&quot; Language">HTML</abbr>', 'HTML'],
+    'Abbreviations should keep an escaped expansion and drop the tag without one'
+  );
+  assert.deepEqual(
+    [' [^note-1] ', '[^1] and more', 'x'].map(markdownDialects.isFootnoteReference),
+    [true, false, false],
+    'Only a lone footnote marker should count as a reference'
+  );
+  assert.deepEqual(
+    ['#fn1', '#fn-2', '#fn:3', '#user-content-fn-note', '#fnref1', '#user-content-fnref-note', '#fn-pointers', '#fnmatch', '#fnv-hash', '#fnref-table', null].map(markdownDialects.footnoteLinkKind),
+    ['reference', 'reference', 'reference', 'reference', 'backref', 'backref', '', '', '', '', ''],
+    'Only numbered and GitHub footnote targets should make an unmarked link a footnote'
+  );
+  assert.deepEqual(
+    [markdownDialects.footnoteLabel('user-content-fn-1', '9'), markdownDialects.footnoteLabel('fn:a.b', '9'), markdownDialects.footnoteLabel('fn-', '9')],
+    ['1', 'ab', '9'],
+    'Footnote labels should drop the id prefix and characters not allowed in [^...]'
+  );
+  assert.equal(
+    markdownDialects.formatFootnoteDefinitions(
+      new Map([['fn-2', '2'], ['fn-1', '1']]),
+      new Map([['fn-1', 'First.\n\nMore.'], ['fn-2', 'Second.'], ['fn-3', 'Unused.'], ['fn-4', '']])
+    ),
+    '\n\n[^2]: Second.\n\n[^1]: First.\n\n    More.\n\n[^3]: Unused.\n',
+    'Footnotes should follow reference order, indent continuation paragraphs and skip empty bodies'
+  );
+  assert.equal(markdownDialects.formatFootnoteDefinitions(new Map(), new Map()), '', 'No definitions should add nothing');
+
+  assert.equal(joinTex(['\\alpha', 'x', '+', '\\beta']), '\\alpha x+\\beta', 'Control words should be separated from following letters');
+  assert.equal(
+    convertMathMlToTex(mathNode('math', [
+      mathNode('mfrac', [mathNode('mi', 'a'), mathNode('msup', [mathNode('mi', 'b'), mathNode('mn', '2')])]),
+      mathNode('mo', '≤'),
+      mathNode('msqrt', [mathNode('mi', 'π')])
+    ])),
+    '\\frac{a}{b^2}\\le\\sqrt{\\pi}',
+    'Fractions, powers, roots and symbols should become TeX'
+  );
+  assert.equal(
+    convertMathMlToTex(mathNode('math', [
+      mathNode('munderover', [mathNode('mo', '∑'), mathNode('mrow', [mathNode('mi', 'i'), mathNode('mo', '='), mathNode('mn', '1')]), mathNode('mi', 'n')]),
+      mathNode('mi', 'sin'),
+      mathNode('msub', [mathNode('mi', 'x'), mathNode('mi', 'i')])
+    ])),
+    '\\sum_{i=1}^n\\sin x_i',
+    'Large operators should take limits and known functions should become commands'
+  );
+  assert.deepEqual(
+    [
+      convertMathMlToTex(mathNode('mover', [mathNode('mi', 'v'), mathNode('mo', '→')])),
+      convertMathMlToTex(mathNode('mfrac', [mathNode('mi', 'n'), mathNode('mi', 'k')], { linethickness: '0' })),
+      convertMathMlToTex(mathNode('mi', 'R', { mathvariant: 'double-struck' })),
+      convertMathMlToTex(mathNode('mi', 'speed')),
+      convertMathMlToTex(mathNode('mtext', 'if {x}'))
+    ],
+    ['\\vec{v}', '\\binom{n}{k}', '\\mathbb{R}', '\\mathrm{speed}', '\\text{if \\{x\\}}'],
+    'Accents, binomials, variants and text should use their TeX forms'
+  );
+  assert.equal(
+    convertMathMlToTex(mathNode('mtable', [
+      mathNode('mtr', [mathNode('mtd', [mathNode('mn', '1')]), mathNode('mtd', [mathNode('mn', '0')])]),
+      mathNode('mtr', [mathNode('mtd', [mathNode('mn', '0')]), mathNode('mtd', [mathNode('mn', '1')])])
+    ])),
+    '\\begin{matrix}1 & 0 \\\\ 0 & 1\\end{matrix}',
+    'Tables should become matrices'
+  );
+  assert.equal(
+    convertMathMlToTex(mathNode('semantics', [mathNode('mi', 'x'), mathNode('annotation', 'x')])),
+    'x',
+    'Annotations should not be converted twice'
+  );
+  assert.equal(LANGUAGE_PROFILES.length >= 30, true, 'The classifier should cover at least 30 languages');
+  const languageDetection = measureLanguageDetection();
+  console.log(`Language detection accuracy: ${languageDetection.correct}/${languageDetection.total}`);
+  assert.equal(
+    languageDetection.correct / languageDetection.total >= 0.9,
+    true,
+    `Language detection accuracy fell below 90%:\n${languageDetection.misses.join('\n')}`
+  );
+  assert.equal(
+    detectLanguage('import os\nimport json\n\nprint(json.dumps(dict(os.environ)))\n'),
+    'python',
+    'Python imports should not be mistaken for JavaScript'
+  );
+  assert.equal(detectLanguage('#!/bin/sh\nrun_all_the_things now\n'), 'bash', 'A shebang should decide the language');
+  assert.equal(detectLanguage('const a = 1;\nconst b = 2;'), 'javascript', 'Numeric assignments should not look like protobuf fields');
+  assert.equal(detectLanguage('x = 5\ny = 10\nprint(x + y)'), 'python', 'Assignments outside a [table] should not look like TOML');
+  assert.equal(detectLanguage('x = 1', { className: 'language-py' }), 'py', 'Declared classes should be kept as written');
+  assert.equal(detectLanguage('plain words in a block', { className: 'language-text' }), 'text', 'Unknown declared classes should be kept as written');
+  assert.equal(
+    detectLanguage('const user: User = await load(id);\ninterface User { name: string }', { className: 'language-javascript' }),
+    'javascript',
+    'Content heuristics should not override a declared language'
+  );
+  assert.equal(detectLanguage('std::vector<int> v;\nstd::cout << v.size();', { className: 'c' }), 'c', 'A declared C block should stay C');
+  assert.equal(detectLanguage('$ npm install', { className: 'language-console' }), 'console', 'Declared aliases should not be rewritten');
+  assert.equal(detectLanguage('just some words', { fileName: 'deploy/Dockerfile' }), 'dockerfile', 'A source file name should decide the language');
+  assert.equal(
+    detectLanguage('value = compute(input)\nresult = value', { nearbyFileNames: ['pipeline.py'] }),
+    'python',
+    'Cited source files should tip ambiguous blocks'
+  );
+  assert.equal(detectLanguage('value = compute(input)\nresult = value'), '', 'Ambiguous blocks should get no language');
+  assert.equal(languageForFileName('src/lib.rs'), 'rust', 'File extensions should map to languages');
+  assert.equal(languageForFileName('Makefile'), 'makefile', 'Well-known file names should map to languages');
+
+  assert.equal(normalizeExportSettings({ downloadImages: true }).downloadImages, true, 'Image downloads should be kept');
+  assert.equal(normalizeExportSettings({ downloadImages: 1 }).downloadImages, false, 'Non-boolean image downloads should be rejected');
+  assert.equal(normalizeExportSettings(null).crawlMode, 'background', 'Batch exports should not navigate the user tab by default');
+  assert.equal(normalizeExportSettings({ crawlMode: 'tab' }).crawlMode, 'tab', 'Legacy crawl mode should be kept');
+  assert.equal(normalizeExportSettings({ crawlMode: 'fetch' }).crawlMode, 'background', 'Unknown crawl modes should be rejected');
+  assert.equal(normalizeExportSettings(null).batchWorkers, 3, 'Batch exports should use three workers by default');
+  assert.equal(normalizeExportSettings({ batchWorkers: 20 }).batchWorkers, 6, 'Worker counts should be capped');
+  assert.equal(normalizeExportSettings({ batchWorkers: 0 }).batchWorkers, 1, 'At least one worker should run');
+  assert.equal(normalizeExportSettings({ batchWorkers: 2.5 }).batchWorkers, 3, 'Fractional worker counts should be rejected');
+  const imageMarkdown = [
+    '![Logo](https://cdn.example.com/logo.png?v=2)',
+    '[![Build](https://img.shields.io/badge/build-passing-green)](https://ci.example.com)',
+    '![Copy](https://mirror.example.com/logo.png)',
+    '![Broken](https://cdn.example.com/missing.png)',
+    '```\n![Not an image](https://cdn.example.com/code.png)\n```'
+  ].join('\n\n');
+  const imageUrls = collectImageUrls(imageMarkdown);
+  assert.deepEqual(
+    imageUrls,
+    [
+      'https://cdn.example.com/logo.png?v=2',
+      'https://img.shields.io/badge/build-passing-green',
+      'https://mirror.example.com/logo.png',
+      'https://cdn.example.com/missing.png'
+    ],
+    'Images, including linked badges, should be collected outside code blocks'
+  );
+  const imageBodies = {
+    'https://cdn.example.com/logo.png?v=2': { type: 'image/png', body: 'logo-bytes' },
+    'https://mirror.example.com/logo.png': { type: 'image/png', body: 'logo-bytes' },
+    'https://img.shields.io/badge/build-passing-green': { type: 'image/svg+xml; charset=utf-8', body: '<svg/>' }
+  };
+  const fakeImageFetch = async (url) => {
+    const image = imageBodies[url];
+    return {
+      ok: Boolean(image),
+      status: image ? 200 : 404,
+      headers: new Headers(image ? { 'content-type': image.type } : {}),
+      arrayBuffer: async () => new TextEncoder().encode(image ? image.body : '').buffer
+    };
+  };
+  const { pathsByUrl, files: assetFiles } = await fetchImageAssets(imageUrls, { fetchImpl: fakeImageFetch });
+  assert.equal(assetFiles.length, 2, 'Identical images should be stored once');
+  assert.equal(
+    pathsByUrl.get('https://cdn.example.com/logo.png?v=2'),
+    pathsByUrl.get('https://mirror.example.com/logo.png'),
+    'Identical images should share one asset path'
+  );
+  assert.match(pathsByUrl.get('https://img.shields.io/badge/build-passing-green'), /^assets\/[0-9a-f]{16}\.svg$/, 'Asset names should come from the content hash and type');
+  assert.equal(pathsByUrl.get('https://cdn.example.com/missing.png'), null, 'Failed downloads should be recorded');
+  const localizedMarkdown = rewriteImageLinks(imageMarkdown, pathsByUrl, 'guides/setup.md');
+  assert.equal(
+    localizedMarkdown.includes(`[![Build](../${pathsByUrl.get('https://img.shields.io/badge/build-passing-green')})](https://ci.example.com)`),
+    true,
+    'Linked badges should point at the local copy and keep their link'
+  );
+  assert.equal(localizedMarkdown.includes('![Broken](https://cdn.example.com/missing.png)'), true, 'Images that failed to download should stay remote');
+  assert.equal(localizedMarkdown.includes('![Not an image](https://cdn.example.com/code.png)'), true, 'Code blocks should not be rewritten');
+
+  assert.equal(normalizeWorkerCount('4'), 4, 'Numeric worker counts should be accepted');
+  assert.equal(normalizeWorkerCount(undefined), 3, 'Missing worker counts should use the default');
+
+  const poolPages = [
+    { url: 'https://deepwiki.com/o/r/1-a' },
+    { url: 'https://deepwiki.com/o/r/2-b' },
+    { url: 'https://deepwiki.com/o/r/3-c' },
+    { url: 'https://docs.example.com/4-d' },
+    { url: 'https://deepwiki.com/o/r/5-e' }
+  ];
+  const taskDurations = [30, 5, 20, 1, 10];
+  const activeByHost = new Map();
+  const peakByHost = new Map();
+  let activeTasks = 0;
+  let peakTasks = 0;
+  const workersUsed = new Set();
+  const poolResults = await runWorkerPool(poolPages, async (page, index, workerIndex) => {
+    const host = new URL(page.url).host;
+    activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+    peakByHost.set(host, Math.max(peakByHost.get(host) || 0, activeByHost.get(host)));
+    activeTasks += 1;
+    peakTasks = Math.max(peakTasks, activeTasks);
+    workersUsed.add(workerIndex);
+    await new Promise(resolve => setTimeout(resolve, taskDurations[index]));
+    activeTasks -= 1;
+    activeByHost.set(host, activeByHost.get(host) - 1);
+    return `page-${index + 1}`;
+  }, { workerCount: 3, limiter: createHostLimiter({ maxPerHost: 2, politenessDelayMs: 0 }) });
+  assert.deepEqual(poolResults, ['page-1', 'page-2', 'page-3', 'page-4', 'page-5'], 'Pool results should keep the input order');
+  assert.equal(peakTasks <= 3, true, 'No more tasks than workers should run at once');
+  assert.equal(peakByHost.get('deepwiki.com'), 2, 'The per-host limit should cap concurrent loads');
+  assert.equal(workersUsed.size, 3, 'Every worker should take pages');
+
+  let defaultActive = 0;
+  let defaultPeak = 0;
+  await runWorkerPool(Array.from({ length: 6 }, (_, index) => ({ url: `https://deepwiki.com/o/r/${index + 1}-page` })), async () => {
+    defaultActive += 1;
+    defaultPeak = Math.max(defaultPeak, defaultActive);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    defaultActive -= 1;
+  }, { workerCount: 6, politenessDelayMs: 0 });
+  assert.equal(defaultPeak, 6, 'Without a limiter every configured worker should be able to load from the same site');
+
+  const politenessWaits = [];
+  const politeLimiter = createHostLimiter({
+    maxPerHost: 3,
+    politenessDelayMs: 500,
+    now: () => 0,
+    sleep: async ms => { politenessWaits.push(ms); }
+  });
+  await runWorkerPool(poolPages.slice(0, 3), async () => {}, { workerCount: 3, limiter: politeLimiter });
+  assert.deepEqual(politenessWaits, [500, 1000], 'Starts on one host should be spaced by the politeness delay');
+
+  const stoppedIndices = [];
+  await assert.rejects(
+    runWorkerPool(poolPages, async (page, index) => {
+      stoppedIndices.push(index);
+      if (index === 1) {
+        throw new Error('crawler closed');
+      }
+    }, { workerCount: 1, limiter: createHostLimiter({ politenessDelayMs: 0 }) }),
+    /crawler closed/,
+    'Task errors should be rethrown'
+  );
+  assert.deepEqual(stoppedIndices, [0, 1], 'Workers should stop taking pages after an error');
+
+  let cancelAfter = 2;
+  const cancelledResults = await runWorkerPool(poolPages, async (page, index) => {
+    cancelAfter -= 1;
+    return index;
+  }, { workerCount: 1, limiter: createHostLimiter({ politenessDelayMs: 0 }), shouldStop: () => cancelAfter <= 0 });
+  assert.deepEqual(cancelledResults.slice(0, 3), [0, 1, undefined], 'Cancelled pools should stop taking pages');
+
+  const tabListeners = new Set();
+  globalThis.chrome = {
+    tabs: {
+      onUpdated: { addListener: listener => tabListeners.add(listener), removeListener: listener => tabListeners.delete(listener) },
+      update: async () => {
+        throw new Error('No tab with id: 7');
+      }
+    }
+  };
+  await assert.rejects(loadPageInCrawlerTab(7, 'https://deepwiki.com/o/r/1-overview'), /No tab with id/, 'Failed navigations should reject');
+  assert.equal(tabListeners.size, 0, 'A failed navigation should not leave its load listener behind');
+  delete globalThis.chrome;
+
   console.log('All tests passed');
 }
 
-runTests();
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,121 @@
+import { sendMessageToTab, delay } from './tabNavigation.js';
+
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const CONTENT_SCRIPT_POLL_INTERVAL_MS = 300;
+
+// Large enough for the wiki to lay out its desktop view, which the diagrams are drawn in
+const CRAWLER_WINDOW_SIZE = { width: 1024, height: 768 };
+
+/**
+ * Opens the window batch exports load pages in, so the user's own tab is never
+ * navigated. The window is a small unfocused one with one tab per worker. It is
+ * not minimized: Chrome throttles timers and animation frames there, which stops
+ * Mermaid from rendering. Where no window can be opened inactive tabs in the
+ * current window are used instead.
+ *
+ * @param {number} [tabCount] - Number of tabs to open.
+ * @returns {Promise<{windowId: number|null, tabIds: number[]}>}
+ */
+export async function openCrawlerWindow(tabCount = 1) {
+  const urls = Array.from({ length: Math.max(1, tabCount) }, () => 'about:blank');
+  try {
+    const crawlerWindow = await chrome.windows.create({
+      url: urls,
+      focused: false,
+      state: 'normal',
+      width: CRAWLER_WINDOW_SIZE.width,
+      height: CRAWLER_WINDOW_SIZE.height
+    });
+    return { windowId: crawlerWindow.id, tabIds: crawlerWindow.tabs.map(tab => tab.id) };
+  } catch (error) {
+    console.warn('Could not open a background window, using background tabs instead', error);
+    const tabs = [];
+    for (const url of urls) {
+      tabs.push(await chrome.tabs.create({ url, active: false }));
+    }
+    return { windowId: null, tabIds: tabs.map(tab => tab.id) };
+  }
+}
+
+/**
+ * Closes whatever openCrawlerWindow opened. Safe to call when the user already closed it.
+ *
+ * @param {{windowId: number|null, tabIds: number[]}|null} crawler
+ */
+export async function closeCrawlerWindow(crawler) {
+  if (!crawler) {
+    return;
+  }
+
+  try {
+    if (crawler.windowId !== null) {
+      await chrome.windows.remove(crawler.windowId);
+    } else {
+      await chrome.tabs.remove(crawler.tabIds);
+    }
+  } catch (error) {
+    // Already closed
+  }
+}
+
+// Listens before the navigation starts so a fast load is not missed; `stop` removes the
+// listener and timer when the navigation never happens
+function waitForTabComplete(tabId, deadline) {
+  let stop = () => {};
+  const completed = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error('Timed out loading page'));
+    }, Math.max(0, deadline - Date.now()));
+
+    // The blank page the crawler tab starts on completes too; only a real page counts
+    function onUpdated(updatedTabId, changeInfo, tab) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete' && !/^about:/.test(tab?.url || '')) {
+        stop();
+        resolve();
+      }
+    }
+
+    stop = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+  return { completed, stop };
+}
+
+/**
+ * Loads a wiki page in a crawler tab and waits until its content script answers.
+ *
+ * @param {number} tabId - A tab from openCrawlerWindow.
+ * @param {string} url - Page to load.
+ * @returns {Promise<void>}
+ */
+export async function loadPageInCrawlerTab(tabId, url) {
+  const deadline = Date.now() + PAGE_LOAD_TIMEOUT_MS;
+  const loading = waitForTabComplete(tabId, deadline);
+  try {
+    await chrome.tabs.update(tabId, { url });
+    await loading.completed;
+  } finally {
+    loading.stop();
+  }
+
+  // The content script is declared in the manifest, but a slow page may not have run it yet
+  while (Date.now() < deadline) {
+    try {
+      const response = await sendMessageToTab(tabId, { action: 'ping' });
+      if (response && response.ready) {
+        return;
+      }
+    } catch (error) {
+      if (error?.message?.includes('No tab with id')) {
+        throw error;
+      }
+    }
+    await delay(CONTENT_SCRIPT_POLL_INTERVAL_MS);
+  }
+
+  throw new Error(`Timed out waiting for page readiness: ${url}`);
+}
@@ -0,0 +1,122 @@
+import { mapMarkdownLinks } from './linkRewriter.js';
+
+// Placeholders: {base} {owner} {repo} {commit} {path} {start} {end}
+const CITATION_TEMPLATES = Object.freeze({
+  github: 'https://github.com/{owner}/{repo}/blob/{commit}/{path}#L{start}-L{end}',
+  gitlab: '{base}/{owner}/{repo}/-/blob/{commit}/{path}#L{start}-{end}',
+  gitea: '{base}/{owner}/{repo}/src/commit/{commit}/{path}#L{start}-L{end}',
+  bitbucket: '{base}/{owner}/{repo}/src/{commit}/{path}#lines-{start}:{end}',
+  vscode: 'vscode://file/{base}/{path}:{start}',
+  relative: '{base}/{path}'
+});
+
+const CITATION_STYLES = ['original', ...Object.keys(CITATION_TEMPLATES), 'custom'];
+
+// URLs, absolute paths and home-relative paths do not depend on where the page sits
+const ABSOLUTE_BASE_PATTERN = /^(?:[a-z][\w+.-]*:|\/|~|\\)/i;
+
+const GITHUB_CITATION_PATTERN = /^https?:\/\/(?:www\.)?github\.com\/([^/]+)\/([^/]+)\/blob\/([^/]+)\/([^#?]+)#L(\d+)(?:-L(\d+))?$/i;
+
+/**
+ * Parses a GitHub line citation such as
+ * https://github.com/owner/repo/blob/<ref>/src/app.ts#L10-L20.
+ *
+ * @param {string} href - Link target.
+ * @returns {{owner: string, repo: string, ref: string, path: string, start: number, end: number}|null}
+ */
+export function parseCitationUrl(href) {
+  const match = typeof href === 'string' ? href.match(GITHUB_CITATION_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  const start = Number(match[5]);
+  return {
+    owner: match[1],
+    repo: match[2],
+    ref: match[3],
+    path: match[4],
+    start,
+    end: match[6] ? Number(match[6]) : start
+  };
+}
+
+/**
+ * Whether a citation style needs a host URL or checkout path that has not been set.
+ * Without one its links would be root-relative (/owner/repo/...) and lead nowhere.
+ *
+ * @param {string} style - One of CITATION_STYLES.
+ * @param {string} [base] - Configured host URL or checkout path.
+ * @param {string} [template] - Template used by the 'custom' style.
+ * @returns {boolean}
+ */
+export function citationBaseMissing(style, base = '', template = '') {
+  const styleTemplate = style === 'custom' ? template : CITATION_TEMPLATES[style];
+  return Boolean(styleTemplate && styleTemplate.includes('{base}') && !String(base || '').trim());
+}
+
+/**
+ * Resolves a checkout path such as `../src`, which is relative to the export root,
+ * for a page stored `pageFile` deep in the export. Trailing separators are dropped
+ * because templates add their own; a root such as `/` or `C:\` keeps its meaning as
+ * the empty prefix of `{base}/{path}`.
+ *
+ * @param {string} base - Configured host URL or checkout path.
+ * @param {string} [pageFile] - Path of the page inside the export.
+ * @returns {string}
+ */
+function baseForPage(base, pageFile = '') {
+  const trimmedBase = base.trim();
+  const path = trimmedBase.replace(/[\\/]+$/, '');
+  const depth = pageFile ? pageFile.split('/').length - 1 : 0;
+  if (!depth || ABSOLUTE_BASE_PATTERN.test(trimmedBase)) {
+    return path;
+  }
+  return [...Array(depth).fill('..'), path.replace(/^(?:\.\/)+/, '')].filter(part => part && part !== '.').join('/');
+}
+
+/**
+ * Rewrites code citations (GitHub links with #L line ranges) to the chosen code host
+ * or local checkout.
+ *
+ * @param {string} markdown - Page Markdown.
+ * @param {object} options
+ * @param {string} options.style - One of CITATION_STYLES; 'original' leaves links untouched.
+ * @param {string} [options.base] - Host URL or checkout path substituted for {base}.
+ * @param {string} [options.template] - Template used by the 'custom' style.
+ * @param {string} [options.commit] - Indexed commit; citations on a branch are pinned to it.
+ * @param {string} [options.pageFile] - Path of the page inside a batch export; a relative
+ *   {base} is taken from the export root.
+ * @returns {string} The rewritten Markdown. Citations stay as they are when the
+ *   template needs a {base} and none is configured.
+ */
+export function rewriteCitationLinks(markdown, options = {}) {
+  const { style = 'original', base = '', template: customTemplate = '', commit = '', pageFile = '' } = options;
+  const template = style === 'custom' ? customTemplate : CITATION_TEMPLATES[style];
+  if (typeof markdown !== 'string' || !template || citationBaseMissing(style, base, customTemplate)) {
+    return markdown;
+  }
+
+  const pageBase = baseForPage(base, pageFile);
+  return mapMarkdownLinks(markdown, ({ isImage, target }) => {
+    const citation = isImage ? null : parseCitationUrl(target);
+    if (!citation) {
+      return null;
+    }
+
+    const pinnedCommit = /^[0-9a-f]{7,40}$/i.test(citation.ref) || !commit ? citation.ref : commit;
+    const values = {
+      // vscode://file/ already supplies the root of an absolute path
+      base: style === 'vscode' ? pageBase.replace(/^\/+/, '') : pageBase,
+      owner: citation.owner,
+      repo: citation.repo,
+      commit: pinnedCommit,
+      path: citation.path,
+      start: citation.start,
+      end: citation.end
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+  });
+}
+
+export { CITATION_TEMPLATES, CITATION_STYLES };
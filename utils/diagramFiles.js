@@ -0,0 +1,41 @@
+import { relativeFilePath } from './linkRewriter.js';
+import './mermaidSyntax.js';
+
+// Shared with the content script, which writes diagram links against it
+export const { DIAGRAM_PAGE_PLACEHOLDER } = globalThis.deepwikiMermaidSyntax;
+
+const DIAGRAMS_ROOT = 'diagrams';
+
+/**
+ * Resolves the diagram links in a page's Markdown and lists the standalone
+ * diagram files to write next to it.
+ *
+ * @param {string} markdown - Page Markdown as returned by the content script.
+ * @param {Array<{name: string, mermaid?: string, svg?: string}>} diagramFiles - Diagrams collected on the page.
+ * @param {string} pageName - Folder name for this page under diagrams/.
+ * @param {string} [pageFile] - Archive path of the page when it is not at the root; links are made relative to it.
+ * @returns {{markdown: string, files: Array<{path: string, content: string}>}}
+ */
+export function resolveDiagramFiles(markdown, diagramFiles, pageName, pageFile = '') {
+  const directory = `${DIAGRAMS_ROOT}/${pageName}`;
+  const linkDirectory = pageFile ? relativeFilePath(pageFile, `${directory}/`) : `${directory}/`;
+  const resolvedMarkdown = typeof markdown === 'string'
+    ? markdown.split(`${DIAGRAMS_ROOT}/${DIAGRAM_PAGE_PLACEHOLDER}/`).join(linkDirectory)
+    : '';
+
+  const files = [];
+  (Array.isArray(diagramFiles) ? diagramFiles : []).forEach(diagram => {
+    if (!diagram || typeof diagram.name !== 'string' || !diagram.name) {
+      return;
+    }
+
+    if (typeof diagram.mermaid === 'string' && diagram.mermaid.trim()) {
+      files.push({ path: `${directory}/${diagram.name}.mmd`, content: `${diagram.mermaid.trim()}\n` });
+    }
+    if (typeof diagram.svg === 'string' && diagram.svg.trim()) {
+      files.push({ path: `${directory}/${diagram.name}.svg`, content: diagram.svg });
+    }
+  });
+
+  return { markdown: resolvedMarkdown, files };
+}
@@ -0,0 +1,108 @@
+import { CITATION_STYLES } from './citationLinks.js';
+import { DEFAULT_WORKER_COUNT, MAX_WORKER_COUNT } from './workerPool.js';
+
+const EXPORT_SETTINGS_STORAGE_KEY = 'exportSettings';
+
+const DIAGRAM_FALLBACK_MODES = ['annotate', 'image'];
+
+const MARKDOWN_DIALECTS = ['gfm', 'commonmark', 'obsidian', 'mkdocs'];
+
+// Where batch exports load pages: a background window, or the user's own tab (legacy)
+const CRAWL_MODES = ['background', 'tab'];
+
+const DEFAULT_EXPORT_SETTINGS = Object.freeze({
+  verifyDiagrams: false,
+  diagramFallback: 'annotate',
+  diagramFiles: false,
+  markdownDialect: 'gfm',
+  frontMatter: false,
+  citationStyle: 'original',
+  citationBase: '',
+  citationTemplate: '',
+  inlineCitations: false,
+  excerptSourceTemplate: '',
+  downloadImages: false,
+  crawlMode: 'background',
+  batchWorkers: DEFAULT_WORKER_COUNT
+});
+
+const MAX_CITATION_TEXT_LENGTH = 500;
+
+/**
+ * Fills in defaults and drops unknown or invalid values from stored settings.
+ *
+ * @param {object|undefined|null} rawSettings - Settings as read from storage.
+ * @returns {object} A complete settings object.
+ */
+export function normalizeExportSettings(rawSettings) {
+  const settings = { ...DEFAULT_EXPORT_SETTINGS };
+  if (!rawSettings || typeof rawSettings !== 'object') {
+    return settings;
+  }
+
+  if (typeof rawSettings.verifyDiagrams === 'boolean') {
+    settings.verifyDiagrams = rawSettings.verifyDiagrams;
+  }
+
+  if (DIAGRAM_FALLBACK_MODES.includes(rawSettings.diagramFallback)) {
+    settings.diagramFallback = rawSettings.diagramFallback;
+  }
+
+  if (typeof rawSettings.diagramFiles === 'boolean') {
+    settings.diagramFiles = rawSettings.diagramFiles;
+  }
+
+  if (MARKDOWN_DIALECTS.includes(rawSettings.markdownDialect)) {
+    settings.markdownDialect = rawSettings.markdownDialect;
+  }
+
+  if (typeof rawSettings.frontMatter === 'boolean') {
+    settings.frontMatter = rawSettings.frontMatter;
+  }
+
+  if (typeof rawSettings.inlineCitations === 'boolean') {
+    settings.inlineCitations = rawSettings.inlineCitations;
+  }
+
+  if (typeof rawSettings.downloadImages === 'boolean') {
+    settings.downloadImages = rawSettings.downloadImages;
+  }
+
+  if (CRAWL_MODES.includes(rawSettings.crawlMode)) {
+    settings.crawlMode = rawSettings.crawlMode;
+  }
+
+  if (Number.isInteger(rawSettings.batchWorkers)) {
+    settings.batchWorkers = Math.min(MAX_WORKER_COUNT, Math.max(1, rawSettings.batchWorkers));
+  }
+
+  if (CITATION_STYLES.includes(rawSettings.citationStyle)) {
+    settings.citationStyle = rawSettings.citationStyle;
+  }
+
+  ['citationBase', 'citationTemplate', 'excerptSourceTemplate'].forEach(key => {
+    if (typeof rawSettings[key] === 'string') {
+      settings[key] = rawSettings[key].trim().slice(0, MAX_CITATION_TEXT_LENGTH);
+    }
+  });
+
+  return settings;
+}
+
+export async function loadExportSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(EXPORT_SETTINGS_STORAGE_KEY);
+    return normalizeExportSettings(stored?.[EXPORT_SETTINGS_STORAGE_KEY]);
+  } catch (error) {
+    console.warn('Failed to load export settings, using defaults', error);
+    return normalizeExportSettings(null);
+  }
+}
+
+export async function saveExportSettings(settings) {
+  const normalized = normalizeExportSettings(settings);
+  await chrome.storage.sync.set({ [EXPORT_SETTINGS_STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+export { DEFAULT_EXPORT_SETTINGS, DIAGRAM_FALLBACK_MODES, MARKDOWN_DIALECTS, CRAWL_MODES };
@@ -0,0 +1,45 @@
+// Front-matter keys in output order; values that are empty are left out
+const FRONT_MATTER_FIELDS = [
+  ['title', 'title'],
+  ['sourceUrl', 'source_url'],
+  ['repository', 'repository'],
+  ['repositoryUrl', 'repository_url'],
+  ['commit', 'commit'],
+  ['lastIndexed', 'last_indexed'],
+  ['parent', 'parent'],
+  ['order', 'order'],
+  ['exportedAt', 'exported_at']
+];
+
+function formatYamlValue(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  // JSON strings are valid double-quoted YAML scalars
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Renders page provenance as a YAML front-matter block.
+ *
+ * @param {object|undefined|null} metadata - Page metadata collected by the content script, plus batch fields.
+ * @returns {string} The block including its trailing blank line, or '' when there is nothing to write.
+ */
+export function renderFrontMatter(metadata) {
+  if (!metadata || typeof metadata !== 'object') {
+    return '';
+  }
+
+  const lines = [];
+  FRONT_MATTER_FIELDS.forEach(([property, key]) => {
+    const value = metadata[property];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    lines.push(`${key}: ${formatYamlValue(value)}`);
+  });
+
+  return lines.length ? `---\n${lines.join('\n')}\n---\n\n` : '';
+}
+
+export { FRONT_MATTER_FIELDS };
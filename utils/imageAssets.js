@@ -0,0 +1,127 @@
+import { mapMarkdownLinks, relativeFilePath } from './linkRewriter.js';
+
+export const ASSETS_DIRECTORY = 'assets';
+
+// Larger files stay remote rather than bloating the archive
+export const MAX_ASSET_BYTES = 20 * 1024 * 1024;
+
+const EXTENSIONS_BY_CONTENT_TYPE = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+function isDownloadableImage(target) {
+  return /^https?:\/\//i.test(target) || /^data:image\//i.test(target);
+}
+
+/**
+ * Image URLs referenced by the Markdown (remote and data: images), in order of first use.
+ *
+ * @param {string} markdown - Page Markdown.
+ * @returns {string[]}
+ */
+export function collectImageUrls(markdown) {
+  const urls = new Set();
+  if (typeof markdown === 'string') {
+    mapMarkdownLinks(markdown, ({ isImage, target }) => {
+      if (isImage && isDownloadableImage(target)) {
+        urls.add(target);
+      }
+      return null;
+    });
+  }
+  return [...urls];
+}
+
+function assetExtension(contentType, url) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS_BY_CONTENT_TYPE[type]) {
+    return EXTENSIONS_BY_CONTENT_TYPE[type];
+  }
+
+  const pathMatch = /^data:/i.test(url) ? null : url.split(/[?#]/)[0].match(/\.([a-z0-9]{2,5})$/i);
+  return pathMatch ? pathMatch[1].toLowerCase() : 'bin';
+}
+
+async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Downloads images and names each distinct file after its content hash, so the
+ * same badge or diagram used on several pages is stored once.
+ *
+ * @param {string[]} urls - Image URLs, e.g. from collectImageUrls.
+ * @param {object} [options]
+ * @param {function(string): Promise<Response>} [options.fetchImpl] - Defaults to the global fetch.
+ * @param {Map<string, string|null>} [options.pathsByUrl] - Results of earlier calls; reused and extended.
+ * @param {Set<string>} [options.storedPaths] - Asset paths already written; extended.
+ * @returns {Promise<{pathsByUrl: Map<string, string|null>, files: Array<{path: string, bytes: Uint8Array}>}>}
+ *   Archive path per URL (null when the download failed) and the files that are new in this call.
+ */
+export async function fetchImageAssets(urls, options = {}) {
+  const {
+    fetchImpl = (url) => fetch(url, { credentials: 'omit' }),
+    pathsByUrl = new Map(),
+    storedPaths = new Set()
+  } = options;
+  const files = [];
+
+  for (const url of urls) {
+    if (pathsByUrl.has(url)) {
+      continue;
+    }
+
+    try {
+      const response = await fetchImpl(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      if (bytes.byteLength === 0 || bytes.byteLength > MAX_ASSET_BYTES) {
+        throw new Error(`Unsupported size (${bytes.byteLength} bytes)`);
+      }
+
+      const hash = await hashBytes(bytes);
+      const path = `${ASSETS_DIRECTORY}/${hash.slice(0, 16)}.${assetExtension(response.headers?.get('content-type'), url)}`;
+      if (!storedPaths.has(path)) {
+        storedPaths.add(path);
+        files.push({ path, bytes });
+      }
+      pathsByUrl.set(url, path);
+    } catch (error) {
+      console.warn('Failed to download image, keeping the remote link', url.slice(0, 200), error);
+      pathsByUrl.set(url, null);
+    }
+  }
+
+  return { pathsByUrl, files };
+}
+
+/**
+ * Points downloaded images at their copies in the archive.
+ *
+ * @param {string} markdown - Page Markdown.
+ * @param {Map<string, string|null>} pathsByUrl - From fetchImageAssets.
+ * @param {string} pageFile - Path of the page in the archive, used to make links relative.
+ * @returns {string} The rewritten Markdown.
+ */
+export function rewriteImageLinks(markdown, pathsByUrl, pageFile) {
+  if (typeof markdown !== 'string' || !(pathsByUrl instanceof Map) || pathsByUrl.size === 0) {
+    return markdown;
+  }
+
+  return mapMarkdownLinks(markdown, ({ isImage, target }) => {
+    const assetPath = isImage ? pathsByUrl.get(target) : null;
+    return assetPath ? relativeFilePath(pageFile, assetPath) : null;
+  });
+}
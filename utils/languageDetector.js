@@ -0,0 +1,758 @@
+// Scored language classifier for code blocks.
+(function (root) {
+  // Below these the block is left without a language rather than guessed
+  const MIN_SCORE = 4;
+  const MIN_CONFIDENCE = 0.55;
+  // Each pattern counts at most this many times, so one repeated token cannot dominate
+  const MAX_PATTERN_HITS = 3;
+  const NEARBY_FILE_WEIGHT = 4;
+
+  /**
+   * Language profiles. `patterns` are [regex, weight] pairs scored per match;
+   * `extends` names a language whose score is added once the profile has evidence
+   * of its own (TypeScript over JavaScript, C++ over C, SCSS over CSS).
+   */
+  const LANGUAGE_PROFILES = [
+    {
+      id: 'javascript',
+      aliases: ['js', 'node', 'mjs', 'cjs'],
+      extensions: ['js', 'mjs', 'cjs'],
+      shebang: /\bnode\b/,
+      patterns: [
+        [/\b(?:const|let)\s+[\w${}[\],\s]+=/g, 3],
+        [/\bfunction\s*\*?\s*[\w$]*\s*\([^)]*\)\s*\{/g, 2],
+        [/=>\s*[{(\w'"`]/g, 2],
+        [/\bconsole\.(?:log|error|warn|info)\(/g, 3],
+        [/\brequire\(\s*['"][^'"]+['"]\s*\)/g, 3],
+        [/\bmodule\.exports\b|\bexports\.\w+\s*=/g, 4],
+        [/^\s*export\s+(?:default|const|function|class|async)\b/gm, 2],
+        [/^\s*import\s+[\w${}*,\s]+\s+from\s+['"][^'"]+['"];?\s*$/gm, 2],
+        [/[!=]==/g, 2],
+        [/\b(?:document|window)\.\w+/g, 2],
+        [/\bawait\s+[\w.]+\(/g, 1],
+        [/\.(?:then|catch)\(\s*(?:\(|\w+\s*=>)/g, 2],
+        [/\bnew\s+Promise\(/g, 3],
+        [/\bfor\s*\(\s*(?:const|let|var)\s+[\w${}[\],\s]+\s+(?:of|in)\b/g, 4],
+        [/`[^`\n]*\$\{[^}]+\}[^`\n]*`/g, 2],
+        [/^\s*[\w$]+\s*:\s*[^\n]+,\s*$/gm, 1],
+        [/^\s*\}\)?\)?;\s*$/gm, 2],
+        [/^\s*[\w$.]+\s*[-+*/]?=\s*[^;=\n]+;\s*$/gm, 1]
+      ]
+    },
+    {
+      id: 'typescript',
+      aliases: ['ts'],
+      extensions: ['ts', 'mts', 'cts'],
+      extends: 'javascript',
+      patterns: [
+        [/[\w)?]\s*:\s*(?:string|number|boolean|any|void|unknown|never|Promise<[^>]+>|Record<[^>]+>)(?:\[\])?\s*[,;=)|{]/g, 3],
+        [/^\s*(?:export\s+)?interface\s+\w+(?:<[^>]+>)?\s*(?:extends\s+[\w<>, ]+)?\{/gm, 4],
+        [/^\s*(?:export\s+)?type\s+\w+(?:<[^>]+>)?\s*=/gm, 4],
+        [/\bas\s+(?:const|string|number|unknown|any)\b/g, 3],
+        [/^\s*(?:export\s+)?(?:declare\s+)?enum\s+\w+\s*\{/gm, 3],
+        [/\bconst\s+enum\s+\w+/g, 6],
+        [/\)\s*:\s*[\w<>[\]|.]+(?:<[^>]+>)?\s*(?:=>|\{)/g, 3],
+        [/\b(?:private|public|protected|readonly)\s+\w+\s*[:?]/g, 3],
+        [/\bimport\s+type\b/g, 5]
+      ]
+    },
+    {
+      id: 'jsx',
+      extensions: ['jsx'],
+      extends: 'javascript',
+      patterns: [
+        [/return\s*\(\s*<[A-Za-z]/g, 5],
+        [/<[A-Z]\w*(?:\s+\w+=\{[^}]*\})+\s*\/?>/g, 4],
+        [/\bclassName=/g, 3]
+      ]
+    },
+    {
+      id: 'tsx',
+      extensions: ['tsx'],
+      extends: 'typescript',
+      patterns: [
+        [/return\s*\(\s*<[A-Za-z]/g, 5],
+        [/<[A-Z]\w*(?:\s+\w+=\{[^}]*\})+\s*\/?>/g, 4],
+        [/\bReact\.FC\b|:\s*JSX\.Element\b/g, 5]
+      ]
+    },
+    {
+      id: 'python',
+      aliases: ['py', 'python3'],
+      extensions: ['py', 'pyw', 'pyi'],
+      shebang: /\bpython[\d.]*\b/,
+      patterns: [
+        [/^\s*(?:async\s+)?def\s+\w+\s*\([^)]*\)\s*(?:->\s*[^:]+)?:\s*(?:#.*)?$/gm, 5],
+        [/^\s*class\s+\w+(?:\([^)]*\))?:\s*$/gm, 5],
+        [/^\s*from\s+[\w.]+\s+import\s+[\w*(]/gm, 4],
+        [/^\s*import\s+[\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+)*\s*$/gm, 2],
+        [/\bself\.\w+/g, 3],
+        [/^\s*(?:if|elif|else|for|while|try|except|finally|with)\b[^\n{;]*:\s*$/gm, 2],
+        [/\belif\b/g, 3],
+        [/\b(?:None|True|False)\b/g, 1],
+        [/__\w+__/g, 2],
+        [/^\s*@[\w.]+(?:\(.*\))?\s*$/gm, 1],
+        [/\blambda\s+[\w, ]*:/g, 2],
+        [/\bprint\(\s*f?["']/g, 2],
+        [/^print\([^\n;]*\)\s*$/gm, 4],
+        [/^\s*import\s+[\w.]+\s+as\s+\w+\s*$/gm, 2],
+        [/^\s*(?:with|except)\s+[^\n]*\bas\s+\w+:\s*$/gm, 3],
+        [/\bin\s+(?:range|enumerate|zip)\(/g, 3],
+        [/\bf"[^"]*\{[^}]+\}[^"]*"/g, 2]
+      ]
+    },
+    {
+      id: 'java',
+      extensions: ['java'],
+      patterns: [
+        [/\bpublic\s+(?:static\s+)?(?:final\s+)?(?:abstract\s+)?(?:class|interface|enum|record)\s+\w+/g, 3],
+        [/\bSystem\.(?:out|err)\.print(?:ln|f)?\(/g, 5],
+        [/^\s*import\s+(?:static\s+)?(?:java|javax|org|com)\.[\w.*]+;\s*$/gm, 5],
+        [/^\s*package\s+[\w.]+;\s*$/gm, 5],
+        [/\b(?:private|protected|public)\s+(?:static\s+)?(?:final\s+)?[\w<>[\], ]+\s+\w+\s*(?:[;=]|\()/g, 2],
+        [/@(?:Override|Autowired|Bean|Test|Service|Component)\b/g, 3],
+        [/\bString\[\]\s+\w+/g, 4],
+        [/\b(?:List|Map|Set|Optional)<[\w<>, ?]+>\s+\w+\s*=/g, 3],
+        [/\bthrows\s+\w+(?:Exception|Error)\b/g, 4]
+      ]
+    },
+    {
+      id: 'kotlin',
+      aliases: ['kt', 'kts'],
+      extensions: ['kt', 'kts'],
+      patterns: [
+        [/\bfun\s+(?:<[^>]+>\s*)?[\w.]+\s*\(/g, 5],
+        [/\bval\s+\w+(?:\s*:\s*[\w<>?]+)?\s*=/g, 2],
+        [/\bvar\s+\w+\s*:\s*[\w<>?]+/g, 2],
+        [/\bdata\s+class\b/g, 5],
+        [/\bcompanion\s+object\b/g, 5],
+        [/^\s*package\s+[\w.]+\s*$/gm, 2],
+        [/^\s*import\s+(?:kotlinx?|android|androidx)\.[\w.*]+\s*$/gm, 5],
+        [/\bwhen\s*(?:\([^)]*\))?\s*\{/g, 2],
+        [/:\s*Unit\b/g, 3],
+        [/\?\.|\?:/g, 1],
+        [/\bprintln\(/g, 1],
+        [/\b(?:suspend|override)\s+fun\b/g, 4]
+      ]
+    },
+    {
+      id: 'scala',
+      extensions: ['scala', 'sc'],
+      patterns: [
+        [/\bdef\s+\w+(?:\[[^\]]+\])?(?:\([^)]*\))*\s*:\s*[\w[\]]+\s*=/g, 5],
+        [/\bcase\s+class\b/g, 5],
+        [/\bobject\s+\w+(?:\s+extends\s+\w+)?\s*\{/g, 3],
+        [/^\s*import\s+scala\./gm, 5],
+        [/\bimplicit\b/g, 4],
+        [/\btrait\s+\w+/g, 2],
+        [/\bcase\s+\w+(?:\([^)]*\))?\s*=>/g, 2]
+      ]
+    },
+    {
+      id: 'go',
+      aliases: ['golang'],
+      extensions: ['go'],
+      patterns: [
+        [/^\s*package\s+\w+\s*$/gm, 4],
+        [/\bfunc\s+(?:\(\s*\w+\s+\*?[\w.]+\s*\)\s*)?\w+\s*\(/g, 5],
+        [/\w\s*:=\s*/g, 2],
+        [/\bfmt\.\w+\(/g, 4],
+        [/^\s*import\s+\(\s*$/gm, 4],
+        [/\berr\s*!=\s*nil\b/g, 5],
+        [/\bgo\s+func\b/g, 4],
+        [/\bchan\s+[\w*]+/g, 3],
+        [/\btype\s+\w+\s+(?:struct|interface)\s*\{/g, 5],
+        [/\bdefer\s+\w+/g, 3],
+        [/\[\]\*?[A-Za-z]\w*\{/g, 2]
+      ]
+    },
+    {
+      id: 'rust',
+      aliases: ['rs'],
+      extensions: ['rs'],
+      patterns: [
+        [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/g, 4],
+        [/\blet\s+mut\s+/g, 5],
+        [/\bimpl(?:<[^>]*>)?\s+[\w:<>]+(?:\s+for\s+[\w<>]+)?\s*\{/g, 4],
+        [/\b(?:println|vec|format|panic|assert_eq|eprintln)!\s*[([]/g, 5],
+        [/^\s*use\s+(?:std|crate|super|self|tokio|serde)::/gm, 5],
+        [/\bpub(?:\(crate\))?\s+(?:fn|struct|enum|mod|trait|const)\b/g, 4],
+        [/&mut\s+/g, 3],
+        [/#\[(?:derive|test|cfg)\b/g, 5],
+        [/\b(?:Ok|Err|Some)\(/g, 2],
+        [/->\s*(?:Result|Option)</g, 4],
+        [/\bmatch\s+[\w.&*]+\s*\{/g, 2],
+        [/\w+::\w+/g, 1]
+      ]
+    },
+    {
+      id: 'c',
+      extensions: ['c', 'h'],
+      patterns: [
+        [/^\s*#include\s*<[\w/]+\.h>/gm, 4],
+        [/^\s*#include\s*"[\w/.]+\.h"/gm, 3],
+        [/\bint\s+main\s*\(/g, 3],
+        [/\b(?:printf|fprintf|sprintf|scanf)\s*\(/g, 3],
+        [/\b(?:malloc|calloc|realloc|free)\s*\(/g, 3],
+        [/\bsizeof\s*\(/g, 2],
+        [/\bstruct\s+\w+\s*\{/g, 2],
+        [/^\s*#define\s+\w+/gm, 3],
+        [/^\s*#(?:ifn?def|endif)\b/gm, 2],
+        [/\btypedef\s+(?:struct|enum|unsigned|int|char)\b/g, 3],
+        [/\b(?:unsigned|char|int|void)\s*\*+\s*\w+/g, 2]
+      ]
+    },
+    {
+      id: 'cpp',
+      aliases: ['c++', 'cxx', 'hpp'],
+      extensions: ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'hxx'],
+      extends: 'c',
+      patterns: [
+        [/\bstd::\w+/g, 5],
+        [/^\s*#include\s*<(?:iostream|vector|string|map|memory|algorithm|unordered_map)>/gm, 5],
+        [/\b(?:cout|cerr)\s*<</g, 5],
+        [/\btemplate\s*<[^>]+>/g, 5],
+        [/\bnamespace\s+\w+\s*\{/g, 3],
+        [/\busing\s+namespace\s+\w+;/g, 5],
+        [/\bnullptr\b/g, 4],
+        [/\b(?:virtual|override|constexpr)\b/g, 2],
+        [/\bclass\s+\w+\s*(?::\s*(?:public|private|protected)\s+\w+)?\s*\{/g, 2],
+        [/\w+::~?\w+\s*\(/g, 2]
+      ]
+    },
+    {
+      id: 'csharp',
+      aliases: ['cs', 'c#'],
+      extensions: ['cs'],
+      patterns: [
+        [/^\s*using\s+(?:System|Microsoft)(?:\.[\w.]+)?;\s*$/gm, 5],
+        [/^\s*namespace\s+[\w.]+\s*[;{]?\s*$/gm, 2],
+        [/\bConsole\.Write(?:Line)?\(/g, 5],
+        [/\{\s*get;\s*(?:(?:private\s+)?set;|init;)?\s*\}/g, 5],
+        [/\basync\s+Task\b|\bTask<\w+>/g, 5],
+        [/\bvar\s+\w+\s*=\s*new\b/g, 2],
+        [/\b(?:public|private|internal)\s+(?:static\s+)?(?:readonly\s+)?(?:string|int|bool|void)\s+\w+/g, 2],
+        [/^\s*\[(?:HttpGet|HttpPost|Route|ApiController|Fact|Test|Serializable)\b/gm, 5],
+        [/\.(?:Where|Select|FirstOrDefault|ToList)\(/g, 2]
+      ]
+    },
+    {
+      id: 'php',
+      extensions: ['php'],
+      shebang: /\bphp\b/,
+      patterns: [
+        [/<\?php/g, 10],
+        [/\$\w+\s*=[^=]/g, 2],
+        [/\$this->\w+/g, 5],
+        [/\becho\s+[$'"]/g, 3],
+        [/^\s*namespace\s+[\w\\]+;\s*$/gm, 4],
+        [/^\s*use\s+[\w\\]+(?:\s+as\s+\w+)?;\s*$/gm, 3],
+        [/\bfunction\s+\w+\s*\(\s*(?:[\w?]+\s+)?\$\w+/g, 4],
+        [/\barray\s*\(/g, 2],
+        [/->\w+\(/g, 1]
+      ]
+    },
+    {
+      id: 'ruby',
+      aliases: ['rb'],
+      extensions: ['rb', 'rake', 'gemspec'],
+      fileNames: ['Gemfile', 'Rakefile'],
+      shebang: /\bruby\b/,
+      patterns: [
+        [/^\s*def\s+(?:self\.)?\w+[?!=]?(?:\([^)]*\))?\s*$/gm, 4],
+        [/^\s*end\s*$/gm, 2],
+        [/^\s*require(?:_relative)?\s+['"]/gm, 4],
+        [/\bputs\s+/g, 3],
+        [/\battr_(?:accessor|reader|writer)\b/g, 5],
+        [/\bdo\s*\|[\w, ]+\|/g, 4],
+        [/^\s*class\s+\w+(?:\s*<\s*[\w:]+)?\s*$/gm, 3],
+        [/^\s*module\s+\w+\s*$/gm, 3],
+        [/@\w+\s*=/g, 2],
+        [/\belsif\b/g, 4],
+        [/\bunless\b/g, 2],
+        [/:\w+\s*=>/g, 2]
+      ]
+    },
+    {
+      id: 'swift',
+      extensions: ['swift'],
+      patterns: [
+        [/\bfunc\s+\w+\s*(?:<[^>]+>)?\s*\([^)]*\)\s*(?:(?:async|throws)\s+)*(?:->\s*[\w?[\]<>]+\s*)?\{/g, 4],
+        [/^\s*import\s+(?:Foundation|UIKit|SwiftUI|Combine)\s*$/gm, 6],
+        [/\bguard\s+let\b/g, 5],
+        [/\bif\s+let\b/g, 4],
+        [/\blet\s+\w+\s*:\s*[\w?[\]]+\s*=/g, 2],
+        [/\bvar\s+\w+\s*:\s*[\w?[\]]+/g, 1],
+        [/\b(?:struct|class|enum)\s+\w+\s*:\s*\w+(?:\s*,\s*\w+)*\s*\{/g, 3],
+        [/@(?:State|Published|Binding|objc|MainActor)\b|\bsome\s+View\b/g, 5],
+        [/\boverride\s+func\b/g, 4]
+      ]
+    },
+    {
+      id: 'bash',
+      aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript'],
+      extensions: ['sh', 'bash', 'zsh'],
+      shebang: /\b(?:ba|z|da)?sh\b/,
+      patterns: [
+        // Tab-indented commands are more likely Makefile recipes
+        [/^(?!\t)\s*(?:sudo\s+)?(?:apt(?:-get)?|yum|brew|npm|npx|pip3?|yarn|pnpm|cd|ls|mkdir|rm|cp|mv|curl|wget|git|docker|kubectl|make|chmod|cargo|go|export|source|tar|ssh)\s+[-\w./~$"']/gm, 4],
+        [/^\s*\$\s+\w/gm, 3],
+        [/^\s*(?:if\s+\[|then|fi|elif|do|done|esac)\b/gm, 3],
+        [/\|\s*(?:grep|awk|sed|xargs|sort|uniq|head|tail|wc|tee)\b/g, 3],
+        [/\$\{\w+(?::-[^}]*)?\}|\$\(\s*\w/g, 2],
+        [/\becho\s+["$\w]/g, 2],
+        [/\becho\s+"?\$\{?[A-Z_]/g, 3],
+        [/^\s*(?:export\s+)?[A-Z_][A-Z0-9_]*=\S/gm, 2],
+        [/\s--?[a-z][\w-]*(?:=\S+)?/g, 0.5],
+        [/\s(?:&&|\|\|)\s/g, 1]
+      ]
+    },
+    {
+      id: 'powershell',
+      aliases: ['ps1', 'pwsh', 'ps'],
+      extensions: ['ps1', 'psm1'],
+      patterns: [
+        [/\b(?:Get|Set|New|Remove|Write|Invoke|Import|Start|Stop|Test|Add)-[A-Z]\w+/g, 5],
+        [/\s-(?:eq|ne|lt|gt|le|ge|like|match|and|or|not)\s/g, 3],
+        [/\[Parameter\(|\[CmdletBinding\(/g, 5],
+        [/^\s*param\s*\(/gim, 3],
+        [/\$_\.|\$PSScriptRoot|\$env:\w+/g, 4],
+        [/\$\w+\s*=/g, 1]
+      ]
+    },
+    {
+      id: 'sql',
+      aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+      extensions: ['sql'],
+      patterns: [
+        [/\bSELECT\b[\s\S]+?\bFROM\b/gi, 5],
+        [/\bINSERT\s+INTO\b/gi, 5],
+        [/\bCREATE\s+(?:OR\s+REPLACE\s+)?(?:TABLE|INDEX|VIEW|DATABASE|FUNCTION|TRIGGER)\b/gi, 5],
+        [/\bUPDATE\s+\w+\s+SET\b/gi, 5],
+        [/\bDELETE\s+FROM\b/gi, 5],
+        [/\bALTER\s+TABLE\b/gi, 5],
+        [/\b(?:WHERE|INNER JOIN|LEFT JOIN|GROUP BY|ORDER BY|PRIMARY KEY|FOREIGN KEY|REFERENCES|NOT NULL|VARCHAR)\b/gi, 2]
+      ]
+    },
+    {
+      id: 'html',
+      aliases: ['htm', 'xhtml'],
+      extensions: ['html', 'htm'],
+      patterns: [
+        [/<!DOCTYPE\s+html>/gi, 10],
+        [/<(?:html|head|body|div|span|section|nav|ul|li|script|link|meta|button|form|input)\b[^>]*>/gi, 2],
+        [/<\/(?:div|span|p|a|ul|li|body|html|head|section|button|form)>/gi, 3],
+        [/\s(?:class|id|href|src)="[^"]*"/g, 1]
+      ]
+    },
+    {
+      id: 'vue',
+      extensions: ['vue'],
+      patterns: [
+        [/^<template(?:\s[^>]*)?>\s*$/gm, 6],
+        [/^<script\s+setup\b|^<style\s+scoped\b/gm, 6],
+        [/\sv-(?:if|for|model|bind|on)\b|\s[:@][\w-]+="/g, 3]
+      ]
+    },
+    {
+      id: 'svelte',
+      extensions: ['svelte'],
+      patterns: [
+        [/\{#(?:if|each|await)\b|\{\/(?:if|each|await)\}/g, 6],
+        [/\bexport\s+let\s+\w+/g, 4],
+        [/\son:\w+=\{|\sbind:\w+=\{/g, 4]
+      ]
+    },
+    {
+      id: 'css',
+      extensions: ['css'],
+      patterns: [
+        [/^[ \t]*[.#:&@]?[\w-][^{};=()\n]*\{[ \t]*$/gm, 1],
+        [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/gm, 2],
+        [/@(?:media|import|keyframes|font-face|supports)\b/g, 3],
+        [/\b\d+(?:px|em|rem|vh|vw|ms)\b/g, 1],
+        [/#[0-9a-fA-F]{3,8}\b\s*;/g, 2],
+        [/\b(?:color|margin|padding|display|font-size|background|border)\s*:/g, 2]
+      ]
+    },
+    {
+      id: 'scss',
+      aliases: ['sass', 'less'],
+      extensions: ['scss', 'sass', 'less'],
+      extends: 'css',
+      patterns: [
+        [/^\s*\$[\w-]+\s*:/gm, 4],
+        [/@(?:mixin|include|extend|use|each|if)\b/g, 5],
+        [/&(?::|\.|-|__)[\w-]/g, 3]
+      ]
+    },
+    {
+      id: 'json',
+      aliases: ['jsonc', 'json5'],
+      extensions: ['json'],
+      patterns: [
+        [/^\s*"[^"\n]+"\s*:\s*/gm, 2],
+        [/^\s*[[{]\s*$/gm, 1]
+      ],
+      // Parsing is the strongest signal for JSON
+      structure: code => {
+        if (!/^[[{]/.test(code)) return 0;
+        try {
+          JSON.parse(code);
+          return 12;
+        } catch (error) {
+          return 0;
+        }
+      }
+    },
+    {
+      id: 'yaml',
+      aliases: ['yml'],
+      extensions: ['yaml', 'yml'],
+      patterns: [
+        [/^\s*[\w.-]+:\s+[^\s{=(][^\n;]*$/gm, 1],
+        [/^\s*[\w.-]+:\s*$/gm, 1],
+        [/^\s*-\s+[\w"'${][^\n]*$/gm, 1],
+        [/^---\s*$/gm, 2],
+        [/^(?:apiVersion|kind|metadata|spec|services|volumes|jobs|steps|on|runs-on|dependencies|version):/gm, 3],
+        [/^\s+-\s+(?:name|uses|run|image|key):/gm, 3]
+      ]
+    },
+    {
+      id: 'toml',
+      extensions: ['toml'],
+      fileNames: ['Cargo.toml', 'pyproject.toml'],
+      patterns: [
+        [/^\s*\[[\w.-]+\]\s*$/gm, 3],
+        [/^\s*\[\[[\w.-]+\]\]\s*$/gm, 5]
+      ],
+      // `key = value` is also how most languages assign; it only counts once a [table] header
+      // shows this is TOML, and not when bare words are assigned (INI, not valid TOML)
+      structure: code => (/^\s*\[{1,2}[\w.-]+\]{1,2}\s*$/m.test(code) && !/^\s*[\w.-]+\s*=\s*(?!true\b|false\b|inf\b|nan\b)[A-Za-z_]/m.test(code)
+        ? countMatches(code, /^\s*[\w.-]+\s*=\s*(?:"[^"]*"|'[^']*'|\d[\w.:-]*|true|false|\[|\{)/gm) * 2
+        : 0)
+    },
+    {
+      id: 'ini',
+      aliases: ['cfg', 'conf', 'properties', 'dotenv', 'env'],
+      extensions: ['ini', 'cfg', 'conf', 'properties', 'env'],
+      fileNames: ['.env', '.editorconfig', '.gitconfig'],
+      patterns: [
+        [/^\s*\[[\w .:-]+\]\s*$/gm, 2],
+        [/^\s*[\w.-]+\s*=\s*[^"'[{\s\d(][^\n()]*$/gm, 3],
+        [/^\s*[;#]\s/gm, 1]
+      ]
+    },
+    {
+      id: 'xml',
+      aliases: ['svg', 'xsd', 'xsl', 'plist'],
+      extensions: ['xml', 'xsd', 'xsl', 'svg', 'plist', 'csproj', 'pom'],
+      patterns: [
+        [/^\s*<\?xml\b/g, 10],
+        [/\bxmlns(?::\w+)?=/g, 4],
+        [/<\/?[\w-]+:[\w-]+/g, 3],
+        [/<(\w[\w.-]*)(?:\s[^>]*)?>[^<]*<\/\1>/g, 1],
+        [/<(?:project|dependency|groupId|artifactId|configuration)>/g, 4]
+      ]
+    },
+    {
+      id: 'markdown',
+      aliases: ['md', 'mdx'],
+      extensions: ['md', 'markdown', 'mdx'],
+      patterns: [
+        [/^#{1,6}\s+\S/gm, 2],
+        [/\[[^\]\n]+\]\([^)\s]+\)/g, 2],
+        [/^```\w*\s*$/gm, 3],
+        [/^\s*[-*]\s+\S/gm, 1],
+        [/\*\*[^*\n]+\*\*/g, 1],
+        [/^>\s+\S/gm, 1]
+      ]
+    },
+    {
+      id: 'dockerfile',
+      aliases: ['docker', 'containerfile'],
+      extensions: ['dockerfile'],
+      fileNames: ['Dockerfile', 'Containerfile'],
+      patterns: [
+        [/^FROM\s+[\w./:@${}-]+(?:\s+AS\s+\w+)?\s*$/gm, 6],
+        [/^(?:RUN|COPY|ADD|CMD|ENTRYPOINT|ENV|WORKDIR|EXPOSE|ARG|LABEL|USER|VOLUME|HEALTHCHECK)\s/gm, 3]
+      ]
+    },
+    {
+      id: 'makefile',
+      aliases: ['make', 'mk'],
+      extensions: ['mk', 'mak'],
+      fileNames: ['Makefile', 'GNUmakefile'],
+      patterns: [
+        [/^\.PHONY\s*:/gm, 6],
+        [/^[\w./%-]+(?:\s+[\w./%-]+)*\s*:(?!=)[^\n]*$/gm, 1],
+        [/^\t\S/gm, 2],
+        [/\$\((?:\w+|shell [^)]+)\)|\$[@<^]/g, 2],
+        [/^[A-Z_][A-Z0-9_]*\s*(?::|\?|\+)?=\s*/gm, 1]
+      ]
+    },
+    {
+      id: 'lua',
+      extensions: ['lua'],
+      patterns: [
+        [/\blocal\s+(?:function\s+)?\w+/g, 4],
+        [/\bfunction\s+[\w.:]+\s*\(/g, 1],
+        [/\bthen\b/g, 1],
+        [/^\s*end\s*$/gm, 1],
+        [/~=/g, 4],
+        [/\b(?:ipairs|pairs)\(/g, 5],
+        [/--\[\[|^\s*--\s/gm, 2],
+        [/\brequire\s*\(?\s*["']/g, 1]
+      ]
+    },
+    {
+      id: 'r',
+      aliases: ['rscript'],
+      extensions: ['r'],
+      shebang: /\bRscript\b/,
+      patterns: [
+        [/\w\s*<-\s*/g, 3],
+        [/\blibrary\(\w+\)/g, 6],
+        [/%>%|\|>/g, 3],
+        [/\b(?:data\.frame|c|ggplot|aes)\(/g, 3],
+        [/\bfunction\s*\([^)]*\)\s*\{/g, 1]
+      ]
+    },
+    {
+      id: 'dart',
+      extensions: ['dart'],
+      patterns: [
+        [/^\s*import\s+'(?:package|dart):[^']+';/gm, 8],
+        [/\bWidget\s+build\s*\(/g, 6],
+        [/\bsetState\s*\(/g, 4],
+        [/\bfinal\s+\w+\s*=/g, 2],
+        [/@override\b/g, 3],
+        [/\bvoid\s+main\s*\(\s*\)/g, 3],
+        [/\bFuture<[\w<>]+>\s+\w+\s*\(/g, 4]
+      ]
+    },
+    {
+      id: 'elixir',
+      aliases: ['ex', 'exs'],
+      extensions: ['ex', 'exs'],
+      patterns: [
+        [/\bdefmodule\s+[\w.]+\s+do\b/g, 8],
+        [/^\s*defp?\s+\w+[?!]?(?:\([^)]*\))?\s+do\b/gm, 5],
+        [/\|>/g, 3],
+        [/\bIO\.(?:puts|inspect)\b/g, 5],
+        [/%\{/g, 2],
+        [/\b(?:use|alias|import)\s+[A-Z][\w.]+/g, 2]
+      ]
+    },
+    {
+      id: 'haskell',
+      aliases: ['hs'],
+      extensions: ['hs', 'lhs'],
+      patterns: [
+        [/^\s*module\s+[\w.]+(?:\s*\([^)]*\))?\s+where\b/gm, 8],
+        [/^\w+\s*::\s*[^\n]+->[^\n]+$/gm, 5],
+        [/^\s*import\s+(?:qualified\s+)?[A-Z][\w.]*/gm, 2],
+        [/\bderiving\b/g, 5],
+        [/^\s*data\s+\w+(?:\s+\w+)*\s*=/gm, 3],
+        [/\bwhere\s*$/gm, 2],
+        [/\bputStrLn\b|\bmapM_\b/g, 4]
+      ]
+    },
+    {
+      id: 'perl',
+      aliases: ['pl'],
+      extensions: ['pl', 'pm'],
+      shebang: /\bperl\b/,
+      patterns: [
+        [/^\s*use\s+(?:strict|warnings);/gm, 8],
+        [/\bmy\s+[$@%]\w+/g, 5],
+        [/=~\s*[msy]?\//g, 4],
+        [/\bsub\s+\w+\s*\{/g, 4],
+        [/\$_\b|@ARGV\b/g, 2]
+      ]
+    },
+    {
+      id: 'groovy',
+      aliases: ['gradle'],
+      extensions: ['groovy', 'gradle'],
+      fileNames: ['Jenkinsfile', 'build.gradle'],
+      patterns: [
+        [/\b(?:dependencies|repositories|plugins|android|pipeline|stages)\s*\{/g, 4],
+        [/^\s*(?:implementation|api|testImplementation|compileOnly|classpath)\s*\(?\s*['"]/gm, 5],
+        [/\bapply\s+plugin\s*:/g, 5],
+        [/\bdef\s+\w+\s*=/g, 3],
+        [/\bprintln\s+["']/g, 3],
+        [/\bstage\s*\(\s*['"]/g, 4]
+      ]
+    },
+    {
+      id: 'graphql',
+      aliases: ['gql'],
+      extensions: ['graphql', 'gql'],
+      patterns: [
+        [/^\s*(?:query|mutation|subscription|fragment)\b[^{\n]*\{/gm, 6],
+        [/^\s*(?:type|input|interface|enum)\s+\w+(?:\s+implements\s+\w+)?\s*\{/gm, 3],
+        [/:\s*\[?\w+!?\]?!/g, 3],
+        [/^\s*(?:schema|extend\s+type)\b/gm, 5]
+      ]
+    },
+    {
+      id: 'protobuf',
+      aliases: ['proto'],
+      extensions: ['proto'],
+      patterns: [
+        [/^\s*syntax\s*=\s*"proto[23]"\s*;/gm, 10],
+        [/^\s*message\s+\w+\s*\{/gm, 5],
+        [/\brpc\s+\w+\s*\(/g, 5]
+      ],
+      // Field lines (`string name = 1;`) look like typed assignments elsewhere; count them only in a proto file
+      structure: code => (/^\s*syntax\s*=\s*"proto[23]"|^\s*message\s+\w+\s*\{/m.test(code)
+        ? countMatches(code, /^\s*(?:repeated\s+|optional\s+|required\s+)?[\w.]+\s+\w+\s*=\s*\d+\s*;/gm) * 3
+        : 0)
+    },
+    {
+      id: 'hcl',
+      aliases: ['terraform', 'tf'],
+      extensions: ['tf', 'hcl', 'tfvars'],
+      patterns: [
+        [/^\s*(?:resource|provider|variable|output|module|data|terraform|locals)\s+(?:"[\w.-]+"\s*)*\{/gm, 6],
+        [/\bvar\.\w+|\$\{var\./g, 3],
+        [/^\s*\w+\s*=\s*(?:"[^"]*"|\d+|true|false|\[|\{)\s*$/gm, 1]
+      ]
+    },
+    {
+      id: 'diff',
+      aliases: ['patch'],
+      extensions: ['diff', 'patch'],
+      patterns: [
+        [/^@@\s+-\d+(?:,\d+)?\s+\+\d+(?:,\d+)?\s+@@/gm, 8],
+        [/^(?:---|\+\+\+)\s+\S/gm, 4],
+        [/^diff\s+--git\b/gm, 6],
+        [/^[+-](?![+-])/gm, 0.5]
+      ]
+    }
+  ];
+
+  const PROFILES_BY_ID = new Map(LANGUAGE_PROFILES.map(profile => [profile.id, profile]));
+
+  function resolveLanguageAlias(name) {
+    const normalized = String(name || '').trim().toLowerCase().replace(/^language-/, '');
+    if (!normalized) return '';
+    if (PROFILES_BY_ID.has(normalized)) return normalized;
+    const profile = LANGUAGE_PROFILES.find(candidate => (candidate.aliases || []).includes(normalized));
+    return profile ? profile.id : '';
+  }
+
+  /**
+   * Language for a file name: exact names (Dockerfile, Makefile) first, then the extension.
+   * @param {string} fileName - A bare name or a path.
+   * @returns {string} Language id, or '' when unknown.
+   */
+  function languageForFileName(fileName) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop();
+    if (!baseName) return '';
+
+    const byName = LANGUAGE_PROFILES.find(profile => (profile.fileNames || []).includes(baseName));
+    if (byName) return byName.id;
+
+    const extension = (baseName.match(/\.([^.]+)$/) || [])[1];
+    const candidate = (extension || baseName).toLowerCase();
+    const byExtension = LANGUAGE_PROFILES.find(profile => (profile.extensions || []).includes(candidate));
+    return byExtension ? byExtension.id : '';
+  }
+
+  function countMatches(code, pattern) {
+    const matches = code.match(pattern);
+    return matches ? Math.min(matches.length, MAX_PATTERN_HITS) : 0;
+  }
+
+  /**
+   * Scores every language for a code sample.
+   * @param {string} codeText - The code.
+   * @param {object} [hints]
+   * @param {string[]} [hints.nearbyFileNames] - Files cited near the block.
+   * @returns {Array<{id: string, score: number}>} Scores, highest first.
+   */
+  function scoreLanguages(codeText, hints = {}) {
+    const code = String(codeText || '').trim();
+    const ownScores = new Map();
+
+    LANGUAGE_PROFILES.forEach(profile => {
+      let score = profile.structure ? profile.structure(code) : 0;
+      profile.patterns.forEach(([pattern, weight]) => {
+        score += countMatches(code, pattern) * weight;
+      });
+      ownScores.set(profile.id, score);
+    });
+
+    const firstLine = code.split('\n', 1)[0];
+    if (firstLine.startsWith('#!')) {
+      const match = LANGUAGE_PROFILES.find(profile => profile.shebang && profile.shebang.test(firstLine));
+      if (match) ownScores.set(match.id, ownScores.get(match.id) + 15);
+    }
+
+    new Set((hints.nearbyFileNames || []).map(languageForFileName).filter(Boolean)).forEach(id => {
+      ownScores.set(id, ownScores.get(id) + NEARBY_FILE_WEIGHT);
+    });
+
+    const totalScore = id => {
+      const profile = PROFILES_BY_ID.get(id);
+      const own = ownScores.get(id);
+      return profile.extends && own > 0 ? own + totalScore(profile.extends) : own;
+    };
+
+    return LANGUAGE_PROFILES
+      .map(profile => ({ id: profile.id, score: totalScore(profile.id) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  function isAncestorLanguage(id, ancestorId) {
+    for (let profile = PROFILES_BY_ID.get(id); profile && profile.extends; profile = PROFILES_BY_ID.get(profile.extends)) {
+      if (profile.extends === ancestorId) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Picks the fence language for a code block, or '' when no language is
+   * confident enough.
+   * @param {string} codeText - The code.
+   * @param {object} [hints] - See scoreLanguages.
+   * @param {string} [hints.className] - Class of the code element, e.g. "language-ts".
+   *   The page author's choice is returned as written; the code is only scored without one.
+   * @param {string} [hints.fileName] - File the code was taken from; decides on its own when recognised.
+   * @returns {string} Language id, or ''.
+   */
+  function detectLanguage(codeText, hints = {}) {
+    const declaredClass = String(hints.className || '').trim().toLowerCase().replace(/^language-/, '');
+    if (declaredClass) {
+      return declaredClass;
+    }
+
+    if (hints.fileName) {
+      const fromFile = languageForFileName(hints.fileName);
+      if (fromFile) return fromFile;
+    }
+
+    if (!codeText || String(codeText).trim().length < 10) {
+      return '';
+    }
+
+    const [best, ...rest] = scoreLanguages(codeText, hints);
+    // A superset language (TypeScript) always outscores its base (JavaScript); that is not ambiguity
+    const runnerUp = rest.find(candidate => !isAncestorLanguage(best.id, candidate.id));
+    const confidence = best.score / (best.score + (runnerUp ? runnerUp.score : 0) || 1);
+
+    return best.score >= MIN_SCORE && confidence >= MIN_CONFIDENCE ? best.id : '';
+  }
+
+  root.deepwikiLanguageDetector = {
+    LANGUAGE_PROFILES,
+    MIN_SCORE,
+    MIN_CONFIDENCE,
+    detectLanguage,
+    scoreLanguages,
+    languageForFileName,
+    resolveLanguageAlias
+  };
+})(globalThis);
@@ -0,0 +1,136 @@
+// Inline Markdown links and images: [text](target) with an optional "title"
+const MARKDOWN_LINK_PATTERN = /(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(([^()\s]+)((?:\s+"[^"]*")?)\)/g;
+const FENCED_BLOCK_PATTERN = /(^|\n)(```|~~~)[^\n]*\n[\s\S]*?\n\2[^\n]*(?=\n|$)/g;
+// Obsidian wikilinks: [[target]], [[target#heading]], [[target|text]]
+const WIKILINK_PATTERN = /\[\[([^[\]|#\n]+)(#[^[\]|\n]*)?(?:\|([^[\]\n]*))?\]\]/g;
+
+/**
+ * Normalizes a page URL for lookups: fragment dropped, trailing slashes removed.
+ *
+ * @param {string} url - Absolute URL.
+ * @returns {string|null} The lookup key, or null when the URL cannot be parsed.
+ */
+export function toPageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Path from one exported file to another, both relative to the archive root.
+ *
+ * @param {string} fromFile - File containing the link, e.g. "guides/setup.md".
+ * @param {string} toFile - Linked file, e.g. "api/index.md".
+ * @returns {string} A relative path such as "../api/index.md".
+ */
+export function relativeFilePath(fromFile, toFile) {
+  const fromDirs = fromFile.split('/').slice(0, -1);
+  const toParts = toFile.split('/');
+  let shared = 0;
+  while (shared < fromDirs.length && shared < toParts.length - 1 && fromDirs[shared] === toParts[shared]) {
+    shared += 1;
+  }
+  return [...fromDirs.slice(shared).map(() => '..'), ...toParts.slice(shared)].join('/');
+}
+
+function encodeLinkPath(path) {
+  return encodeURI(path).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Applies a mapping to every inline link outside fenced code blocks, including
+ * links nested in another link's label (a linked badge image).
+ *
+ * @param {string} markdown - Markdown text.
+ * @param {function({isImage: boolean, label: string, target: string, title: string}): string|null} mapLink -
+ *   Returns the new link target, or null to keep the link unchanged.
+ * @returns {string} The rewritten Markdown.
+ */
+export function mapMarkdownLinks(markdown, mapLink) {
+  const rewriteSegment = text => text.replace(MARKDOWN_LINK_PATTERN, (match, bang, label, target, title) => {
+    const newLabel = label.includes('](') ? rewriteSegment(label) : label;
+    const newTarget = mapLink({ isImage: Boolean(bang), label, target, title });
+    if (typeof newTarget !== 'string' && newLabel === label) {
+      return match;
+    }
+    return `${bang}[${newLabel}](${typeof newTarget === 'string' ? newTarget : target}${title})`;
+  });
+
+  return rewriteOutsideFences(markdown, rewriteSegment);
+}
+
+function rewriteOutsideFences(markdown, rewriteSegment) {
+  let result = '';
+  let lastIndex = 0;
+  markdown.replace(FENCED_BLOCK_PATTERN, (block, lead, fence, offset) => {
+    result += rewriteSegment(markdown.slice(lastIndex, offset)) + block;
+    lastIndex = offset + block.length;
+    return block;
+  });
+  return result + rewriteSegment(markdown.slice(lastIndex));
+}
+
+/**
+ * Points links to other exported wiki pages at their Markdown files so the
+ * export can be browsed offline. External links, images and code blocks are left alone.
+ *
+ * @param {string} markdown - Page Markdown.
+ * @param {string} pageUrl - URL the page was exported from; relative links resolve against it.
+ * @param {string} pageFile - Path of this page's file in the archive.
+ * @param {Map<string, string>} filesByPageKey - Archive path of every exported page, keyed by toPageKey(url).
+ * @returns {string} Markdown with intra-wiki links rewritten.
+ */
+export function rewriteWikiLinks(markdown, pageUrl, pageFile, filesByPageKey) {
+  if (typeof markdown !== 'string' || !(filesByPageKey instanceof Map) || filesByPageKey.size === 0) {
+    return markdown;
+  }
+
+  return mapMarkdownLinks(markdown, ({ isImage, target }) => {
+    if (isImage || target.startsWith('#')) {
+      return null;
+    }
+
+    let resolved;
+    try {
+      resolved = new URL(target, pageUrl);
+    } catch (error) {
+      return null;
+    }
+
+    const targetFile = filesByPageKey.get(toPageKey(resolved.href));
+    if (!targetFile) {
+      return null;
+    }
+
+    // Links to a section of the same page keep just the fragment
+    const path = targetFile === pageFile && resolved.hash ? '' : encodeLinkPath(relativeFilePath(pageFile, targetFile));
+    return `${path}${resolved.hash}`;
+  });
+}
+
+/**
+ * Points Obsidian wikilinks at the exported files. The converter names the target
+ * after the page title, but batch exports lay pages out in numbered folders, so
+ * the link is given the file's path in the archive (Obsidian matches it as a path
+ * suffix) and keeps the title as its text.
+ *
+ * @param {string} markdown - Page Markdown.
+ * @param {Map<string, string>} filesByTarget - Archive path of every exported page, keyed by wikilink target.
+ * @returns {string} Markdown with wikilinks rewritten.
+ */
+export function rewriteWikilinkTargets(markdown, filesByTarget) {
+  if (typeof markdown !== 'string' || !(filesByTarget instanceof Map) || filesByTarget.size === 0) {
+    return markdown;
+  }
+
+  return rewriteOutsideFences(markdown, text => text.replace(WIKILINK_PATTERN, (match, target, heading = '', alias) => {
+    const targetFile = filesByTarget.get(target.trim());
+    if (!targetFile) {
+      return match;
+    }
+    return `[[${targetFile.replace(/\.md$/i, '')}${heading}|${alias === undefined ? target.trim() : alias}]]`;
+  }));
+}
@@ -0,0 +1,172 @@
+// Markdown dialects and the small Markdown writers the converter shares with them.
+(function (root) {
+  // Callout kinds recognised on the page, and how each dialect spells them
+  const CALLOUT_KIND_ALIASES = {
+    note: 'note', info: 'info', tip: 'tip', hint: 'tip', success: 'tip',
+    important: 'important', warning: 'warning', caution: 'warning',
+    danger: 'danger', error: 'danger'
+  };
+  const GFM_ALERT_TYPES = { note: 'NOTE', info: 'NOTE', tip: 'TIP', important: 'IMPORTANT', warning: 'WARNING', danger: 'CAUTION' };
+  const MKDOCS_ADMONITION_TYPES = { note: 'note', info: 'info', tip: 'tip', important: 'abstract', warning: 'warning', danger: 'danger' };
+
+  function quoteMarkdownLines(text) {
+    return text.split('\n').map(line => (line.trim() ? `> ${line}` : '>')).join('\n');
+  }
+
+  function indentMarkdownLines(text) {
+    return text.split('\n').map(line => (line.trim() ? `    ${line}` : '')).join('\n');
+  }
+
+  function capitalizeWord(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  function renderTabSections(tabs) {
+    return tabs.map(tab => `**${tab.label}**\n\n${tab.body}`).join('\n\n') + '\n\n';
+  }
+
+  function renderDetailsHtml(summary, body) {
+    return `<details>\n<summary>${summary}</summary>\n\n${body}\n\n</details>\n\n`;
+  }
+
+  // Wraps inline content in markers, keeping surrounding whitespace outside them
+  // so "<b>foo </b>bar" becomes "**foo** bar" rather than "**foo **bar"
+  function wrapInlineMarkdown(content, open, close = open) {
+    const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${leading}${open}${inner}${close}${trailing}` : content;
+  }
+
+  function escapeHtmlText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // SUB/SUP and other inline elements Markdown has no syntax for stay as HTML tags
+  function wrapInlineHtml(content, tag, attributes = '') {
+    return wrapInlineMarkdown(content, `<${tag}${attributes}>`, `</${tag}>`);
+  }
+
+  // Key names are literal text, so "<Enter>" must not be read as a tag
+  function renderKeyboardInput(text) {
+    return wrapInlineHtml(escapeHtmlText(text), 'kbd');
+  }
+
+  function renderAbbreviation(content, expansion) {
+    return expansion ? wrapInlineHtml(content, 'abbr', ` title="${escapeHtmlText(expansion)}"`) : content;
+  }
+
+  // A footnote reference is usually wrapped in SUP; [^n] already renders raised
+  function isFootnoteReference(markdown) {
+    return /^\s*\[\^[\w-]+\]\s*$/.test(markdown);
+  }
+
+  // Footnote links by their target alone, for renderers that mark them with nothing else:
+  // GitHub's "#user-content-fn-<label>" and numbered ids such as "#fn1", "#fn-1" or "#fn:1".
+  // Other in-page anchors that happen to start with "fn" (#fnmatch, #fn-pointers) are not footnotes.
+  function footnoteLinkKind(href) {
+    const target = href || '';
+    if (/^#(?:user-content-fnref-.|fnref[-:]?\d+$)/.test(target)) return 'backref';
+    if (/^#(?:user-content-fn-.|fn[-:]?\d+$)/.test(target)) return 'reference';
+    return '';
+  }
+
+  // "user-content-fn-1" -> "1"; labels must be usable inside [^...]
+  function footnoteLabel(targetId, fallback) {
+    const label = targetId.replace(/^(?:user-content-)?fn[-:_]?/i, '').replace(/[^\w-]/g, '');
+    return label || fallback;
+  }
+
+  /**
+   * Writes collected footnote definitions for the end of a page: referenced ones first,
+   * in reference order, then any that were never referenced.
+   *
+   * @param {Map<string, string>} labels - Footnote element id -> label used by its references.
+   * @param {Map<string, string>} definitions - Footnote element id -> Markdown body.
+   * @returns {string}
+   */
+  function formatFootnoteDefinitions(labels, definitions) {
+    const lines = [];
+    const written = new Set();
+    const writeDefinition = (targetId, label) => {
+      const body = definitions.get(targetId);
+      if (!body || written.has(targetId)) return;
+      written.add(targetId);
+      // Continuation paragraphs of a footnote are indented under it
+      lines.push(`[^${label}]: ${body.split('\n').map((line, index) => (index && line ? `    ${line}` : line)).join('\n')}`);
+    };
+    labels.forEach((label, targetId) => writeDefinition(targetId, label));
+    definitions.forEach((body, targetId) => writeDefinition(targetId, footnoteLabel(targetId, targetId)));
+    return lines.length ? `\n\n${lines.join('\n\n')}\n` : '';
+  }
+
+  const { renderHtmlTable, renderPipeTable } = root.deepwikiMarkdownTables;
+
+  /**
+   * Markdown dialects: the DOM walk stays the same and asks the active dialect
+   * how to spell the constructs that differ between tools.
+   *   callout(kind, title, body)  - note/warning boxes
+   *   collapsible(summary, body)  - DETAILS elements
+   *   tabs([{label, body}])       - tabbed content
+   *   table(model)                - tables, as laid out by deepwikiMarkdownTables.layoutTable
+   *   wikiLink(target, text)      - links to other pages of the same wiki, or null for a normal link
+   *   strikethrough(text)         - DEL/S elements
+   *   highlight(text)             - MARK elements
+   */
+  const MARKDOWN_DIALECTS = {
+    gfm: {
+      callout: (kind, title, body) =>
+        `> [!${GFM_ALERT_TYPES[kind]}]\n${quoteMarkdownLines(title ? `**${title}**\n\n${body}` : body)}\n\n`,
+      collapsible: renderDetailsHtml,
+      tabs: renderTabSections,
+      table: renderPipeTable,
+      wikiLink: () => null,
+      strikethrough: text => wrapInlineMarkdown(text, '~~'),
+      highlight: text => wrapInlineMarkdown(text, '<mark>', '</mark>')
+    },
+    commonmark: {
+      callout: (kind, title, body) =>
+        `${quoteMarkdownLines(`**${title || capitalizeWord(kind)}**\n\n${body}`)}\n\n`,
+      collapsible: renderDetailsHtml,
+      tabs: renderTabSections,
+      table: renderHtmlTable,
+      wikiLink: () => null,
+      strikethrough: text => wrapInlineMarkdown(text, '<del>', '</del>'),
+      highlight: text => wrapInlineMarkdown(text, '<mark>', '</mark>')
+    },
+    obsidian: {
+      callout: (kind, title, body) =>
+        `> [!${kind}]${title ? ` ${title}` : ''}\n${quoteMarkdownLines(body)}\n\n`,
+      collapsible: (summary, body) => `> [!note]- ${summary}\n${quoteMarkdownLines(body)}\n\n`,
+      tabs: renderTabSections,
+      table: renderPipeTable,
+      wikiLink: (target, text) => (text && text !== target ? `[[${target}|${text.replace(/[[\]|]/g, '')}]]` : `[[${target}]]`),
+      strikethrough: text => wrapInlineMarkdown(text, '~~'),
+      highlight: text => wrapInlineMarkdown(text, '==')
+    },
+    mkdocs: {
+      callout: (kind, title, body) =>
+        `!!! ${MKDOCS_ADMONITION_TYPES[kind]}${title ? ` "${title.replace(/"/g, "'")}"` : ''}\n\n${indentMarkdownLines(body)}\n\n`,
+      collapsible: (summary, body) => `??? note "${summary.replace(/"/g, "'")}"\n\n${indentMarkdownLines(body)}\n\n`,
+      tabs: tabs => tabs.map(tab => `=== "${tab.label.replace(/"/g, "'")}"\n\n${indentMarkdownLines(tab.body)}`).join('\n\n') + '\n\n',
+      table: renderPipeTable,
+      wikiLink: () => null,
+      strikethrough: text => wrapInlineMarkdown(text, '~~'),
+      highlight: text => wrapInlineMarkdown(text, '==')
+    }
+  };
+
+  root.deepwikiMarkdownDialects = {
+    CALLOUT_KIND_ALIASES,
+    MARKDOWN_DIALECTS,
+    quoteMarkdownLines,
+    indentMarkdownLines,
+    wrapInlineMarkdown,
+    escapeHtmlText,
+    wrapInlineHtml,
+    renderKeyboardInput,
+    renderAbbreviation,
+    isFootnoteReference,
+    footnoteLinkKind,
+    footnoteLabel,
+    formatFootnoteDefinitions
+  };
+})(globalThis);
@@ -0,0 +1,127 @@
+// Table layout and rendering for the converter.
+(function (root) {
+  /**
+   * Lays table rows out on a grid, expanding colspan/rowspan, and decides whether
+   * Markdown can represent the table. content.js reads the rows from the DOM.
+   *
+   * Each cell is {text, html, colspan, rowspan, alignment, isHeader, hasBlockContent}:
+   * `text` is its Markdown (line breaks as "\n"), `html` its sanitized HTML, and a
+   * rowspan of 0 runs to the last row as in HTML.
+   *
+   * @param {Array<{inHead: boolean, cells: object[]}>} tableRows - Rows in document order.
+   * @returns {{rows: Array<{header: boolean, cells: Array<object|null>}>, columnCount: number, alignments: string[], needsHtml: boolean}}
+   */
+  function layoutTable(tableRows) {
+    const grid = tableRows.map(() => []);
+    let needsHtml = false;
+
+    tableRows.forEach((row, rowIndex) => {
+      let column = 0;
+      row.cells.forEach(cell => {
+        while (grid[rowIndex][column]) column += 1;
+
+        // Lists, code blocks, nested tables and multiple paragraphs have no pipe-table equivalent
+        if (cell.hasBlockContent) {
+          needsHtml = true;
+        }
+
+        const colspan = Math.max(1, cell.colspan || 1);
+        const rowspan = cell.rowspan === 0 ? tableRows.length - rowIndex : Math.max(1, cell.rowspan || 1);
+        const entry = {
+          text: (cell.text || '').trim(),
+          html: (cell.html || '').trim(),
+          colspan,
+          rowspan,
+          alignment: cell.alignment || ''
+        };
+
+        for (let r = rowIndex; r < Math.min(tableRows.length, rowIndex + rowspan); r++) {
+          for (let c = column; c < column + colspan; c++) {
+            grid[r][c] = r === rowIndex && c === column ? entry : { spannedBy: entry };
+          }
+        }
+        column += colspan;
+      });
+    });
+
+    const columnCount = Math.max(0, ...grid.map(cells => cells.length));
+    let headerCount = tableRows.filter(row => row.inHead).length;
+    if (headerCount === 0 && tableRows.length > 0 && tableRows[0].cells.length > 0 && tableRows[0].cells.every(cell => cell.isHeader)) {
+      headerCount = 1;
+    }
+    if (headerCount > 1) {
+      needsHtml = true;
+    }
+
+    // A table without header cells stays header-less; only pipe tables need a header row
+    const rows = grid.map((cells, rowIndex) => ({
+      header: rowIndex < headerCount,
+      cells: Array.from({ length: columnCount }, (_, column) => cells[column] || null)
+    }));
+
+    // Column alignment follows the first row, falling back to the first body row
+    const alignments = Array.from({ length: columnCount }, (_, column) => {
+      const owner = row => {
+        const slot = row && row.cells[column];
+        return slot ? (slot.spannedBy || slot) : null;
+      };
+      const headerCell = owner(rows[0]);
+      const bodyCell = owner(rows[Math.max(1, headerCount)]);
+      return (headerCell && headerCell.colspan === 1 && headerCell.alignment) ||
+        (bodyCell && bodyCell.colspan === 1 && bodyCell.alignment) || '';
+    });
+
+    return { rows, columnCount, alignments, needsHtml };
+  }
+
+  // Tables that Markdown cannot express (and every table in strict CommonMark) are written as HTML
+  function renderHtmlTable(model) {
+    const renderRow = row => {
+      const cells = row.cells
+        .filter(slot => slot && !slot.spannedBy)
+        .map(cell => {
+          const tag = row.header ? 'th' : 'td';
+          let attributes = '';
+          if (cell.colspan > 1) attributes += ` colspan="${cell.colspan}"`;
+          if (cell.rowspan > 1) attributes += ` rowspan="${cell.rowspan}"`;
+          if (cell.alignment) attributes += ` align="${cell.alignment}"`;
+          return `<${tag}${attributes}>${cell.html}</${tag}>`;
+        });
+      return `<tr>${cells.join('')}</tr>`;
+    };
+
+    const headerRows = model.rows.filter(row => row.header);
+    const bodyRows = model.rows.filter(row => !row.header);
+    let html = '<table>\n';
+    if (headerRows.length) html += `<thead>\n${headerRows.map(renderRow).join('\n')}\n</thead>\n`;
+    if (bodyRows.length) html += `<tbody>\n${bodyRows.map(renderRow).join('\n')}\n</tbody>\n`;
+    return `${html}</table>\n\n`;
+  }
+
+  // Pipe table with merged cells expanded: the content stays in the first cell of a span.
+  // GFM needs a header row, so a header-less table uses its first row as one.
+  function renderPipeTable(model) {
+    if (model.needsHtml) {
+      return renderHtmlTable(model);
+    }
+
+    const escapeCell = text => text.replace(/\|/g, '\\|').replace(/ *\n+ */g, '<br>');
+    const renderRow = row => `| ${row.cells.map(slot => (slot && !slot.spannedBy ? escapeCell(slot.text) : '')).join(' | ')} |`;
+    const separator = model.alignments.map(alignment => {
+      if (alignment === 'center') return ':---:';
+      if (alignment === 'right') return '---:';
+      if (alignment === 'left') return ':---';
+      return '---';
+    });
+
+    const [headerRow, ...bodyRows] = model.rows;
+    const lines = [renderRow(headerRow), `| ${separator.join(' | ')} |`, ...bodyRows.map(renderRow)];
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  root.deepwikiMarkdownTables = {
+    layoutTable,
+    renderHtmlTable,
+    renderPipeTable
+  };
+})(globalThis);
@@ -0,0 +1,143 @@
+// Presentation MathML -> TeX, for formulas rendered without their TeX source.
+(function (root) {
+  // Node.TEXT_NODE / Node.ELEMENT_NODE, spelled out so the converter also runs outside a page
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+
+  const MATHML_SYMBOLS = {
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon', 'ζ': '\\zeta',
+    'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu',
+    'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon', 'φ': '\\phi',
+    'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega', 'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta',
+    'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi', 'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint', '√': '\\sqrt', '∞': '\\infty', '∂': '\\partial',
+    '∇': '\\nabla', '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '·': '\\cdot', '⋅': '\\cdot',
+    '∘': '\\circ', '≤': '\\le', '≥': '\\ge', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim',
+    '≪': '\\ll', '≫': '\\gg', '∝': '\\propto', '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq',
+    '⊃': '\\supset', '⊇': '\\supseteq', '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall',
+    '∃': '\\exists', '¬': '\\neg', '∧': '\\land', '∨': '\\lor', '→': '\\to', '←': '\\leftarrow',
+    '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto',
+    '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots', '′': "'", '″': "''", 'ℝ': '\\mathbb{R}',
+    'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℂ': '\\mathbb{C}', '⌈': '\\lceil',
+    '⌉': '\\rceil', '⌊': '\\lfloor', '⌋': '\\rfloor', '⟨': '\\langle', '⟩': '\\rangle', '∥': '\\|',
+    '{': '\\{', '}': '\\}', '%': '\\%', '#': '\\#', '&': '\\&',
+    // Invisible function application and multiplication
+    '⁡': '', '⁢': '', '⁣': '', '⁤': ''
+  };
+  const MATHML_FUNCTIONS = new Set([
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'sinh', 'cosh', 'tanh', 'arcsin', 'arccos', 'arctan',
+    'log', 'ln', 'lg', 'exp', 'max', 'min', 'sup', 'inf', 'lim', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr'
+  ]);
+  const MATHML_ACCENTS = {
+    '^': '\\hat', 'ˆ': '\\hat', '¯': '\\bar', '‾': '\\overline', '→': '\\vec', '⃗': '\\vec',
+    '~': '\\tilde', '˜': '\\tilde', '˙': '\\dot', '¨': '\\ddot'
+  };
+  const MATHML_LARGE_OPERATORS = /^\\(?:sum|prod|int|oint|lim|max|min|sup|inf|bigcup|bigcap)$/;
+  const MATHML_VARIANTS = { normal: '\\mathrm', bold: '\\mathbf', 'double-struck': '\\mathbb', script: '\\mathcal', fraktur: '\\mathfrak' };
+
+  // Concatenates TeX fragments, separating a control word from a following letter
+  function joinTex(parts) {
+    return parts.reduce((tex, part) => (
+      part && /\\[A-Za-z]+$/.test(tex) && /^[A-Za-z]/.test(part) ? `${tex} ${part}` : tex + part
+    ), '');
+  }
+
+  function texGroup(tex) {
+    return tex.length === 1 ? tex : `{${tex}}`;
+  }
+
+  function texSymbols(text) {
+    return joinTex(Array.from(text).map(character => (character in MATHML_SYMBOLS ? MATHML_SYMBOLS[character] : character)));
+  }
+
+  /**
+   * Converts presentation MathML to TeX, for formulas rendered without a TeX annotation.
+   * Covers the elements KaTeX and MathJax emit; anything unknown contributes its children.
+   * @param {Node} node - A <math> element or one of its descendants
+   * @returns {string}
+   */
+  function convertMathMlToTex(node) {
+    if (node.nodeType === TEXT_NODE) {
+      return texSymbols(node.textContent.trim());
+    }
+    if (node.nodeType !== ELEMENT_NODE) {
+      return '';
+    }
+
+    const children = Array.from(node.children);
+    const part = index => (children[index] ? convertMathMlToTex(children[index]) : '');
+    const text = node.textContent.trim();
+
+    switch (node.localName) {
+      case 'mi': {
+        if (MATHML_FUNCTIONS.has(text)) return `\\${text}`;
+        const variant = MATHML_VARIANTS[node.getAttribute('mathvariant')] || (text.length > 1 ? '\\mathrm' : '');
+        return variant && text.length ? `${variant}{${texSymbols(text)}}` : texSymbols(text);
+      }
+      case 'mn':
+        return text;
+      case 'mo':
+        return texSymbols(text);
+      case 'mtext':
+        return text ? `\\text{${text.replace(/[{}]/g, '\\$&')}}` : '';
+      case 'mspace':
+        return '\\,';
+      case 'mphantom':
+      case 'annotation':
+      case 'annotation-xml':
+        return '';
+      case 'semantics':
+        return part(0);
+      case 'msup':
+        return `${part(0)}^${texGroup(part(1))}`;
+      case 'msub':
+        return `${part(0)}_${texGroup(part(1))}`;
+      case 'msubsup':
+        return `${part(0)}_${texGroup(part(1))}^${texGroup(part(2))}`;
+      case 'mfrac':
+        return node.getAttribute('linethickness') === '0'
+          ? `\\binom{${part(0)}}{${part(1)}}`
+          : `\\frac{${part(0)}}{${part(1)}}`;
+      case 'msqrt':
+        return `\\sqrt{${joinTex(children.map(convertMathMlToTex))}}`;
+      case 'mroot':
+        return `\\sqrt[${part(1)}]{${part(0)}}`;
+      case 'mover': {
+        const base = part(0);
+        const over = children[1] ? children[1].textContent.trim() : '';
+        if (MATHML_LARGE_OPERATORS.test(base)) return `${base}^${texGroup(part(1))}`;
+        if (MATHML_ACCENTS[over]) return `${MATHML_ACCENTS[over]}{${base}}`;
+        return `\\overset{${part(1)}}{${base}}`;
+      }
+      case 'munder': {
+        const base = part(0);
+        const under = children[1] ? children[1].textContent.trim() : '';
+        if (MATHML_LARGE_OPERATORS.test(base)) return `${base}_${texGroup(part(1))}`;
+        if (under === '_' || under === '¯' || under === '‾') return `\\underline{${base}}`;
+        return `\\underset{${part(1)}}{${base}}`;
+      }
+      case 'munderover':
+        return `${part(0)}_${texGroup(part(1))}^${texGroup(part(2))}`;
+      case 'mtable': {
+        const rows = children.filter(row => row.localName === 'mtr' || row.localName === 'mlabeledtr').map(row =>
+          Array.from(row.children).filter(cell => cell.localName === 'mtd').map(convertMathMlToTex).join(' & ')
+        );
+        return `\\begin{matrix}${rows.join(' \\\\ ')}\\end{matrix}`;
+      }
+      case 'mfenced': {
+        const open = node.getAttribute('open') ?? '(';
+        const close = node.getAttribute('close') ?? ')';
+        const separator = (node.getAttribute('separators') ?? ',').trim().charAt(0);
+        return `${texSymbols(open)}${children.map(convertMathMlToTex).join(separator)}${texSymbols(close)}`;
+      }
+      default:
+        return joinTex(children.map(convertMathMlToTex));
+    }
+  }
+
+  root.deepwikiMathMl = {
+    joinTex,
+    texSymbols,
+    convertMathMlToTex
+  };
+})(globalThis);
@@ -0,0 +1,916 @@
+// Text and geometry helpers for rebuilding Mermaid source from rendered SVG.
+(function (root) {
+  // The content script does not know which folder a page ends up in, so it writes
+  // diagram file links against this placeholder and utils/diagramFiles.js fills it in
+  const DIAGRAM_PAGE_PLACEHOLDER = '__deepwiki_page__';
+
+  function quoteMermaidText(text) {
+    return `"${String(text).replace(/"/g, '#quot;')}"`;
+  }
+
+  function parseTranslate(transform) {
+    const match = (transform || '').match(/translate\(\s*([-\d.e]+)[,\s]+([-\d.e]+)\s*\)/);
+    return match ? { x: parseFloat(match[1]), y: parseFloat(match[2]) } : null;
+  }
+
+  // marker-start/marker-end values look like url(#diagram-1_er-zeroOrMoreEnd)
+  function markerNameFromReference(value) {
+    const match = (value || '').match(/#([^)"']+)/);
+    return match ? match[1].toLowerCase().replace(/[_-]/g, '') : '';
+  }
+
+  function distanceToBox(px, py, box) {
+    const dx = Math.max(box.x1 - px, 0, px - box.x2);
+    const dy = Math.max(box.y1 - py, 0, py - box.y2);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  function findClosestByBox(point, items, maxDistance = Infinity) {
+    let closest = null;
+    let minDist = Infinity;
+    items.forEach(item => {
+      if (!item.box) return;
+      const dist = distanceToBox(point.x, point.y, item.box);
+      if (dist < minDist) {
+        minDist = dist;
+        closest = item;
+      }
+    });
+    return minDist <= maxDistance ? closest : null;
+  }
+
+  const ER_CARDINALITY = {
+    left: { onlyone: '||', zeroorone: '|o', oneormore: '}|', zeroormore: '}o' },
+    right: { onlyone: '||', zeroorone: 'o|', oneormore: '|{', zeroormore: 'o{' }
+  };
+
+  /**
+   * Crow's-foot notation for an ER relationship end, from its marker name.
+   * @param {string} markerName - As returned by markerNameFromReference.
+   * @param {'left'|'right'} side - 'left' for marker-start, 'right' for marker-end.
+   * @returns {string} Exactly one ('||') when the marker is not recognised.
+   */
+  function erCardinality(markerName, side) {
+    // Check the longer keys first so "zeroorone" doesn't shadow "zeroormore"
+    const key = ['zeroormore', 'oneormore', 'zeroorone', 'onlyone'].find(k => (markerName || '').includes(k));
+    return key ? ER_CARDINALITY[side][key] : '||';
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Colons end the label in gantt, timeline and journey lines
+  function escapeMermaidColons(text) {
+    return String(text).replace(/:/g, '#colon;');
+  }
+
+  // Gantt axis ticks read "2024-01-15", "2024-01-15 09:30" or a locale date with a year
+  function parseGanttTickDate(text) {
+    const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (isoMatch) {
+      return Date.UTC(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3], +(isoMatch[4] || 0), +(isoMatch[5] || 0));
+    }
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime()) || !/\d{4}/.test(text)) return null;
+    return parsed.getTime() - parsed.getTimezoneOffset() * 60000;
+  }
+
+  /**
+   * Maps gantt x positions to times from the axis ticks. Dates are written per day
+   * when every tick falls on midnight, otherwise per minute.
+   * @param {Array<{time: number, x: number}>} ticks - Tick times (UTC ms) and x positions.
+   * @returns {{dayPrecision: boolean, unitMs: number, xToTime: function(number): number, formatTime: function(number): string}|null}
+   */
+  function createGanttTimeScale(ticks) {
+    const sorted = [...ticks].sort((a, b) => a.x - b.x);
+    if (sorted.length < 2 || sorted[sorted.length - 1].x === sorted[0].x) return null;
+
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const msPerPx = (last.time - first.time) / (last.x - first.x);
+    const dayPrecision = sorted.every(t => t.time % DAY_MS === 0);
+    const unitMs = dayPrecision ? DAY_MS : 60000;
+
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      dayPrecision,
+      unitMs,
+      xToTime: x => first.time + (x - first.x) * msPerPx,
+      formatTime: time => {
+        const d = new Date(Math.round(time / unitMs) * unitMs);
+        const date = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+        return dayPrecision ? date : `${date} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+      }
+    };
+  }
+
+  // Gantt bars carry their state as classes such as "task activeCrit1 milestone"
+  function ganttTaskTags(classes) {
+    const tags = [];
+    if (classes.some(c => /^(crit|activeCrit|doneCrit)\d+$/.test(c))) tags.push('crit');
+    if (classes.some(c => /^(done|doneCrit)\d+$/.test(c))) tags.push('done');
+    if (classes.some(c => /^(active|activeCrit)\d+$/.test(c))) tags.push('active');
+    if (classes.includes('milestone')) tags.push('milestone');
+    return tags;
+  }
+
+  // Journey faces sit 30px lower per point below 5, starting at cy=300
+  function journeyScoreFromFaceY(cy) {
+    return isNaN(cy) ? null : Math.min(5, Math.max(1, Math.round(5 - (cy - 300) / 30)));
+  }
+
+  function roundChartValue(value, step) {
+    const precision = step > 0 ? Math.max(0, Math.ceil(-Math.log10(step / 100))) : 2;
+    return Number(value.toFixed(Math.min(precision, 6)));
+  }
+
+  /**
+   * Share of the full circle a pie slice covers, from its path data.
+   * d3 arcs: M x0,y0 A r,r,0,large,sweep,x1,y1 [A ...] L0,0Z around the group origin.
+   * @param {string} pathData - The slice's `d` attribute.
+   * @returns {number|null} Between 0 and 1, or null when the path is not an arc.
+   */
+  function pieSliceFraction(pathData) {
+    const numbers = (pathData || '').match(/[-+]?(?:\d*\.\d+|\d+)(?:e[-+]?\d+)?/gi);
+    const commands = (pathData || '').match(/[MA]/gi) || [];
+    if (!numbers || !commands.length) return null;
+
+    const values = numbers.map(Number);
+    const points = [{ x: values[0], y: values[1] }];
+    let offset = 2;
+    const arcs = [];
+    for (let i = 1; i < commands.length && offset + 7 <= values.length; i++) {
+      arcs.push({ large: values[offset + 3] === 1 });
+      points.push({ x: values[offset + 5], y: values[offset + 6] });
+      offset += 7;
+    }
+
+    let total = 0;
+    arcs.forEach((arc, index) => {
+      const a1 = Math.atan2(points[index].y, points[index].x);
+      const a2 = Math.atan2(points[index + 1].y, points[index + 1].x);
+      let delta = (a2 - a1 + 2 * Math.PI) % (2 * Math.PI);
+      if (delta < 1e-6 && arc.large) delta = 2 * Math.PI;
+      total += delta;
+    });
+    return total / (2 * Math.PI);
+  }
+
+  // With showData the legend reads "Label [42]"; otherwise just the label
+  function parsePieLegendText(text) {
+    const valueMatch = text.match(/^(.*?)\s*\[([-\d.,e]+)\]$/i);
+    return {
+      label: valueMatch ? valueMatch[1] : text,
+      value: valueMatch ? Number(valueMatch[2].replace(/,/g, '')) : null
+    };
+  }
+
+  /**
+   * Maps positions along an xy chart's value axis back to data values.
+   * @param {Array<{value: number, pos: number}>} ticks - Numeric tick labels and their positions.
+   * @returns {{low: object, high: object, posToValue: function(number): number}|null}
+   */
+  function createChartValueScale(ticks) {
+    const sorted = [...ticks].sort((a, b) => a.value - b.value);
+    const low = sorted[0];
+    const high = sorted[sorted.length - 1];
+    if (!low || high.pos === low.pos) return null;
+    const step = sorted.length > 1 ? (high.value - low.value) / (sorted.length - 1) : 1;
+    return {
+      low,
+      high,
+      posToValue: pos => roundChartValue(low.value + (pos - low.pos) * (high.value - low.value) / (high.pos - low.pos), step)
+    };
+  }
+
+  // Mindmap node shapes, from the node-<shape> class of the node background
+  const MINDMAP_SHAPE_BRACKETS = {
+    'rect': ['[', ']'],
+    'rounded-rect': ['(', ')'],
+    'circle': ['((', '))'],
+    'cloud': [')', '('],
+    'bang': ['))', '(('],
+    'hexgon': ['{{', '}}'],
+    'hexagon': ['{{', '}}']
+  };
+
+  // Shaped nodes need an id for their brackets to parse; plain nodes are just their text
+  function formatMindmapNode(text, shape, id) {
+    const brackets = MINDMAP_SHAPE_BRACKETS[shape];
+    const label = /[()[\]{}]/.test(text) ? quoteMermaidText(text) : text;
+    return brackets ? `${id}${brackets[0]}${label}${brackets[1]}` : label;
+  }
+
+  // Angle of `point` around `origin`, clockwise from 12 o'clock (screen coordinates)
+  function clockwiseAngle(origin, point) {
+    return Math.atan2(point.x - origin.x, origin.y - point.y);
+  }
+
+  /**
+   * Replays a git graph as Mermaid commands: commits in drawing order, creating
+   * branches where their first commit forks off and checking out as needed.
+   * @param {{branches: Array<{name: string, lane: number}>, commits: object[], vertical?: boolean}} graph -
+   *   Commits carry {id, type, tags, parents, branch}, with `branch` one of `branches`.
+   * @returns {string[]} Mermaid lines, starting with the gitGraph header.
+   */
+  function replayGitGraph({ branches, commits, vertical = false }) {
+    const isGeneratedId = id => /^\d+-[0-9a-z]{7}$/i.test(id);
+    const mainBranch = branches.slice().sort((a, b) => a.lane - b.lane)[0].name;
+    const mermaidLines = [];
+    if (mainBranch !== 'main') {
+      mermaidLines.push(`%%{init: { 'gitGraph': { 'mainBranchName': '${mainBranch}' } } }%%`);
+    }
+    mermaidLines.push(vertical ? 'gitGraph TB:' : 'gitGraph');
+
+    const created = new Set([mainBranch]);
+    let current = mainBranch;
+    const checkout = name => {
+      if (current !== name) {
+        mermaidLines.push(`   checkout ${name}`);
+        current = name;
+      }
+    };
+
+    commits.forEach(commit => {
+      const branchName = commit.branch.name;
+      if (!created.has(branchName)) {
+        const origin = commit.parents.find(p => p.branch.name !== branchName);
+        if (origin) checkout(origin.branch.name);
+        mermaidLines.push(`   branch ${branchName}`);
+        created.add(branchName);
+        current = branchName;
+      }
+      checkout(branchName);
+
+      const otherParent = commit.parents.find(p => p.branch.name !== branchName);
+      const tags = commit.tags.filter(tag => !tag.startsWith('cherry-pick:'));
+      const tagPart = tags.map(tag => ` tag: ${quoteMermaidText(tag)}`).join('');
+      const idPart = isGeneratedId(commit.id) ? '' : ` id: ${quoteMermaidText(commit.id)}`;
+
+      if (commit.type === 'merge' && otherParent) {
+        mermaidLines.push(`   merge ${otherParent.branch.name}${idPart}${tagPart}`);
+      } else if (commit.type === 'cherry-pick') {
+        const sourceTag = commit.tags.find(tag => tag.startsWith('cherry-pick:'));
+        const sourceId = sourceTag ? sourceTag.replace('cherry-pick:', '').split('|')[0].trim() : otherParent?.id;
+        mermaidLines.push(sourceId
+          ? `   cherry-pick id: ${quoteMermaidText(sourceId)}${tagPart}`
+          : `   commit${idPart}${tagPart}`);
+      } else {
+        const typePart = commit.type === 'HIGHLIGHT' || commit.type === 'REVERSE' ? ` type: ${commit.type}` : '';
+        mermaidLines.push(`   commit${idPart}${typePart}${tagPart}`);
+      }
+    });
+
+    // Branches that never received a commit still exist in the graph
+    branches.forEach(branch => {
+      if (!created.has(branch.name)) mermaidLines.push(`   branch ${branch.name}`);
+    });
+    return mermaidLines;
+  }
+
+  function unwrapMermaidFence(mermaidOutput) {
+    return mermaidOutput.replace(/^```mermaid\n/, '').replace(/\n```$/, '');
+  }
+
+  // First keyword of the definition (flowchart, sequenceDiagram, ...), skipping %% lines
+  function mermaidDiagramType(code) {
+    return code.split('\n').find(line => line.trim() && !line.trim().startsWith('%%'))?.trim().split(/\s+/)[0] || 'diagram';
+  }
+
+  function normalizeSignatureText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  // Items of `expected` that `actual` doesn't account for (multiset difference)
+  function diffMultiset(expected, actual) {
+    const remaining = new Map();
+    actual.forEach(value => remaining.set(value, (remaining.get(value) || 0) + 1));
+
+    const missing = [];
+    expected.forEach(value => {
+      const count = remaining.get(value) || 0;
+      if (count > 0) {
+        remaining.set(value, count - 1);
+      } else {
+        missing.push(value);
+      }
+    });
+    return missing;
+  }
+
+  /**
+   * Differences between the signature of the page's diagram and of its re-render.
+   * @param {{labels: string[], edges: string[]}} original
+   * @param {{labels: string[], edges: string[]}} recovered
+   * @returns {string[]} One line per kind of difference; empty when they match.
+   */
+  function compareDiagramSignatures(original, recovered) {
+    const details = [];
+    const describe = (prefix, values) => {
+      if (values.length) details.push(`${prefix}: ${values.join('; ')}`);
+    };
+
+    describe('missing labels', diffMultiset(original.labels, recovered.labels));
+    describe('extra labels', diffMultiset(recovered.labels, original.labels));
+    describe('missing edges', diffMultiset(original.edges, recovered.edges));
+    describe('extra edges', diffMultiset(recovered.edges, original.edges));
+    return details;
+  }
+
+  function buildFidelityReport(entries, pageTitle, sourceUrl) {
+    const escapeCell = text => String(text).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+    let report = `## ${pageTitle}\n\nSource: ${sourceUrl}\n\n`;
+    report += '| # | Diagram | Result | Details |\n| --- | --- | --- | --- |\n';
+    entries.forEach(entry => {
+      report += `| ${entry.index + 1} | ${escapeCell(entry.type)} | ${entry.status} | ${escapeCell(entry.details.join('<br>'))} |\n`;
+    });
+    return report;
+  }
+
+  const MERMAID_DIAGRAM_KEYWORD_PATTERN = /^\s*(?:%%.*\n\s*)*(?:---[\s\S]*?---\s*)?(?:flowchart|graph|sequenceDiagram|classDiagram|stateDiagram(?:-v2)?|erDiagram|gantt|timeline|journey|pie|quadrantChart|xychart-beta|gitGraph|mindmap|C4\w+|architecture-beta|block-beta|requirementDiagram|sankey-beta|packet-beta|kanban|radar-beta)\b/;
+
+  // Whether text is a Mermaid definition: a diagram keyword after optional comments and front matter
+  function isMermaidDefinition(text) {
+    return MERMAID_DIAGRAM_KEYWORD_PATTERN.test(text || '');
+  }
+
+  function extractMermaidFences(text) {
+    const fences = [];
+    if (!text || !text.includes('```mermaid')) {
+      return fences;
+    }
+
+    // The fence may be plain Markdown or still JSON-escaped inside a hydration payload
+    const pattern = /```mermaid[ \t]*(?:\r?\n|\\n)([\s\S]*?)(?:\r?\n|\\n)?```/g;
+    for (const match of text.matchAll(pattern)) {
+      let body = match[1];
+      if (!body.includes('\n') && body.includes('\\n')) {
+        try {
+          body = JSON.parse(`"${body}"`);
+        } catch (error) {
+          body = body.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+        }
+      }
+      if (body.trim()) {
+        fences.push(body.trim());
+      }
+    }
+    return fences;
+  }
+
+  // RSC payloads are streamed as self.__next_f.push([1, "..."]) chunks
+  function extractFlightChunks(scriptText) {
+    const chunks = [];
+    if (!scriptText || !scriptText.includes('__next_f')) return chunks;
+    for (const match of scriptText.matchAll(/self\.__next_f\.push\(\[\d+\s*,\s*("(?:[^"\\]|\\.)*")\s*\]\)/g)) {
+      try {
+        chunks.push(JSON.parse(match[1]));
+      } catch (error) {
+        // Ignore malformed chunks
+      }
+    }
+    return chunks;
+  }
+
+  // Fraction of a diagram's visible labels (normalized, see normalizeSignatureText) found in a candidate definition
+  function scoreMermaidSourceMatch(labels, source) {
+    const normalizedSource = normalizeSignatureText(source.replace(/<br\s*\/?>/gi, ' ').replace(/#quot;/g, '"'));
+    const distinct = new Set(labels.filter(label => label.length > 1));
+    if (distinct.size === 0) {
+      return 0;
+    }
+
+    let hits = 0;
+    distinct.forEach(label => {
+      if (normalizedSource.includes(label)) hits += 1;
+    });
+    return hits / distinct.size;
+  }
+
+  // Mermaid bracket pairs for each recoverable flowchart node shape
+  const FLOWCHART_SHAPE_BRACKETS = {
+    rect: ['[', ']'],
+    round: ['(', ')'],
+    stadium: ['([', '])'],
+    subroutine: ['[[', ']]'],
+    cylinder: ['[(', ')]'],
+    circle: ['((', '))'],
+    doublecircle: ['(((', ')))'],
+    asymmetric: ['>', ']'],
+    rhombus: ['{', '}'],
+    hexagon: ['{{', '}}'],
+    parallelogram: ['[/', '/]'],
+    parallelogramAlt: ['[\\', '\\]'],
+    trapezoid: ['[/', '\\]'],
+    trapezoidAlt: ['[\\', '/]']
+  };
+
+  const FLOWCHART_STYLE_PROPERTIES = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'color'];
+
+  // A polygon's `points` attribute as {x, y} pairs
+  function parsePolygonPoints(pointsAttribute) {
+    const numbers = (pointsAttribute || '').trim().split(/[\s,]+/).map(Number);
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+      if (Number.isFinite(numbers[i]) && Number.isFinite(numbers[i + 1])) {
+        points.push({ x: numbers[i], y: numbers[i + 1] });
+      }
+    }
+    return points;
+  }
+
+  // Flowchart shape drawn by a polygon, from its vertex count and where the vertices sit
+  function classifyFlowchartPolygon(points) {
+    if (points.length >= 8) return 'subroutine';
+    if (points.length === 6) return 'hexagon';
+    if (points.length === 5) return 'asymmetric';
+    if (points.length !== 4) return 'rect';
+
+    const tolerance = 1;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const midX = (minX + maxX) / 2, midY = (minY + maxY) / 2;
+
+    // A rhombus has every vertex on the middle of a bounding box edge
+    if (points.every(p => Math.abs(p.x - midX) < tolerance || Math.abs(p.y - midY) < tolerance)) {
+      return 'rhombus';
+    }
+
+    const top = points.filter(p => Math.abs(p.y - minY) < tolerance).map(p => p.x);
+    const bottom = points.filter(p => Math.abs(p.y - maxY) < tolerance).map(p => p.x);
+    if (top.length !== 2 || bottom.length !== 2) return 'rect';
+
+    const leftInset = Math.min(...top) - Math.min(...bottom);
+    const rightInset = Math.max(...bottom) - Math.max(...top);
+    if (Math.abs(leftInset) < tolerance && Math.abs(rightInset) < tolerance) return 'rect';
+    if (leftInset > 0 && rightInset > 0) return 'trapezoid';
+    if (leftInset < 0 && rightInset < 0) return 'trapezoidAlt';
+    return leftInset > 0 ? 'parallelogram' : 'parallelogramAlt';
+  }
+
+  function normalizeStyleColor(value) {
+    const match = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+    if (!match) return value;
+    if (match[4] !== undefined && Number(match[4]) === 0) return 'transparent';
+    return '#' + match.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('');
+  }
+
+  // Inline style of a rendered shape, as a Mermaid `style`/`classDef` property list
+  function parseFlowchartStyle(styleText, properties = FLOWCHART_STYLE_PROPERTIES) {
+    return (styleText || '')
+      .split(';')
+      .map(declaration => {
+        const separator = declaration.indexOf(':');
+        if (separator < 0) return null;
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const value = normalizeStyleColor(declaration.slice(separator + 1).replace(/!important/i, '').trim());
+        return { property, value };
+      })
+      .filter(entry => entry && entry.value && properties.includes(entry.property) && !entry.value.includes(','))
+      .filter(entry => !(entry.property === 'fill' && entry.value === 'none'))
+      .map(entry => `${entry.property}:${entry.value}`)
+      .join(',');
+  }
+
+  /**
+   * Mermaid link syntax for a rendered flowchart edge.
+   * @param {string[]} classes - Class names of the edge path (edge-pattern-*, edge-thickness-*).
+   * @param {string} startMarker - marker-start name, see markerNameFromReference.
+   * @param {string} endMarker - marker-end name.
+   * @returns {string} e.g. '-->', '<-.->', '==x', '---' or '~~~'.
+   */
+  function flowchartEdgeArrow(classes, startMarker, endMarker) {
+    if (classes.includes('edge-thickness-invisible')) return '~~~';
+
+    const headFor = (marker, arrowHead) => {
+      if (!marker) return '';
+      if (marker.includes('circle')) return 'o';
+      if (marker.includes('cross')) return 'x';
+      return marker.includes('point') || marker.includes('arrow') ? arrowHead : '';
+    };
+    const endHead = headFor(endMarker, '>');
+    const startHead = endHead ? headFor(startMarker, '<') : '';
+
+    if (classes.includes('edge-pattern-dotted') || classes.includes('edge-pattern-dashed')) {
+      return `${startHead}-.-${endHead}`;
+    }
+    const stroke = classes.includes('edge-thickness-thick') ? '=' : '-';
+    return endHead ? `${startHead}${stroke}${stroke}${endHead}` : stroke.repeat(3);
+  }
+
+  // Layout direction follows the dominant displacement from edge sources to targets
+  function inferFlowchartDirection(edges) {
+    let dx = 0;
+    let dy = 0;
+    edges.forEach(({ source, target }) => {
+      dx += (target.bbox.left + target.bbox.width / 2) - (source.bbox.left + source.bbox.width / 2);
+      dy += (target.bbox.top + target.bbox.height / 2) - (source.bbox.top + source.bbox.height / 2);
+    });
+    if (Math.abs(dx) > Math.abs(dy)) return dx >= 0 ? 'LR' : 'RL';
+    return dy >= 0 ? 'TD' : 'BT';
+  }
+
+  // Frame keywords drawn in the label box of a sequence control-flow block, and the keyword for their later sections
+  const SEQUENCE_FRAME_SECTION_KEYWORDS = {
+    loop: null,
+    alt: 'else',
+    opt: null,
+    par: 'and',
+    critical: 'option',
+    break: null
+  };
+
+  function sequenceMessageArrow(startMarker, endMarker, isDashed) {
+    const stroke = isDashed ? '--' : '-';
+    if (startMarker.includes('arrowhead') && endMarker.includes('arrowhead')) return `<<${stroke}>>`;
+    if (endMarker.includes('crosshead')) return `${stroke}x`;
+    if (endMarker.includes('filledhead')) return `${stroke})`;
+    if (endMarker.includes('arrowhead')) return `${stroke}>>`;
+    return `${stroke}>`;
+  }
+
+  function cleanSequenceFrameText(text) {
+    return (text || '').trim().replace(/^\[(.*)\]$/s, '$1').trim();
+  }
+
+  // The autonumber statement reproducing message numbers read top to bottom, or '' without numbers
+  function sequenceAutonumber(values) {
+    if (values.length === 0) return '';
+    const start = values[0];
+    const step = values.length > 1 ? values[1] - values[0] : 1;
+    if (start === 1 && step === 1) return 'autonumber';
+    return `autonumber ${start}${step !== 1 ? ` ${step}` : ''}`;
+  }
+
+  /**
+   * Orders the parts of a sequence diagram by their vertical position and writes
+   * them as indented Mermaid lines, nesting messages inside their frames.
+   * @param {object} parts
+   * @param {Array<{from: string, to: string, arrow: string, text: string, y: number}>} parts.messages
+   * @param {Array<{placement: string, text: string, y: number}>} parts.notes
+   * @param {Array<{id: string, startY: number, endY: number}>} parts.activations
+   * @param {Array<{keyword: string, title: string, yMin: number, yMax: number, sections: Array<{text: string, y: number}>}>} parts.frames
+   * @returns {string[]}
+   */
+  function renderSequenceEvents({ messages = [], notes = [], activations = [], frames = [] }) {
+    // Rank breaks ties: frames open before and close after their content
+    const events = [];
+    messages.forEach(msg => {
+      events.push({ type: 'message', y: msg.y, rank: 1, data: msg });
+    });
+    notes.forEach(note => {
+      events.push({ type: 'note', y: note.y, rank: 1, data: note });
+    });
+    activations.forEach(activation => {
+      events.push({ type: 'activate', y: activation.startY, rank: 2, data: activation });
+      events.push({ type: 'deactivate', y: activation.endY, rank: 3, data: activation });
+    });
+    frames.forEach(frame => {
+      events.push({ type: 'frame_start', y: frame.yMin, rank: 0, data: frame });
+      frame.sections.forEach(section => {
+        events.push({ type: 'frame_section', y: section.y, rank: 0, data: { frame, text: section.text } });
+      });
+      events.push({ type: 'frame_end', y: frame.yMax, rank: 4, data: frame });
+    });
+    events.sort((a, b) => a.y - b.y || a.rank - b.rank);
+
+    const lines = [];
+    const frameStack = [];
+    const indentLine = (text, depthOffset = 0) => {
+      lines.push(`${'  '.repeat(frameStack.length + 1 + depthOffset)}${text}`);
+    };
+    events.forEach(event => {
+      if (event.type === 'frame_start') {
+        const title = event.data.title ? ` ${event.data.title}` : '';
+        indentLine(`${event.data.keyword}${title}`);
+        frameStack.push(event.data);
+      } else if (event.type === 'frame_section') {
+        const keyword = SEQUENCE_FRAME_SECTION_KEYWORDS[event.data.frame.keyword];
+        if (keyword && frameStack.includes(event.data.frame)) {
+          const text = event.data.text ? ` ${event.data.text}` : '';
+          indentLine(`${keyword}${text}`, -1);
+        }
+      } else if (event.type === 'frame_end') {
+        if (frameStack.length > 0) {
+          frameStack.pop();
+          indentLine('end');
+        }
+      } else if (event.type === 'note') {
+        indentLine(`Note ${event.data.placement}: ${event.data.text}`);
+      } else if (event.type === 'activate' || event.type === 'deactivate') {
+        indentLine(`${event.type} ${event.data.id}`);
+      } else if (event.type === 'message') {
+        const msg = event.data;
+        indentLine(`${msg.from}${msg.arrow}${msg.to}: ${msg.text}`);
+      }
+    });
+
+    // Close remaining frames
+    while (frameStack.length > 0) {
+      frameStack.pop();
+      indentLine('end');
+    }
+    return lines;
+  }
+
+  // Rendered class text shows generics as <T>; Mermaid writes them as ~T~
+  function toMermaidGenericText(text) {
+    return text.replace(/[<>]/g, '~');
+  }
+
+  /**
+   * Static members are rendered underlined and abstract members in italics.
+   * @param {string} styleText - Inline styles of the member label and its descendants.
+   * @param {string[]} tagNames - Lowercase tag names of the label's descendants.
+   * @returns {string} '$', '*' or ''.
+   */
+  function classMemberClassifier(styleText, tagNames) {
+    if (/text-decoration\s*:\s*underline/i.test(styleText) || tagNames.includes('u')) return '$';
+    if (/font-style\s*:\s*italic/i.test(styleText) || tagNames.includes('em') || tagNames.includes('i')) return '*';
+    return '';
+  }
+
+  function classMemberText(text, classifier) {
+    return toMermaidGenericText(text) + (classifier && !text.endsWith(classifier) ? classifier : '');
+  }
+
+  // Annotations are rendered with guillemets: «interface» -> <<interface>>
+  function classAnnotation(text) {
+    return `<<${text.trim().replace(/^(?:«|<<)\s*|\s*(?:»|>>)$/g, '')}>>`;
+  }
+
+  // Generic parameter of a class title such as Repository<T>, as Mermaid's ~T~ suffix
+  function classGenericSuffix(title) {
+    const genericMatch = title.match(/^[^<~]+[<~](.+)[>~]$/);
+    return genericMatch ? `~${toMermaidGenericText(genericMatch[1])}~` : '';
+  }
+
+  function renderClassDefinition(className, data, indent) {
+    const lines = [`${indent}class ${className}${data.generic} {`];
+    if (data.stereotype) {
+      lines.push(`${indent}    ${data.stereotype}`);
+    }
+    data.members.forEach(member => { lines.push(`${indent}    ${member}`); });
+    data.methods.forEach(method => { lines.push(`${indent}    ${method}`); });
+    lines.push(`${indent}}`);
+    return lines;
+  }
+
+  /**
+   * Adds multiplicity labels to a relation such as "Order --> Item".
+   * @param {string} relation - "<left> <connector> <right>".
+   * @param {string} fromClass - Class the relation path starts at.
+   * @param {{start?: string, end?: string}} terminals - Labels next to the path's start and end.
+   * @returns {string} e.g. 'Order "1" --> "*" Item'.
+   */
+  function labelClassRelationEnds(relation, fromClass, terminals) {
+    // Put each label next to the class it belongs to
+    const [left, connector, right] = relation.split(' ');
+    const leftLabel = left === fromClass ? terminals.start : terminals.end;
+    const rightLabel = left === fromClass ? terminals.end : terminals.start;
+    return [
+      left,
+      leftLabel ? `"${leftLabel}"` : '',
+      connector,
+      rightLabel ? `"${rightLabel}"` : '',
+      right
+    ].filter(Boolean).join(' ');
+  }
+
+  // Rendered state ids look like "state-Idle-3", "state-root_start-0" or "state-fork1-7"
+  function stateIdFromDomId(domId) {
+    const match = (domId || '').match(/(?:^|[-_])state-(.+)-\d+$/);
+    return match ? match[1] : '';
+  }
+
+  // Containment with a pixel of slack for rounding in client boxes
+  function boxContainsPoint(box, x, y) {
+    return x >= box.x1 - 1 && x <= box.x2 + 1 && y >= box.y1 - 1 && y <= box.y2 + 1;
+  }
+
+  // Composite states are reached at their border; ordinary nodes anywhere on their box
+  function stateEndpointDistance(point, candidate) {
+    const box = candidate.box;
+    if (candidate.kind !== 'composite' || !boxContainsPoint(box, point.x, point.y)) {
+      return distanceToBox(point.x, point.y, box);
+    }
+    return Math.min(point.x - box.x1, box.x2 - point.x, point.y - box.y1, box.y2 - point.y);
+  }
+
+  // Fork and join bars look identical; a fork splits one transition into several
+  function forkJoinPseudo(incoming, outgoing) {
+    return outgoing > incoming ? 'fork' : 'join';
+  }
+
+  // Declaration line for a pseudo-state or a state whose label differs from its id; '' when none is needed
+  function stateDeclaration(node) {
+    if (node.pseudo) return `state ${node.name} <<${node.pseudo}>>`;
+    if (node.kind === 'state' && node.label && node.label !== node.name) return `state "${node.label}" as ${node.name}`;
+    return '';
+  }
+
+  function compositeStateHeader(scope) {
+    return scope.label && scope.label !== scope.name ? `state "${scope.label}" as ${scope.name}` : `state ${scope.name}`;
+  }
+
+  function stateTransitionLine(from, to, label) {
+    return `${from} --> ${to}${label ? ` : ${label}` : ''}`;
+  }
+
+  // C4 element kinds as rendered (person, system_db, external_container, ...) map onto macro names
+  const C4_BASE_MACROS = { person: 'Person', system: 'System', container: 'Container', component: 'Component' };
+  const C4_BOUNDARY_MACROS = { system: 'System_Boundary', enterprise: 'Enterprise_Boundary', container: 'Container_Boundary' };
+
+  function c4MacroName(type) {
+    const external = type.startsWith('external_');
+    const [kind, variant] = type.replace(/^external_/, '').split('_');
+    const macro = (C4_BASE_MACROS[kind] || 'System') + (variant === 'db' ? 'Db' : variant === 'queue' ? 'Queue' : '');
+    return external ? `${macro}_Ext` : macro;
+  }
+
+  // Identifier derived from free text, made unique against (and recorded in) `usedIds`
+  function toMermaidIdentifier(text, usedIds) {
+    let base = String(text || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+    if (/^\d/.test(base)) base = `n${base}`;
+    let id = base;
+    for (let i = 2; usedIds.has(id); i++) id = `${base}${i}`;
+    usedIds.add(id);
+    return id;
+  }
+
+  function quoteC4Text(text) {
+    return `"${String(text).replace(/"/g, "'")}"`;
+  }
+
+  function renderC4Element(element) {
+    const macro = c4MacroName(element.type);
+    const args = [element.alias, quoteC4Text(element.label)];
+    if (/^(Container|Component)/.test(macro)) args.push(quoteC4Text(element.techn));
+    if (element.descr) args.push(quoteC4Text(element.descr));
+    return `${macro}(${args.join(', ')})`;
+  }
+
+  // Known boundary types have their own macro; any other type is passed to the generic Boundary
+  function renderC4BoundaryHeader(boundary) {
+    const macro = C4_BOUNDARY_MACROS[boundary.type.toLowerCase()];
+    return macro
+      ? `${macro}(${boundary.alias}, ${quoteC4Text(boundary.label)})`
+      : `Boundary(${boundary.alias}, ${quoteC4Text(boundary.label)}${boundary.type ? `, ${quoteC4Text(boundary.type)}` : ''})`;
+  }
+
+  function renderC4Relation(relation) {
+    const args = [relation.from.alias, relation.to.alias, quoteC4Text(relation.label)];
+    if (relation.techn) args.push(quoteC4Text(relation.techn));
+    return `${relation.macro}(${args.join(', ')})`;
+  }
+
+  // Built-in architecture icons, recognised by the first outline path of their artwork
+  const ARCHITECTURE_ICON_SIGNATURES = [
+    ['database', 'm20,57.86c0,3.94'],
+    ['server', 'm56.25,25c0'],
+    ['disk', 'm37.51,42.52l'],
+    ['internet', 'm39.99,17.51c'],
+    ['cloud', 'm65,47.5c0,2.76']
+  ];
+
+  function architectureIconFromOutlines(pathData) {
+    const outlines = pathData.map(d => (d || '').replace(/\s+/g, ''));
+    const match = ARCHITECTURE_ICON_SIGNATURES.find(([, signature]) => outlines.some(d => d.startsWith(signature)));
+    // Icons from registered packs cannot be told apart once rendered; fall back to a generic server
+    return match ? match[0] : 'server';
+  }
+
+  // Side (L/R/T/B) of a box that an edge endpoint attaches to
+  function architectureEdgeSide(box, point) {
+    const dx = (point.x - box.cx) / (box.width / 2 || 1);
+    const dy = (point.y - box.cy) / (box.height / 2 || 1);
+    if (Math.abs(dx) >= Math.abs(dy)) return dx < 0 ? 'L' : 'R';
+    return dy < 0 ? 'T' : 'B';
+  }
+
+  function renderArchitectureEdge({ source, sourceSide, sourceArrow, target, targetSide, targetArrow, title }) {
+    const connector = `${sourceArrow ? '<' : ''}-${title ? `[${title}]` : ''}-${targetArrow ? '>' : ''}`;
+    return `${source}:${sourceSide} ${connector} ${targetSide}:${target}`;
+  }
+
+  /**
+   * Recovers the block-beta column grid from block boxes. Sets `column` and `span`
+   * on each block and returns the rows (blocks whose vertical centres line up).
+   *
+   * @param {Array<{box: object}>} blocks - Sibling blocks with client boxes.
+   * @returns {{rows: Array<{blocks: object[]}>, columns: number}}
+   */
+  function layoutBlockGrid(blocks) {
+    const rows = [];
+    [...blocks].sort((a, b) => a.box.cy - b.box.cy).forEach(block => {
+      const row = rows.find(r => Math.abs(r.cy - block.box.cy) < Math.min(r.height, block.box.height) / 2);
+      if (row) {
+        row.blocks.push(block);
+      } else {
+        rows.push({ cy: block.box.cy, height: block.box.height, blocks: [block] });
+      }
+    });
+
+    // Column pitch: narrowest block plus the tightest gap between neighbours
+    let gap = Infinity;
+    rows.forEach(row => {
+      row.blocks.sort((a, b) => a.box.x1 - b.box.x1);
+      for (let i = 1; i < row.blocks.length; i++) {
+        gap = Math.min(gap, row.blocks[i].box.x1 - row.blocks[i - 1].box.x2);
+      }
+    });
+    if (!Number.isFinite(gap) || gap < 0) gap = 8;
+    const pitch = Math.min(...blocks.map(block => block.box.width)) + gap;
+    const left = Math.min(...blocks.map(block => block.box.x1));
+    blocks.forEach(block => {
+      block.column = Math.max(0, Math.round((block.box.x1 - left) / pitch));
+      block.span = Math.max(1, Math.round((block.box.width + gap) / pitch));
+    });
+    const columns = Math.max(...blocks.map(block => block.column + block.span));
+    return { rows, columns };
+  }
+
+  function formatBlockNode(block) {
+    const span = block.span > 1 ? `:${block.span}` : '';
+    if (block.label && (block.label !== block.id || block.shape !== 'rect')) {
+      const [open, close] = FLOWCHART_SHAPE_BRACKETS[block.shape] || FLOWCHART_SHAPE_BRACKETS.rect;
+      return `${block.id}${open}"${block.label.replace(/"/g, '#quot;')}"${close}${span}`;
+    }
+    return `${block.id}${span}`;
+  }
+
+  function blockSpace(count) {
+    return count > 1 ? `space:${count}` : 'space';
+  }
+
+  root.deepwikiMermaidSyntax = {
+    DIAGRAM_PAGE_PLACEHOLDER,
+    quoteMermaidText,
+    parseTranslate,
+    markerNameFromReference,
+    distanceToBox,
+    findClosestByBox,
+    erCardinality,
+    escapeMermaidColons,
+    parseGanttTickDate,
+    createGanttTimeScale,
+    ganttTaskTags,
+    journeyScoreFromFaceY,
+    roundChartValue,
+    pieSliceFraction,
+    parsePieLegendText,
+    createChartValueScale,
+    formatMindmapNode,
+    clockwiseAngle,
+    replayGitGraph,
+    unwrapMermaidFence,
+    mermaidDiagramType,
+    normalizeSignatureText,
+    diffMultiset,
+    compareDiagramSignatures,
+    buildFidelityReport,
+    isMermaidDefinition,
+    extractMermaidFences,
+    extractFlightChunks,
+    scoreMermaidSourceMatch,
+    FLOWCHART_SHAPE_BRACKETS,
+    parsePolygonPoints,
+    classifyFlowchartPolygon,
+    normalizeStyleColor,
+    parseFlowchartStyle,
+    flowchartEdgeArrow,
+    inferFlowchartDirection,
+    SEQUENCE_FRAME_SECTION_KEYWORDS,
+    sequenceMessageArrow,
+    cleanSequenceFrameText,
+    sequenceAutonumber,
+    renderSequenceEvents,
+    toMermaidGenericText,
+    classMemberClassifier,
+    classMemberText,
+    classAnnotation,
+    classGenericSuffix,
+    renderClassDefinition,
+    labelClassRelationEnds,
+    stateIdFromDomId,
+    boxContainsPoint,
+    stateEndpointDistance,
+    forkJoinPseudo,
+    stateDeclaration,
+    compositeStateHeader,
+    stateTransitionLine,
+    c4MacroName,
+    toMermaidIdentifier,
+    quoteC4Text,
+    renderC4Element,
+    renderC4BoundaryHeader,
+    renderC4Relation,
+    architectureIconFromOutlines,
+    architectureEdgeSide,
+    renderArchitectureEdge,
+    layoutBlockGrid,
+    formatBlockNode,
+    blockSpace
+  };
+})(globalThis);
@@ -0,0 +1,179 @@
+import { relativeFilePath } from './linkRewriter.js';
+
+// DeepWiki page slugs carry the sidebar numbering: /owner/repo/2.1-data-model
+const SECTION_SLUG_PATTERN = /^(\d+(?:\.\d+)*)-/;
+
+/**
+ * Section number of a wiki page, taken from its URL slug.
+ *
+ * @param {string} url - Page URL.
+ * @returns {string|null} A number such as "2.1", or null when the slug is not numbered.
+ */
+export function sectionNumberFromUrl(url) {
+  try {
+    const lastSegment = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    const match = decodeURIComponent(lastSegment).match(SECTION_SLUG_PATTERN);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Works out the navigation hierarchy of the pages listed by extractAllPages.
+ * When every sidebar entry has a numbered slug (1, 1.1, 1.2, 2 ...) the numbers
+ * give the levels; otherwise navigation entries carry the horizontal indent of
+ * their sidebar item and each distinct indent is one level. A page's parent is
+ * the closest preceding page one level up.
+ *
+ * @param {Array<{url: string, title?: string, indent?: number}>} pages - Pages in navigation order.
+ * @returns {Map<string, {order: number, level: number, parentUrl: string|null}>} Position of every page, keyed by URL.
+ */
+export function buildNavHierarchy(pages) {
+  const entries = Array.isArray(pages) ? pages.filter(page => page && page.url) : [];
+  const navEntries = entries.filter(page => typeof page.indent === 'number' && Number.isFinite(page.indent));
+  const useSections = navEntries.length > 0 && navEntries.every(page => sectionNumberFromUrl(page.url));
+  const indents = [...new Set(navEntries.map(page => page.indent))].sort((a, b) => a - b);
+
+  const levelOf = page => {
+    if (typeof page.indent !== 'number') {
+      return 0;
+    }
+    return useSections
+      ? sectionNumberFromUrl(page.url).split('.').length - 1
+      : Math.max(0, indents.indexOf(page.indent));
+  };
+
+  const hierarchy = new Map();
+  const ancestors = [];
+  entries.forEach((page, index) => {
+    if (hierarchy.has(page.url)) {
+      return;
+    }
+
+    const level = levelOf(page);
+    while (ancestors.length && ancestors[ancestors.length - 1].level >= level) {
+      ancestors.pop();
+    }
+
+    const parent = ancestors[ancestors.length - 1] || null;
+    hierarchy.set(page.url, { order: index + 1, level, parentUrl: parent ? parent.url : null });
+    ancestors.push({ url: page.url, level });
+  });
+
+  return hierarchy;
+}
+
+function slugifyTitle(title) {
+  const slug = String(title || '')
+    .replace(/^\s*\d+(?:\.\d+)*\.?\s+/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'page';
+}
+
+/**
+ * Lays the export out like the wiki navigation: every page is numbered by its
+ * position (01, 01.1, 01.2, 02 ...) and a page with sub-pages becomes a folder
+ * whose index.md holds the page itself.
+ *
+ * @param {Array<{url: string, title?: string, indent?: number}>} pages - Pages in navigation order.
+ * @returns {Map<string, string>} Archive path of every page, keyed by URL,
+ *   e.g. "01-overview/index.md" and "01-overview/01.1-architecture.md".
+ */
+export function buildExportLayout(pages) {
+  const entries = Array.isArray(pages) ? pages.filter(page => page && page.url) : [];
+  const hierarchy = buildNavHierarchy(entries);
+
+  const childrenByParent = new Map();
+  const placed = new Set();
+  entries.forEach(page => {
+    if (placed.has(page.url)) {
+      return;
+    }
+    placed.add(page.url);
+    const parentUrl = hierarchy.get(page.url).parentUrl;
+    if (!childrenByParent.has(parentUrl)) {
+      childrenByParent.set(parentUrl, []);
+    }
+    childrenByParent.get(parentUrl).push(page);
+  });
+
+  const layout = new Map();
+  const place = (parentUrl, directory, parentNumber) => {
+    (childrenByParent.get(parentUrl) || []).forEach((page, index) => {
+      const number = parentNumber ? `${parentNumber}.${index + 1}` : String(index + 1).padStart(2, '0');
+      const name = `${number}-${slugifyTitle(page.title)}`;
+      const path = directory ? `${directory}/${name}` : name;
+      if (childrenByParent.has(page.url)) {
+        layout.set(page.url, `${path}/index.md`);
+        place(page.url, path, number);
+      } else {
+        layout.set(page.url, `${path}.md`);
+      }
+    });
+  };
+  place(null, '', '');
+
+  return layout;
+}
+
+/**
+ * Nested Markdown list of pages following the navigation hierarchy.
+ *
+ * @param {Array<{url: string, title?: string}>} pages - Pages in navigation order.
+ * @param {Map<string, string>} layout - From buildExportLayout.
+ * @param {object} [options]
+ * @param {string} [options.fromFile] - File the list is written into; links are relative to it.
+ * @param {string|null} [options.rootUrl] - Only list the pages below this one.
+ * @param {function(string): boolean} [options.isExported] - Pages that exist in the archive;
+ *   others are listed without a link when they have exported sub-pages, and left out otherwise.
+ * @returns {string} The list, or '' when there is nothing to list.
+ */
+export function renderNavTableOfContents(pages, layout, options = {}) {
+  const { fromFile = 'README.md', rootUrl = null, isExported = () => true } = options;
+  const entries = Array.isArray(pages) ? pages.filter(page => page && page.url && layout.has(page.url)) : [];
+  const hierarchy = buildNavHierarchy(entries);
+
+  const depthBelowRoot = url => {
+    let depth = 0;
+    for (let current = hierarchy.get(url); current; current = hierarchy.get(current.parentUrl)) {
+      if (current.parentUrl === rootUrl) {
+        return depth;
+      }
+      depth += 1;
+    }
+    return -1;
+  };
+  const hasExportedDescendant = url => entries.some(page => {
+    for (let current = hierarchy.get(page.url); current && current.parentUrl; current = hierarchy.get(current.parentUrl)) {
+      if (current.parentUrl === url) {
+        return isExported(page.url);
+      }
+    }
+    return false;
+  });
+
+  const lines = [];
+  const listed = new Set();
+  entries.forEach(page => {
+    const depth = depthBelowRoot(page.url);
+    if (depth < 0 || page.url === rootUrl || listed.has(page.url)) {
+      return;
+    }
+    listed.add(page.url);
+
+    const title = page.title || page.url;
+    const indent = '  '.repeat(depth);
+    if (isExported(page.url)) {
+      lines.push(`${indent}- [${title}](${encodeURI(relativeFilePath(fromFile, layout.get(page.url)))})`);
+    } else if (hasExportedDescendant(page.url)) {
+      lines.push(`${indent}- ${title}`);
+    }
+  });
+
+  return lines.join('\n');
+}
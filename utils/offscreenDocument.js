@@ -0,0 +1,53 @@
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+let creatingOffscreenDocument = null;
+
+async function hasOffscreenDocument() {
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+
+  if (typeof chrome.runtime.getContexts === 'function') {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl]
+    });
+    return contexts.length > 0;
+  }
+
+  const matchedClients = await clients.matchAll();
+  return matchedClients.some(client => client.url === documentUrl);
+}
+
+/**
+ * Creates the extension's offscreen document unless it already exists.
+ * Concurrent callers share the same creation promise.
+ */
+export async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['DOM_PARSER'],
+        justification: 'Render recovered Mermaid diagrams to verify them against the original page'
+      })
+      .finally(() => {
+        creatingOffscreenDocument = null;
+      });
+  }
+
+  await creatingOffscreenDocument;
+}
+
+/**
+ * Sends a message to the offscreen document, creating it first if needed.
+ *
+ * @param {object} message - Message payload; `target: 'offscreen'` is added automatically.
+ * @returns {Promise<any>} The offscreen document's response.
+ */
+export async function sendMessageToOffscreen(message) {
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
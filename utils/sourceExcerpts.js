@@ -0,0 +1,52 @@
+import { parseCitationUrl } from './citationLinks.js';
+
+const RAW_GITHUB_TEMPLATE = 'https://raw.githubusercontent.com/{owner}/{repo}/{commit}/{path}';
+const MAX_EXCERPT_LINES = 200;
+
+/**
+ * Where to download the file behind a code citation: raw.githubusercontent.com,
+ * or a mirror described by a template with the citation placeholders
+ * ({owner} {repo} {commit} {path}).
+ *
+ * @param {string} href - GitHub citation URL with a #L line range.
+ * @param {string} [template] - Mirror template, e.g. "http://localhost:8080/{repo}/{path}".
+ * @param {string} [commit] - Indexed commit; citations on a branch are pinned to it.
+ * @returns {{url: string, path: string, start: number, end: number}|null}
+ */
+export function resolveRawSourceUrl(href, template = '', commit = '') {
+  const citation = parseCitationUrl(href);
+  if (!citation) {
+    return null;
+  }
+
+  const pinnedCommit = /^[0-9a-f]{7,40}$/i.test(citation.ref) || !commit ? citation.ref : commit;
+  const values = { owner: citation.owner, repo: citation.repo, commit: pinnedCommit, path: citation.path };
+  const url = (template.trim() || RAW_GITHUB_TEMPLATE)
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+
+  return { url, path: decodeURIComponent(citation.path), start: citation.start, end: citation.end };
+}
+
+/**
+ * Cuts the cited lines out of a file, capped at MAX_EXCERPT_LINES.
+ *
+ * @param {string} text - File content.
+ * @param {number} start - First line (1-based).
+ * @param {number} end - Last line, inclusive.
+ * @returns {{code: string, lineCount: number, truncated: boolean}|null} Null when the range is outside the file.
+ */
+export function sliceSourceLines(text, start, end) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const first = Math.max(1, Math.min(start, end));
+  const last = Math.min(lines.length, Math.max(start, end));
+  if (first > lines.length) {
+    return null;
+  }
+
+  const selected = lines.slice(first - 1, last);
+  const truncated = selected.length > MAX_EXCERPT_LINES;
+  const kept = truncated ? selected.slice(0, MAX_EXCERPT_LINES) : selected;
+  return { code: kept.join('\n').replace(/\s+$/, ''), lineCount: kept.length, truncated };
+}
+
+export { MAX_EXCERPT_LINES };
@@ -9,7 +9,11 @@ export async function ensureContentScriptInjected(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content.js']
+      // Same list and order as content_scripts in manifest.json. The utils/ entries are
+      // classic scripts (content scripts cannot be modules): each wraps itself in an IIFE
+      // and registers its helpers on globalThis as deepwiki<Name>, where content.js picks
+      // them up and test/run-tests.js reaches them after importing the file for its side effect.
+      files: ['utils/languageDetector.js', 'utils/markdownTables.js', 'utils/markdownDialects.js', 'utils/mathMl.js', 'utils/mermaidSyntax.js', 'content.js']
     });
     await delay(100);
   } catch (error) {
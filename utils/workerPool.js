@@ -0,0 +1,144 @@
+export const DEFAULT_WORKER_COUNT = 3;
+export const MAX_WORKER_COUNT = 6;
+
+// Minimum gap between two page loads starting on the same site
+export const POLITENESS_DELAY_MS = 750;
+
+const sleepFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function hostOfUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Limits how many tasks run against one host at a time and spaces out their starts.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxPerHost] - Concurrent tasks allowed per host.
+ * @param {number} [options.politenessDelayMs] - Minimum time between two starts on the same host.
+ * @param {function(): number} [options.now] - Clock, replaceable in tests.
+ * @param {function(number): Promise<void>} [options.sleep] - Timer, replaceable in tests.
+ * @returns {{acquire: function(string): Promise<void>, release: function(string): void}}
+ */
+export function createHostLimiter(options = {}) {
+  const {
+    maxPerHost = DEFAULT_WORKER_COUNT,
+    politenessDelayMs = POLITENESS_DELAY_MS,
+    now = Date.now,
+    sleep = sleepFor
+  } = options;
+  const hosts = new Map();
+
+  const stateOf = host => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, nextStartAt: 0, waiting: [] });
+    }
+    return hosts.get(host);
+  };
+
+  return {
+    async acquire(host) {
+      const state = stateOf(host);
+      while (state.active >= maxPerHost) {
+        await new Promise(resolve => state.waiting.push(resolve));
+      }
+      state.active += 1;
+
+      // Reserve the next start slot before sleeping so concurrent callers queue behind it
+      const startAt = Math.max(now(), state.nextStartAt);
+      state.nextStartAt = startAt + politenessDelayMs;
+      const wait = startAt - now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+    },
+
+    release(host) {
+      const state = stateOf(host);
+      state.active = Math.max(0, state.active - 1);
+      const next = state.waiting.shift();
+      if (next) {
+        next();
+      }
+    }
+  };
+}
+
+/**
+ * Clamps a requested worker count to what the pool supports.
+ *
+ * @param {*} count - Requested number of workers.
+ * @returns {number}
+ */
+export function normalizeWorkerCount(count) {
+  const value = Number(count);
+  if (!Number.isInteger(value)) {
+    return DEFAULT_WORKER_COUNT;
+  }
+  return Math.min(MAX_WORKER_COUNT, Math.max(1, value));
+}
+
+/**
+ * Runs `task` over every item with a fixed number of workers. Workers take items
+ * from a shared queue in order; results come back in item order regardless of
+ * which worker finished first. When a task throws, the remaining workers stop
+ * taking items and the first error is rethrown once they have all finished.
+ *
+ * @param {Array} items - Work items, e.g. pages with a `url`.
+ * @param {function(*, number, number): Promise<*>} task - Called with (item, index, workerIndex).
+ * @param {object} [options]
+ * @param {number} [options.workerCount] - Number of workers.
+ * @param {function(*): string} [options.hostOf] - Host an item is fetched from; defaults to the host of `item.url`.
+ * @param {{acquire: Function, release: Function}} [options.limiter] - From createHostLimiter; by default
+ *   every worker may load from the same host, with starts spaced by `politenessDelayMs`.
+ * @param {number} [options.politenessDelayMs] - Gap between starts on one host for the default limiter.
+ * @param {function(): boolean} [options.shouldStop] - Checked before each item is taken.
+ * @returns {Promise<Array>} Task results by item index; items never run are left undefined.
+ */
+export async function runWorkerPool(items, task, options = {}) {
+  const {
+    workerCount = DEFAULT_WORKER_COUNT,
+    hostOf = item => hostOfUrl(item?.url),
+    politenessDelayMs = POLITENESS_DELAY_MS,
+    shouldStop = () => false
+  } = options;
+
+  const queue = Array.isArray(items) ? items : [];
+  const count = Math.min(normalizeWorkerCount(workerCount), Math.max(1, queue.length));
+  // The worker count is the user's concurrency setting, so one host may use all of them
+  const limiter = options.limiter || createHostLimiter({ maxPerHost: count, politenessDelayMs });
+  const results = queue.map(() => undefined);
+  let nextIndex = 0;
+  let failure = null;
+
+  const work = async workerIndex => {
+    while (!failure && !shouldStop() && nextIndex < queue.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+
+      const host = hostOf(queue[index]);
+      await limiter.acquire(host);
+      try {
+        if (failure || shouldStop()) {
+          break;
+        }
+        results[index] = await task(queue[index], index, workerIndex);
+      } catch (error) {
+        failure = failure || { error };
+      } finally {
+        limiter.release(host);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: count }, (_, workerIndex) => work(workerIndex)));
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}